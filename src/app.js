@@ -14,10 +14,16 @@ import leadsRoutes from './routes/leads.js'
 import sessionsRoutes from './routes/sessions.js'
 import stockRoutes from './routes/stock.js'
 import searchRoutes from './routes/search.js'
+import auditRoutes from './routes/audit.js'
+import webhooksRoutes from './routes/webhooks.js'
+import notesRoutes from './routes/notes.js'
+import tagsRoutes from './routes/tags.js'
+import cronRoutes from './routes/cron.js'
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js'
 import { notFoundHandler } from './middleware/notFoundHandler.js'
+import { requestId } from './middleware/requestId.js'
 
 // Load environment variables
 dotenv.config()
@@ -28,6 +34,9 @@ const PORT = process.env.PORT || 3000
 // Security middleware
 app.use(helmet())
 
+// Request id for tracing and the audit log
+app.use(requestId)
+
 // CORS configuration
 const allowedOrigins = [
   'http://localhost:5173', // Development
@@ -48,16 +57,26 @@ const limiter = rateLimit({
   message: 'Too many requests from this IP, please try again later.',
   standardHeaders: true,
   legacyHeaders: false,
+  skip: (req) => req.path.startsWith('/webhooks/'), // WhatsApp delivers in bursts
 })
 app.use('/api/', limiter)
 
-// Logging
+// Logging. The 'combined' format, with the access_token query param of the
+// event streams (see tokenFromQuery) redacted so live tokens never reach the logs
+morgan.token('redacted-url', (req) => (req.originalUrl || req.url).replace(/([?&]access_token=)[^&]*/g, '$1[REDACTED]'))
+
 if (process.env.NODE_ENV !== 'test') {
-  app.use(morgan('combined'))
+  app.use(morgan(':remote-addr - :remote-user [:date[clf]] ":method :redacted-url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent"'))
 }
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }))
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf
+  }
+}))
 app.use(express.urlencoded({ extended: true, limit: '10mb' }))
 
 // Health check endpoint
@@ -79,6 +98,11 @@ app.use('/api/leads', leadsRoutes)
 app.use('/api/sessions', sessionsRoutes)
 app.use('/api/stock', stockRoutes)
 app.use('/api/search', searchRoutes)
+app.use('/api/audit', auditRoutes)
+app.use('/api/webhooks', webhooksRoutes)
+app.use('/api/notes', notesRoutes)
+app.use('/api/tags', tagsRoutes)
+app.use('/api/cron', cronRoutes)
 
 // Error handling middleware
 app.use(notFoundHandler)
@@ -0,0 +1,36 @@
+// Values of conversations.sender
+export const MESSAGE_SENDERS = {
+  CONTACT: 0, // the customer on WhatsApp
+  AGENT: 1, // Rita, the AI agent
+  HUMAN: 2 // a dashboard operator replying manually
+}
+
+// Values of knowledge_vault.source
+export const KNOWLEDGE_SOURCES = {
+  AI: 'ai', // extracted by Rita during the conversation
+  HUMAN: 'human' // entered or corrected from the dashboard or API
+}
+
+// Data types of the per-company knowledge key catalogue (knowledge_keys)
+export const KNOWLEDGE_DATA_TYPES = ['text', 'number', 'enum', 'date', 'vehicle']
+
+// Values of sessions.status (ids of qualification_statuses)
+export const SESSION_STATUSES = {
+  NEW: 0, // Novo
+  IN_PROGRESS: 1, // Em progresso
+  QUALIFYING: 2, // Qualificando
+  TRANSFERRED: 3, // Transferido
+  FINISHED: 4, // Finalizado
+  ABANDONED: 5 // Abandonado
+}
+
+// Discard reasons every company starts with (discard_reasons catalogue)
+export const DEFAULT_DISCARD_REASONS = [
+  { code: 'no_budget', label: 'Sem orçamento' },
+  { code: 'wrong_region', label: 'Fora da área' },
+  { code: 'bought_elsewhere', label: 'Comprou noutro lado' },
+  { code: 'no_response', label: 'Sem resposta' },
+  { code: 'not_interested', label: 'Sem interesse' },
+  { code: 'spam', label: 'Spam' },
+  { code: 'other', label: 'Outro' }
+]
@@ -66,8 +66,101 @@ export const transaction = async (callback) => {
   }
 }
 
+// LISTEN/NOTIFY support - a single dedicated connection shared by all
+// subscribers, since pooled connections are returned after each query
+const listeners = new Map()
+let listenClientPromise = null
+
+const connectListenClient = async () => {
+  const client = new pg.Client(dbConfig)
+
+  client.on('notification', (msg) => {
+    const handlers = listeners.get(msg.channel)
+    if (!handlers) return
+
+    let payload = msg.payload
+    try {
+      payload = JSON.parse(msg.payload)
+    } catch (error) {
+      // Keep non-JSON payloads as plain strings
+    }
+
+    handlers.forEach(handler => handler(payload))
+  })
+
+  const reconnect = () => {
+    listenClientPromise = null
+    if (listeners.size > 0) {
+      setTimeout(() => getListenClient().catch(() => {}), 5000)
+    }
+  }
+
+  client.on('error', (err) => {
+    console.error('❌ Database listener error:', err.message)
+    client.end().catch(() => {})
+    reconnect()
+  })
+
+  await client.connect()
+
+  for (const channel of listeners.keys()) {
+    await client.query(`LISTEN ${client.escapeIdentifier(channel)}`)
+  }
+
+  return client
+}
+
+const getListenClient = () => {
+  if (!listenClientPromise) {
+    listenClientPromise = connectListenClient().catch((error) => {
+      listenClientPromise = null
+      throw error
+    })
+  }
+  return listenClientPromise
+}
+
+// Subscribe to NOTIFY messages on a channel; resolves to an unsubscribe function
+export const listen = async (channel, handler) => {
+  if (!listeners.has(channel)) {
+    listeners.set(channel, new Set())
+  }
+  listeners.get(channel).add(handler)
+
+  try {
+    const client = await getListenClient()
+    await client.query(`LISTEN ${client.escapeIdentifier(channel)}`)
+  } catch (error) {
+    listeners.get(channel).delete(handler)
+    if (listeners.get(channel).size === 0) {
+      listeners.delete(channel)
+    }
+    throw error
+  }
+
+  return async () => {
+    const handlers = listeners.get(channel)
+    if (!handlers) return
+
+    handlers.delete(handler)
+
+    if (handlers.size === 0) {
+      listeners.delete(channel)
+      const activeClient = await getListenClient().catch(() => null)
+      await activeClient?.query(`UNLISTEN ${activeClient.escapeIdentifier(channel)}`).catch(() => {})
+    }
+  }
+}
+
 // Close database connection pool
 export const closePool = async () => {
+  if (listenClientPromise) {
+    const client = await listenClientPromise.catch(() => null)
+    listeners.clear()
+    listenClientPromise = null
+    await client?.end()
+  }
+
   await pool.end()
   console.log('🔌 Database connection pool closed')
 }
@@ -1,6 +1,8 @@
-import jwt from 'jsonwebtoken'
 import { createClient } from '@supabase/supabase-js'
 import dotenv from 'dotenv'
+import { query } from '../config/database.js'
+import { verifyAccessToken } from '../services/tokens.js'
+import { API_KEY_PREFIX, verifyApiKey } from '../services/apiKeys.js'
 
 dotenv.config()
 
@@ -10,11 +12,32 @@ const supabase = createClient(
   process.env.SUPABASE_SERVICE_KEY
 )
 
-// JWT middleware for API routes
+// JWT / API key middleware for API routes
 export const authenticateToken = async (req, res, next) => {
   try {
     const authHeader = req.headers['authorization']
     const token = authHeader && authHeader.split(' ')[1] // Bearer TOKEN
+    const apiKey = req.headers['x-api-key'] || (token?.startsWith(API_KEY_PREFIX) ? token : null)
+
+    if (apiKey) {
+      const key = await verifyApiKey(apiKey)
+
+      if (!key) {
+        return res.status(401).json({
+          success: false,
+          error: { message: 'Invalid API key' }
+        })
+      }
+
+      req.apiKey = { ...key, grantedScopes: [] }
+      req.user = {
+        id: null,
+        email: null,
+        api_key_id: key.id
+      }
+
+      return next()
+    }
 
     if (!token) {
       return res.status(401).json({
@@ -23,8 +46,8 @@ export const authenticateToken = async (req, res, next) => {
       })
     }
 
-    // Verify JWT token (our custom JWT)
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    // Verify JWT token (our custom JWT) and that it has not been revoked
+    const decoded = await verifyAccessToken(token)
     
     // Add user info to request from JWT payload
     req.user = {
@@ -51,6 +74,13 @@ export const authenticateToken = async (req, res, next) => {
       })
     }
 
+    if (error.name === 'TokenRevokedError') {
+      return res.status(401).json({
+        success: false,
+        error: { message: 'Token revoked' }
+      })
+    }
+
     return res.status(500).json({
       success: false,
       error: { message: 'Authentication failed' }
@@ -58,6 +88,16 @@ export const authenticateToken = async (req, res, next) => {
   }
 }
 
+// Copy an access_token query param into the Authorization header, for
+// clients such as EventSource that cannot set request headers
+export const tokenFromQuery = (req, res, next) => {
+  if (!req.headers['authorization'] && typeof req.query.access_token === 'string') {
+    req.headers['authorization'] = `Bearer ${req.query.access_token}`
+  }
+
+  next()
+}
+
 // Optional authentication middleware (doesn't throw error if no token)
 export const optionalAuth = async (req, res, next) => {
   try {
@@ -65,7 +105,7 @@ export const optionalAuth = async (req, res, next) => {
     const token = authHeader && authHeader.split(' ')[1]
 
     if (token) {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET)
+      const decoded = await verifyAccessToken(token)
       const { data: { user }, error } = await supabase.auth.getUser(token)
       
       if (!error && user) {
@@ -84,10 +124,73 @@ export const optionalAuth = async (req, res, next) => {
   }
 }
 
+// Company roles, from least to most privileged
+export const ROLES = ['viewer', 'manager', 'admin']
+
+// Platform admins can access and manage every company
+export const isPlatformAdmin = async (userId) => {
+  const result = await query('SELECT 1 FROM platform_admins WHERE user_id = $1', [userId])
+  return result.rows.length > 0
+}
+
+// Look up whether a user is a member of a company
+export const getCompanyMembership = async (userId, companyId) => {
+  const result = await query(`
+    SELECT id, company_id, user_id, role, created_at
+    FROM company_users
+    WHERE user_id = $1 AND company_id = $2
+  `, [userId, companyId])
+
+  if (result.rows.length > 0) {
+    return result.rows[0]
+  }
+
+  if (await isPlatformAdmin(userId)) {
+    return { company_id: companyId, user_id: userId, role: 'admin', platform_admin: true }
+  }
+
+  return null
+}
+
+// Resolve the company owning the record addressed by a route param so that
+// requireCompanyAccess checks that company rather than a query param
+const loadResourceCompany = (table, label, paramNames) => async (req, res, next) => {
+  try {
+    const resourceId = paramNames.map(name => req.params[name]).find(Boolean)
+
+    const result = await query(`SELECT company_id FROM ${table} WHERE id = $1`, [resourceId])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { message: `${label} not found` }
+      })
+    }
+
+    req.resourceCompanyId = result.rows[0].company_id
+
+    next()
+  } catch (error) {
+    console.error(`${label} company lookup error:`, error)
+    return res.status(500).json({
+      success: false,
+      error: { message: 'Company access validation failed' }
+    })
+  }
+}
+
+export const loadSessionCompany = loadResourceCompany('sessions', 'Session', ['sessionId', 'id'])
+export const loadLeadCompany = loadResourceCompany('leads', 'Lead', ['leadId', 'id'])
+export const loadMessageCompany = loadResourceCompany('conversations', 'Message', ['messageId'])
+export const loadKnowledgeCompany = loadResourceCompany('knowledge_vault', 'Knowledge entry', ['knowledgeId'])
+export const loadNoteCompany = loadResourceCompany('notes', 'Note', ['noteId'])
+export const loadTagCompany = loadResourceCompany('tags', 'Tag', ['tagId'])
+export const loadTransferCompany = loadResourceCompany('transferred_leads', 'Transferred lead', ['transferId'])
+
 // Company access middleware - ensures user can only access their company data
-export const requireCompanyAccess = (req, res, next) => {
+export const requireCompanyAccess = async (req, res, next) => {
   try {
-    const companyId = req.params.companyId || req.query.company_id || req.body.company_id
+    const companyId = req.resourceCompanyId || req.params.companyId || req.query.company_id || req.body.company_id
 
     if (!companyId || companyId === 'null' || companyId === 'undefined') {
       return res.status(400).json({
@@ -104,12 +207,36 @@ export const requireCompanyAccess = (req, res, next) => {
       })
     }
 
-    // TODO: Add company access validation based on user permissions
-    // For now, we'll store the company ID for use in queries
+    // API keys are bound to one company and only reach routes that declare a scope
+    if (req.apiKey) {
+      if (req.apiKey.grantedScopes.length === 0 || req.apiKey.company_id !== parsedCompanyId) {
+        return res.status(403).json({
+          success: false,
+          error: { message: 'API key is not allowed to access this resource' }
+        })
+      }
+
+      req.companyId = parsedCompanyId
+      req.companyMembership = { company_id: parsedCompanyId, role: null, api_key_id: req.apiKey.id }
+
+      return next()
+    }
+
+    const membership = await getCompanyMembership(req.user.id, parsedCompanyId)
+
+    if (!membership) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Access to this company is not allowed' }
+      })
+    }
+
     req.companyId = parsedCompanyId
+    req.companyMembership = membership
     
     next()
   } catch (error) {
+    console.error('Company access middleware error:', error)
     return res.status(500).json({
       success: false,
       error: { message: 'Company access validation failed' }
@@ -117,4 +244,85 @@ export const requireCompanyAccess = (req, res, next) => {
   }
 }
 
+// Role middleware - must run after requireCompanyAccess. API keys have no
+// role and are only let through by a write scope granted on the route.
+export const requireRole = (...roles) => (req, res, next) => {
+  if (req.apiKey) {
+    if (!req.apiKey.grantedScopes.some(scope => scope.startsWith('write:'))) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'API key is not allowed to perform this action' }
+      })
+    }
+
+    return next()
+  }
+
+  const role = req.companyMembership?.role
+
+  if (!role || !roles.includes(role)) {
+    return res.status(403).json({
+      success: false,
+      error: { message: 'Insufficient permissions' }
+    })
+  }
+
+  next()
+}
+
+// Scope middleware - API keys must hold the scope, user tokens pass through.
+// Read scopes only cover GET requests so they can be applied to a whole router.
+export const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey) {
+    return next()
+  }
+
+  if (scope.startsWith('read:') && req.method !== 'GET') {
+    return next()
+  }
+
+  if (!req.apiKey.scopes.includes(scope)) {
+    return res.status(403).json({
+      success: false,
+      error: { message: `API key requires the ${scope} scope` }
+    })
+  }
+
+  req.apiKey.grantedScopes.push(scope)
+
+  next()
+}
+
+// User token middleware - for routes that API keys may never reach
+export const requireUserToken = (req, res, next) => {
+  if (req.apiKey) {
+    return res.status(403).json({
+      success: false,
+      error: { message: 'This endpoint requires a user token' }
+    })
+  }
+
+  next()
+}
+
+// Platform admin middleware - for routes that are not scoped to one company
+export const requirePlatformAdmin = async (req, res, next) => {
+  try {
+    if (!(await isPlatformAdmin(req.user.id))) {
+      return res.status(403).json({
+        success: false,
+        error: { message: 'Platform admin access required' }
+      })
+    }
+
+    next()
+  } catch (error) {
+    console.error('Platform admin middleware error:', error)
+    return res.status(500).json({
+      success: false,
+      error: { message: 'Permission validation failed' }
+    })
+  }
+}
+
 export { supabase }
\ No newline at end of file
@@ -0,0 +1,11 @@
+import crypto from 'crypto'
+
+// Attach a request id (from X-Request-Id or generated) to every request
+export const requestId = (req, res, next) => {
+  const incomingId = req.headers['x-request-id']
+
+  req.id = typeof incomingId === 'string' && incomingId.length <= 128 ? incomingId : crypto.randomUUID()
+  res.setHeader('X-Request-Id', req.id)
+
+  next()
+}
@@ -0,0 +1,139 @@
+import express from 'express'
+import { query } from '../config/database.js'
+import { authenticateToken, requireCompanyAccess, requireRole } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// Apply authentication to all routes
+router.use(authenticateToken)
+
+// GET /api/audit - Get audit log entries for a company
+router.get('/', requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { 
+      page = 1, 
+      limit = 50,
+      entity_type = '',
+      entity_id = '',
+      action = '',
+      actor_user_id = '',
+      request_id = '',
+      start_date,
+      end_date
+    } = req.query
+
+    const offset = (parseInt(page) - 1) * parseInt(limit)
+
+    // Build filters
+    let filters = []
+    let filterParams = [req.companyId]
+    let paramIndex = 2
+
+    if (entity_type) {
+      filters.push(`entity_type = $${paramIndex}`)
+      filterParams.push(entity_type)
+      paramIndex++
+    }
+
+    if (entity_id) {
+      filters.push(`entity_id = $${paramIndex}`)
+      filterParams.push(String(entity_id))
+      paramIndex++
+    }
+
+    if (action) {
+      filters.push(`action = $${paramIndex}`)
+      filterParams.push(action)
+      paramIndex++
+    }
+
+    if (actor_user_id) {
+      filters.push(`actor_user_id = $${paramIndex}`)
+      filterParams.push(actor_user_id)
+      paramIndex++
+    }
+
+    if (request_id) {
+      filters.push(`request_id = $${paramIndex}`)
+      filterParams.push(request_id)
+      paramIndex++
+    }
+
+    if (start_date && end_date) {
+      filters.push(`created_at BETWEEN $${paramIndex} AND $${paramIndex + 1}`)
+      filterParams.push(start_date, end_date)
+      paramIndex += 2
+    }
+
+    const whereClause = filters.length > 0 ? `AND ${filters.join(' AND ')}` : ''
+
+    const result = await query(`
+      SELECT 
+        id,
+        action,
+        entity_type,
+        entity_id,
+        before,
+        after,
+        actor_user_id,
+        actor_email,
+        actor_api_key_id,
+        request_id,
+        created_at
+      FROM audit_log
+      WHERE company_id = $1
+        ${whereClause}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${paramIndex} OFFSET $${paramIndex + 1}
+    `, [...filterParams, parseInt(limit), offset])
+
+    // Get total count
+    const countResult = await query(`
+      SELECT COUNT(*) as total
+      FROM audit_log
+      WHERE company_id = $1
+        ${whereClause}
+    `, filterParams)
+
+    const total = parseInt(countResult.rows[0].total)
+    const totalPages = Math.ceil(total / parseInt(limit))
+
+    res.json({
+      success: true,
+      data: {
+        entries: result.rows.map(row => ({
+          id: row.id,
+          action: row.action,
+          entity_type: row.entity_type,
+          entity_id: row.entity_id,
+          before: row.before,
+          after: row.after,
+          actor: {
+            user_id: row.actor_user_id,
+            email: row.actor_email,
+            api_key_id: row.actor_api_key_id
+          },
+          request_id: row.request_id,
+          created_at: row.created_at
+        })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: totalPages,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    })
+
+  } catch (error) {
+    console.error('Audit log error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch audit log' }
+    })
+  }
+})
+
+export default router
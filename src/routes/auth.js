@@ -1,6 +1,7 @@
 import express from 'express'
-import jwt from 'jsonwebtoken'
-import { supabase } from '../middleware/auth.js'
+import { query } from '../config/database.js'
+import { supabase, authenticateToken, isPlatformAdmin } from '../middleware/auth.js'
+import { issueTokens, rotateRefreshToken, revokeFamily, revokeAllForUser, verifyAccessToken } from '../services/tokens.js'
 
 const router = express.Router()
 
@@ -29,15 +30,8 @@ router.post('/login', async (req, res) => {
       })
     }
 
-    // Create JWT token
-    const token = jwt.sign(
-      { 
-        sub: data.user.id,
-        email: data.user.email 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    )
+    // Create access and refresh tokens
+    const tokens = await issueTokens(data.user)
 
     res.json({
       success: true,
@@ -47,10 +41,7 @@ router.post('/login', async (req, res) => {
           email: data.user.email,
           name: data.user.user_metadata?.full_name || data.user.email
         },
-        session: {
-          access_token: token,
-          expires_at: data.session.expires_at
-        }
+        session: tokens
       }
     })
 
@@ -84,15 +75,8 @@ router.post('/oauth', async (req, res) => {
       })
     }
 
-    // Create JWT token
-    const token = jwt.sign(
-      { 
-        sub: user.id,
-        email: user.email 
-      },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    )
+    // Create access and refresh tokens
+    const tokens = await issueTokens(user)
 
     res.json({
       success: true,
@@ -103,9 +87,7 @@ router.post('/oauth', async (req, res) => {
           name: user.user_metadata?.full_name || user.email,
           avatar: user.user_metadata?.avatar_url
         },
-        session: {
-          access_token: token
-        }
+        session: tokens
       }
     })
 
@@ -117,18 +99,68 @@ router.post('/oauth', async (req, res) => {
   }
 })
 
-// Logout
-router.post('/logout', async (req, res) => {
+// Refresh - exchange a refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
   try {
-    // Note: JWT tokens are stateless, so we just return success
-    // In production, you might want to implement a token blacklist
-    
+    const { refresh_token } = req.body
+
+    if (!refresh_token) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Refresh token is required' }
+      })
+    }
+
+    const tokens = await rotateRefreshToken(refresh_token)
+
+    if (!tokens) {
+      return res.status(401).json({
+        success: false,
+        error: { message: 'Refresh token already used, session revoked' }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        session: tokens
+      }
+    })
+
+  } catch (error) {
+    if (error.name === 'TokenRevokedError') {
+      return res.status(401).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
+    console.error('Token refresh error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Token refresh failed' }
+    })
+  }
+})
+
+// Logout - revoke this device's tokens, or every device with all_devices
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    const { all_devices = false } = req.body
+
+    if (all_devices) {
+      await revokeAllForUser(req.user.id)
+    } else {
+      await revokeFamily(req.user.fid)
+    }
+
     res.json({
       success: true,
       message: 'Logged out successfully'
     })
 
   } catch (error) {
+    console.error('Logout error:', error)
     res.status(500).json({
       success: false,
       error: { message: 'Logout failed' }
@@ -149,8 +181,8 @@ router.get('/verify', async (req, res) => {
       })
     }
 
-    // Verify JWT
-    const decoded = jwt.verify(token, process.env.JWT_SECRET)
+    // Verify JWT and that it has not been revoked
+    const decoded = await verifyAccessToken(token)
     
     // Verify with Supabase
     const { data: { user }, error } = await supabase.auth.getUser(token)
@@ -189,6 +221,13 @@ router.get('/verify', async (req, res) => {
       })
     }
 
+    if (error.name === 'TokenRevokedError') {
+      return res.status(401).json({
+        success: false,
+        error: { message: 'Token revoked' }
+      })
+    }
+
     res.status(500).json({
       success: false,
       error: { message: 'Token verification failed' }
@@ -196,6 +235,42 @@ router.get('/verify', async (req, res) => {
   }
 })
 
+// GET /api/auth/me/companies - Companies the authenticated user can access
+router.get('/me/companies', authenticateToken, async (req, res) => {
+  try {
+    // Platform admins can switch to any company
+    const result = await isPlatformAdmin(req.user.id)
+      ? await query(`
+          SELECT id, name, phone_number, 'admin' as role
+          FROM companies
+          ORDER BY name ASC
+        `)
+      : await query(`
+          SELECT 
+            c.id,
+            c.name,
+            c.phone_number,
+            cu.role
+          FROM company_users cu
+          JOIN companies c ON cu.company_id = c.id
+          WHERE cu.user_id = $1
+          ORDER BY c.name ASC
+        `, [req.user.id])
+
+    res.json({
+      success: true,
+      data: result.rows
+    })
+
+  } catch (error) {
+    console.error('User companies error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch user companies' }
+    })
+  }
+})
+
 // Debug endpoint to test authentication
 router.get('/debug', async (req, res) => {
   try {
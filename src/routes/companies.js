@@ -1,15 +1,25 @@
 import express from 'express'
-import { query } from '../config/database.js'
-import { authenticateToken } from '../middleware/auth.js'
+import { query, transaction } from '../config/database.js'
+import { authenticateToken, requireUserToken, requireCompanyAccess, requireRole, requirePlatformAdmin, isPlatformAdmin, supabase, ROLES } from '../middleware/auth.js'
+import { API_KEY_SCOPES, generateApiKey } from '../services/apiKeys.js'
+import { recordAudit } from '../services/audit.js'
+import { validateKeyDefinition } from '../services/knowledgeSchema.js'
+import { ASSIGNMENT_STRATEGIES, parseDealerEmails } from '../services/assignments.js'
+import { DEFAULT_INACTIVITY_HOURS } from '../services/abandonment.js'
+import { DISCARD_REASON_CODE_PATTERN, seedDiscardReasons } from '../services/discards.js'
+import { resolveScoringConfig, validateScoringConfig } from '../services/leadScoring.js'
 
 const router = express.Router()
 
 // Apply authentication to all routes
 router.use(authenticateToken)
+router.use(requireUserToken)
 
-// GET /api/companies - Get all companies
+// GET /api/companies - Get the caller's companies (every company for platform admins)
 router.get('/', async (req, res) => {
   try {
+    const allCompanies = await isPlatformAdmin(req.user.id)
+
     const result = await query(`
       SELECT 
         id,
@@ -20,8 +30,9 @@ router.get('/', async (req, res) => {
         phone_number_id,
         created_at
       FROM companies 
+      WHERE $1 OR id IN (SELECT company_id FROM company_users WHERE user_id = $2)
       ORDER BY name ASC
-    `)
+    `, [allCompanies, req.user.id])
 
     res.json({
       success: true,
@@ -37,17 +48,8 @@ router.get('/', async (req, res) => {
 })
 
 // GET /api/companies/:id - Get company by ID
-router.get('/:id', async (req, res) => {
+router.get('/:companyId', requireCompanyAccess, async (req, res) => {
   try {
-    const { id } = req.params
-
-    if (!id || isNaN(id)) {
-      return res.status(400).json({
-        success: false,
-        error: { message: 'Valid company ID required' }
-      })
-    }
-
     const result = await query(`
       SELECT 
         id,
@@ -59,7 +61,7 @@ router.get('/:id', async (req, res) => {
         created_at
       FROM companies 
       WHERE id = $1
-    `, [id])
+    `, [req.companyId])
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -82,7 +84,7 @@ router.get('/:id', async (req, res) => {
 })
 
 // POST /api/companies - Create new company
-router.post('/', async (req, res) => {
+router.post('/', requirePlatformAdmin, async (req, res) => {
   try {
     const { name, context, dealers, phone_number, phone_number_id } = req.body
 
@@ -93,15 +95,29 @@ router.post('/', async (req, res) => {
       })
     }
 
-    const result = await query(`
-      INSERT INTO companies (name, context, dealers, phone_number, phone_number_id)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id, name, context, dealers, phone_number, phone_number_id, created_at
-    `, [name, context, dealers, phone_number, phone_number_id])
+    const company = await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO companies (name, context, dealers, phone_number, phone_number_id)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING id, name, context, dealers, phone_number, phone_number_id, created_at
+      `, [name, context, dealers, phone_number, phone_number_id])
+
+      await seedDiscardReasons(client, result.rows[0].id)
+
+      await recordAudit(req, {
+        companyId: result.rows[0].id,
+        entityType: 'company',
+        entityId: result.rows[0].id,
+        action: 'create',
+        after: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
 
     res.status(201).json({
       success: true,
-      data: result.rows[0]
+      data: company
     })
 
   } catch (error) {
@@ -120,7 +136,7 @@ router.post('/', async (req, res) => {
 })
 
 // PUT /api/companies/:id - Update company
-router.put('/:id', async (req, res) => {
+router.put('/:id', requirePlatformAdmin, async (req, res) => {
   try {
     const { id } = req.params
     const { name, context, dealers, phone_number, phone_number_id } = req.body
@@ -139,19 +155,43 @@ router.put('/:id', async (req, res) => {
       })
     }
 
-    const result = await query(`
-      UPDATE companies 
-      SET 
-        name = $1,
-        context = $2,
-        dealers = $3,
-        phone_number = $4,
-        phone_number_id = $5
-      WHERE id = $6
-      RETURNING id, name, context, dealers, phone_number, phone_number_id, created_at
-    `, [name, context, dealers, phone_number, phone_number_id, id])
+    const company = await transaction(async (client) => {
+      const currentResult = await client.query(`
+        SELECT id, name, context, dealers, phone_number, phone_number_id, created_at
+        FROM companies
+        WHERE id = $1
+        FOR UPDATE
+      `, [id])
 
-    if (result.rows.length === 0) {
+      if (currentResult.rows.length === 0) {
+        return null
+      }
+
+      const result = await client.query(`
+        UPDATE companies 
+        SET 
+          name = $1,
+          context = $2,
+          dealers = $3,
+          phone_number = $4,
+          phone_number_id = $5
+        WHERE id = $6
+        RETURNING id, name, context, dealers, phone_number, phone_number_id, created_at
+      `, [name, context, dealers, phone_number, phone_number_id, id])
+
+      await recordAudit(req, {
+        companyId: parseInt(id),
+        entityType: 'company',
+        entityId: id,
+        action: 'update',
+        before: currentResult.rows[0],
+        after: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    if (!company) {
       return res.status(404).json({
         success: false,
         error: { message: 'Company not found' }
@@ -160,7 +200,7 @@ router.put('/:id', async (req, res) => {
 
     res.json({
       success: true,
-      data: result.rows[0]
+      data: company
     })
 
   } catch (error) {
@@ -179,7 +219,7 @@ router.put('/:id', async (req, res) => {
 })
 
 // DELETE /api/companies/:id - Delete company
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requirePlatformAdmin, async (req, res) => {
   try {
     const { id } = req.params
 
@@ -215,9 +255,29 @@ router.delete('/:id', async (req, res) => {
       })
     }
 
-    const result = await query('DELETE FROM companies WHERE id = $1 RETURNING id', [id])
+    const deleted = await transaction(async (client) => {
+      const result = await client.query(`
+        DELETE FROM companies
+        WHERE id = $1
+        RETURNING id, name, context, dealers, phone_number, phone_number_id, created_at
+      `, [id])
 
-    if (result.rows.length === 0) {
+      if (result.rows.length === 0) {
+        return null
+      }
+
+      await recordAudit(req, {
+        companyId: parseInt(id),
+        entityType: 'company',
+        entityId: id,
+        action: 'delete',
+        before: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    if (!deleted) {
       return res.status(404).json({
         success: false,
         error: { message: 'Company not found' }
@@ -237,4 +297,908 @@ router.delete('/:id', async (req, res) => {
   }
 })
 
+// GET /api/companies/:companyId/users - List company members and their roles
+router.get('/:companyId/users', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT id, user_id, email, role, created_at
+      FROM company_users
+      WHERE company_id = $1
+      ORDER BY email ASC NULLS LAST, created_at ASC
+    `, [req.companyId])
+
+    res.json({
+      success: true,
+      data: result.rows
+    })
+
+  } catch (error) {
+    console.error('Company users error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch company users' }
+    })
+  }
+})
+
+// POST /api/companies/:companyId/users - Add a user to a company
+router.post('/:companyId/users', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const { user_id, role = 'viewer' } = req.body
+
+    if (!user_id) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'User ID is required' }
+      })
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Role must be one of: ${ROLES.join(', ')}` }
+      })
+    }
+
+    const { data, error } = await supabase.auth.admin.getUserById(user_id)
+
+    if (error || !data?.user) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'User not found' }
+      })
+    }
+
+    const member = await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO company_users (company_id, user_id, email, role)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, user_id, email, role, created_at
+      `, [req.companyId, user_id, data.user.email, role])
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'company_user',
+        entityId: user_id,
+        action: 'create',
+        after: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    res.status(201).json({
+      success: true,
+      data: member
+    })
+
+  } catch (error) {
+    if (error.code === '23505') { // unique_violation
+      return res.status(409).json({
+        success: false,
+        error: { message: 'User is already a member of this company' }
+      })
+    }
+
+    console.error('Company user creation error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to add company user' }
+    })
+  }
+})
+
+// PUT /api/companies/:companyId/users/:userId - Change a member's role
+router.put('/:companyId/users/:userId', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params
+    const { role } = req.body
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Role must be one of: ${ROLES.join(', ')}` }
+      })
+    }
+
+    const member = await transaction(async (client) => {
+      const currentResult = await client.query(`
+        SELECT role
+        FROM company_users
+        WHERE company_id = $1 AND user_id = $2
+        FOR UPDATE
+      `, [req.companyId, userId])
+
+      if (currentResult.rows.length === 0) {
+        return null
+      }
+
+      const result = await client.query(`
+        UPDATE company_users
+        SET role = $1
+        WHERE company_id = $2 AND user_id = $3
+        RETURNING id, user_id, email, role, created_at
+      `, [role, req.companyId, userId])
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'company_user',
+        entityId: userId,
+        action: 'update',
+        before: { role: currentResult.rows[0].role },
+        after: { role }
+      }, client)
+
+      return result.rows[0]
+    })
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Company user not found' }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: member
+    })
+
+  } catch (error) {
+    console.error('Company user update error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update company user' }
+    })
+  }
+})
+
+// DELETE /api/companies/:companyId/users/:userId - Remove a user from a company
+router.delete('/:companyId/users/:userId', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params
+
+    const removed = await transaction(async (client) => {
+      const result = await client.query(`
+        DELETE FROM company_users
+        WHERE company_id = $1 AND user_id = $2
+        RETURNING id, user_id, email, role, created_at
+      `, [req.companyId, userId])
+
+      if (result.rows.length === 0) {
+        return null
+      }
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'company_user',
+        entityId: userId,
+        action: 'delete',
+        before: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Company user not found' }
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Company user removed successfully'
+    })
+
+  } catch (error) {
+    console.error('Company user removal error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to remove company user' }
+    })
+  }
+})
+
+// GET /api/companies/:companyId/api-keys - List a company's API keys
+router.get('/:companyId/api-keys', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT id, name, key_prefix, scopes, created_by, last_used_at, revoked_at, created_at
+      FROM api_keys
+      WHERE company_id = $1
+      ORDER BY created_at DESC
+    `, [req.companyId])
+
+    res.json({
+      success: true,
+      data: result.rows
+    })
+
+  } catch (error) {
+    console.error('API keys error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch API keys' }
+    })
+  }
+})
+
+// POST /api/companies/:companyId/api-keys - Create an API key (the key is only returned here)
+router.post('/:companyId/api-keys', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const { name, scopes } = req.body
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'API key name is required' }
+      })
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || !scopes.every(scope => API_KEY_SCOPES.includes(scope))) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Scopes must be a non-empty list of: ${API_KEY_SCOPES.join(', ')}` }
+      })
+    }
+
+    const { key, prefix, hash } = generateApiKey()
+
+    const apiKey = await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO api_keys (company_id, name, key_prefix, key_hash, scopes, created_by)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, name, key_prefix, scopes, created_by, created_at
+      `, [req.companyId, name, prefix, hash, scopes, req.user.id])
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'api_key',
+        entityId: result.rows[0].id,
+        action: 'create',
+        after: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...apiKey,
+        key
+      }
+    })
+
+  } catch (error) {
+    console.error('API key creation error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to create API key' }
+    })
+  }
+})
+
+// DELETE /api/companies/:companyId/api-keys/:keyId - Revoke an API key
+router.delete('/:companyId/api-keys/:keyId', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const { keyId } = req.params
+
+    if (isNaN(keyId)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Valid API key ID required' }
+      })
+    }
+
+    const revoked = await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE api_keys
+        SET revoked_at = NOW()
+        WHERE id = $1 AND company_id = $2 AND revoked_at IS NULL
+        RETURNING id, name, key_prefix, scopes, revoked_at
+      `, [keyId, req.companyId])
+
+      if (result.rows.length === 0) {
+        return null
+      }
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'api_key',
+        entityId: keyId,
+        action: 'revoke',
+        after: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'API key not found' }
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    })
+
+  } catch (error) {
+    console.error('API key revocation error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to revoke API key' }
+    })
+  }
+})
+
+// GET /api/companies/:companyId/assignment-settings - How new sessions are assigned
+router.get('/:companyId/assignment-settings', requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const result = await query('SELECT assignment_strategy, dealers FROM companies WHERE id = $1', [req.companyId])
+
+    res.json({
+      success: true,
+      data: {
+        assignment_strategy: result.rows[0].assignment_strategy,
+        dealer_emails: parseDealerEmails(result.rows[0].dealers)
+      }
+    })
+
+  } catch (error) {
+    console.error('Assignment settings error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch assignment settings' }
+    })
+  }
+})
+
+// PUT /api/companies/:companyId/assignment-settings - Change how new sessions are assigned
+router.put('/:companyId/assignment-settings', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const { assignment_strategy } = req.body
+
+    if (!ASSIGNMENT_STRATEGIES.includes(assignment_strategy)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Assignment strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}` }
+      })
+    }
+
+    const settings = await transaction(async (client) => {
+      const before = await client.query('SELECT assignment_strategy FROM companies WHERE id = $1 FOR UPDATE', [req.companyId])
+
+      const result = await client.query(`
+        UPDATE companies
+        SET assignment_strategy = $2
+        WHERE id = $1
+        RETURNING assignment_strategy
+      `, [req.companyId, assignment_strategy])
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'company',
+        entityId: req.companyId,
+        action: 'update_assignment_settings',
+        before: before.rows[0],
+        after: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    res.json({
+      success: true,
+      data: settings
+    })
+
+  } catch (error) {
+    console.error('Assignment settings update error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update assignment settings' }
+    })
+  }
+})
+
+// GET /api/companies/:companyId/inactivity-settings - When idle sessions are abandoned
+router.get('/:companyId/inactivity-settings', requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const result = await query('SELECT inactivity_threshold_hours FROM companies WHERE id = $1', [req.companyId])
+
+    res.json({
+      success: true,
+      data: {
+        inactivity_threshold_hours: result.rows[0].inactivity_threshold_hours,
+        default_threshold_hours: DEFAULT_INACTIVITY_HOURS
+      }
+    })
+
+  } catch (error) {
+    console.error('Inactivity settings error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch inactivity settings' }
+    })
+  }
+})
+
+// PUT /api/companies/:companyId/inactivity-settings - Change the abandonment threshold (null = default, 0 = never)
+router.put('/:companyId/inactivity-settings', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const { inactivity_threshold_hours } = req.body
+
+    if (inactivity_threshold_hours !== null && (!Number.isInteger(inactivity_threshold_hours) || inactivity_threshold_hours < 0)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Inactivity threshold must be a whole number of hours, or null for the default' }
+      })
+    }
+
+    const settings = await transaction(async (client) => {
+      const before = await client.query('SELECT inactivity_threshold_hours FROM companies WHERE id = $1 FOR UPDATE', [req.companyId])
+
+      const result = await client.query(`
+        UPDATE companies
+        SET inactivity_threshold_hours = $2
+        WHERE id = $1
+        RETURNING inactivity_threshold_hours
+      `, [req.companyId, inactivity_threshold_hours])
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'company',
+        entityId: req.companyId,
+        action: 'update_inactivity_settings',
+        before: before.rows[0],
+        after: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    res.json({
+      success: true,
+      data: settings
+    })
+
+  } catch (error) {
+    console.error('Inactivity settings update error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update inactivity settings' }
+    })
+  }
+})
+
+// GET /api/companies/:companyId/lead-scoring - Scoring config (overrides and effective values)
+router.get('/:companyId/lead-scoring', requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const result = await query('SELECT lead_scoring_config FROM companies WHERE id = $1', [req.companyId])
+    const overrides = result.rows[0].lead_scoring_config
+
+    res.json({
+      success: true,
+      data: {
+        overrides,
+        effective: resolveScoringConfig(overrides)
+      }
+    })
+
+  } catch (error) {
+    console.error('Lead scoring config error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch lead scoring config' }
+    })
+  }
+})
+
+// PUT /api/companies/:companyId/lead-scoring - Replace the scoring overrides (null restores the defaults)
+router.put('/:companyId/lead-scoring', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const { config } = req.body
+
+    if (config !== null) {
+      validateScoringConfig(config)
+    }
+
+    const updated = await transaction(async (client) => {
+      const before = await client.query('SELECT lead_scoring_config FROM companies WHERE id = $1 FOR UPDATE', [req.companyId])
+
+      const result = await client.query(`
+        UPDATE companies
+        SET lead_scoring_config = $2
+        WHERE id = $1
+        RETURNING lead_scoring_config
+      `, [req.companyId, config !== null ? JSON.stringify(config) : null])
+
+      // Every score is recalculated with the new config by the cron job
+      const staleResult = await client.query(`
+        UPDATE leads SET score_stale = true WHERE company_id = $1
+      `, [req.companyId])
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'company',
+        entityId: req.companyId,
+        action: 'update_lead_scoring',
+        before: before.rows[0],
+        after: result.rows[0]
+      }, client)
+
+      return { overrides: result.rows[0].lead_scoring_config, stale_leads: staleResult.rowCount }
+    })
+
+    res.json({
+      success: true,
+      data: {
+        ...updated,
+        effective: resolveScoringConfig(updated.overrides)
+      }
+    })
+
+  } catch (error) {
+    if (error.name === 'LeadScoringError') {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
+    console.error('Lead scoring config update error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update lead scoring config' }
+    })
+  }
+})
+
+// GET /api/companies/:companyId/discard-reasons - List the discard reason catalogue
+router.get('/:companyId/discard-reasons', requireCompanyAccess, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT id, code, label, active, created_at, updated_at
+      FROM discard_reasons
+      WHERE company_id = $1
+      ORDER BY active DESC, label
+    `, [req.companyId])
+
+    res.json({
+      success: true,
+      data: result.rows
+    })
+
+  } catch (error) {
+    console.error('Discard reasons error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch discard reasons' }
+    })
+  }
+})
+
+// POST /api/companies/:companyId/discard-reasons - Add a reason to the catalogue
+router.post('/:companyId/discard-reasons', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const { code, label } = req.body
+    const normalizedCode = String(code || '').trim().toLowerCase()
+
+    if (!DISCARD_REASON_CODE_PATTERN.test(normalizedCode) || !label) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'A label and a code of letters, numbers and underscores are required' }
+      })
+    }
+
+    const reason = await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO discard_reasons (company_id, code, label)
+        VALUES ($1, $2, $3)
+        RETURNING id, code, label, active, created_at, updated_at
+      `, [req.companyId, normalizedCode, String(label).trim()])
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'discard_reason',
+        entityId: result.rows[0].id,
+        action: 'create',
+        after: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    res.status(201).json({
+      success: true,
+      data: reason
+    })
+
+  } catch (error) {
+    if (error.code === '23505') { // unique_violation
+      return res.status(409).json({
+        success: false,
+        error: { message: 'Discard reason code already exists' }
+      })
+    }
+
+    console.error('Discard reason creation error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to create discard reason' }
+    })
+  }
+})
+
+// PUT /api/companies/:companyId/discard-reasons/:reasonId - Rename or (de)activate a reason.
+// Codes are kept once created so past discards stay attributed.
+router.put('/:companyId/discard-reasons/:reasonId', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const { reasonId } = req.params
+    const { label, active } = req.body
+
+    if (isNaN(reasonId)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Valid discard reason ID required' }
+      })
+    }
+
+    if ((label !== undefined && !String(label).trim()) || (active !== undefined && typeof active !== 'boolean')) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Label must not be empty and active must be a boolean' }
+      })
+    }
+
+    const reason = await transaction(async (client) => {
+      const before = await client.query(`
+        SELECT id, code, label, active
+        FROM discard_reasons
+        WHERE id = $1 AND company_id = $2
+        FOR UPDATE
+      `, [reasonId, req.companyId])
+
+      if (before.rows.length === 0) {
+        return null
+      }
+
+      const result = await client.query(`
+        UPDATE discard_reasons
+        SET label = COALESCE($3, label), active = COALESCE($4, active), updated_at = NOW()
+        WHERE id = $1 AND company_id = $2
+        RETURNING id, code, label, active, created_at, updated_at
+      `, [reasonId, req.companyId, label !== undefined ? String(label).trim() : null, active ?? null])
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'discard_reason',
+        entityId: reasonId,
+        action: 'update',
+        before: before.rows[0],
+        after: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    if (!reason) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Discard reason not found' }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: reason
+    })
+
+  } catch (error) {
+    console.error('Discard reason update error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update discard reason' }
+    })
+  }
+})
+
+// GET /api/companies/:companyId/knowledge-keys - List the knowledge key catalogue
+router.get('/:companyId/knowledge-keys', requireCompanyAccess, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT id, key, label, data_type, options, aliases, created_at, updated_at
+      FROM knowledge_keys
+      WHERE company_id = $1
+      ORDER BY key
+    `, [req.companyId])
+
+    res.json({
+      success: true,
+      data: result.rows
+    })
+
+  } catch (error) {
+    console.error('Knowledge keys error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch knowledge keys' }
+    })
+  }
+})
+
+// POST /api/companies/:companyId/knowledge-keys - Add a key to the catalogue
+router.post('/:companyId/knowledge-keys', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const definition = await validateKeyDefinition(req.companyId, req.body)
+
+    const knowledgeKey = await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO knowledge_keys (company_id, key, label, data_type, options, aliases)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, key, label, data_type, options, aliases, created_at, updated_at
+      `, [req.companyId, definition.key, definition.label, definition.data_type, definition.options, definition.aliases])
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'knowledge_key',
+        entityId: result.rows[0].id,
+        action: 'create',
+        after: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    res.status(201).json({
+      success: true,
+      data: knowledgeKey
+    })
+
+  } catch (error) {
+    if (error.name === 'KnowledgeValidationError') {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
+    console.error('Knowledge key creation error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to create knowledge key' }
+    })
+  }
+})
+
+// PUT /api/companies/:companyId/knowledge-keys/:keyId - Update a catalogue key
+router.put('/:companyId/knowledge-keys/:keyId', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const { keyId } = req.params
+
+    if (isNaN(keyId)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Valid knowledge key ID required' }
+      })
+    }
+
+    const existing = await query(`
+      SELECT id, key, label, data_type, options, aliases
+      FROM knowledge_keys
+      WHERE id = $1 AND company_id = $2
+    `, [keyId, req.companyId])
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Knowledge key not found' }
+      })
+    }
+
+    const before = existing.rows[0]
+    const definition = await validateKeyDefinition(req.companyId, { ...before, ...req.body }, parseInt(keyId))
+
+    const knowledgeKey = await transaction(async (client) => {
+      const result = await client.query(`
+        UPDATE knowledge_keys
+        SET key = $3, label = $4, data_type = $5, options = $6, aliases = $7, updated_at = NOW()
+        WHERE id = $1 AND company_id = $2
+        RETURNING id, key, label, data_type, options, aliases, created_at, updated_at
+      `, [keyId, req.companyId, definition.key, definition.label, definition.data_type, definition.options, definition.aliases])
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'knowledge_key',
+        entityId: keyId,
+        action: 'update',
+        before,
+        after: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    res.json({
+      success: true,
+      data: knowledgeKey
+    })
+
+  } catch (error) {
+    if (error.name === 'KnowledgeValidationError') {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
+    console.error('Knowledge key update error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update knowledge key' }
+    })
+  }
+})
+
+// DELETE /api/companies/:companyId/knowledge-keys/:keyId - Remove a key from the catalogue
+router.delete('/:companyId/knowledge-keys/:keyId', requireCompanyAccess, requireRole('admin'), async (req, res) => {
+  try {
+    const { keyId } = req.params
+
+    if (isNaN(keyId)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Valid knowledge key ID required' }
+      })
+    }
+
+    const deleted = await transaction(async (client) => {
+      const result = await client.query(`
+        DELETE FROM knowledge_keys
+        WHERE id = $1 AND company_id = $2
+        RETURNING id, key, label, data_type, options, aliases
+      `, [keyId, req.companyId])
+
+      if (result.rows.length === 0) {
+        return null
+      }
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'knowledge_key',
+        entityId: keyId,
+        action: 'delete',
+        before: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Knowledge key not found' }
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Knowledge key deleted successfully'
+    })
+
+  } catch (error) {
+    console.error('Knowledge key deletion error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to delete knowledge key' }
+    })
+  }
+})
+
 export default router
\ No newline at end of file
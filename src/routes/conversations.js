@@ -1,14 +1,44 @@
 import express from 'express'
-import { query } from '../config/database.js'
-import { authenticateToken, requireCompanyAccess } from '../middleware/auth.js'
+import { query, transaction } from '../config/database.js'
+import { authenticateToken, requireCompanyAccess, requireRole, requireScope, requireUserToken, loadSessionCompany, loadMessageCompany, loadKnowledgeCompany, tokenFromQuery } from '../middleware/auth.js'
+import { recordAudit } from '../services/audit.js'
+import { recordKnowledgeVersion } from '../services/knowledge.js'
+import { loadKnowledgeCatalogue, resolveKnowledgeKey, normalizeKnowledgeKey, prepareKnowledgeEntry } from '../services/knowledgeSchema.js'
+import { subscribeToCompanyEvents } from '../services/events.js'
+import { getWhatsAppClient } from '../services/whatsapp.js'
+import { saveMedia, resolveMediaPath, mediaExists } from '../services/mediaStorage.js'
+import { listNotes } from '../services/notes.js'
+import { parseTagFilter, tagFilterSql, sessionTagsSql } from '../services/tags.js'
+import { assigneeFilterSql } from '../services/assignments.js'
+import { refreshContactLeadScores } from '../services/leadScoring.js'
+import { unreadCountSql, markedUnreadSql, markSessionsRead, markSessionUnread } from '../services/readMarkers.js'
+import { TRANSCRIPT_FORMATS, buildSessionTranscript, buildContactTranscript, sendTranscript } from '../services/transcripts.js'
+import { MESSAGE_SENDERS, KNOWLEDGE_SOURCES } from '../config/constants.js'
 
 const router = express.Router()
 
+// Public view of conversations.media - storage details stay server-side and
+// files are served through the authenticated media route
+const formatMedia = (row) => {
+  if (!row.media) return null
+
+  const { local_path, storage_url, wa_media_id, ...media } = row.media
+
+  if (row.message_type === 'location') {
+    return media
+  }
+
+  return {
+    ...media,
+    download_url: `/api/conversations/messages/${row.id}/media`
+  }
+}
+
 // GET /api/conversations/qualification-statuses - Get all qualification statuses (no auth needed)
 router.get('/qualification-statuses', async (req, res) => {
   try {
     const result = await query(`
-      SELECT id, description
+      SELECT id, description, allowed_next_statuses
       FROM qualification_statuses
       ORDER BY id
     `)
@@ -27,11 +57,15 @@ router.get('/qualification-statuses', async (req, res) => {
   }
 })
 
+// The live stream is consumed with EventSource, which cannot send headers
+router.use('/stream', tokenFromQuery)
+
 // Apply authentication to all other routes
 router.use(authenticateToken)
+router.use(requireScope('read:conversations'))
 
 // Test endpoint to verify authentication and basic database access
-router.get('/test', async (req, res) => {
+router.get('/test', requireUserToken, async (req, res) => {
   try {
     console.log('🧪 Test endpoint called')
     
@@ -65,7 +99,10 @@ router.get('/', requireCompanyAccess, async (req, res) => {
       page = 1, 
       limit = 20, 
       search = '', 
-      status = null 
+      status = null,
+      tags = '',
+      tag_match = 'any',
+      assigned_to = ''
     } = req.query
     
     const companyId = company_id || req.companyId
@@ -78,11 +115,14 @@ router.get('/', requireCompanyAccess, async (req, res) => {
       })
     }
 
-    // Build search and status filters
+    // Build search, status, tag and assignee filters
     let searchFilter = ''
     let statusFilter = ''
+    let tagFilter = ''
+    let assigneeSql = ''
     let queryParams = [companyId, parseInt(limit), offset]
     let paramIndex = 4
+    const tagSlugs = parseTagFilter(tags)
 
     if (search) {
       searchFilter = `AND (ct.name ILIKE $${paramIndex} OR ct.phone_number::text ILIKE $${paramIndex} OR ct.email ILIKE $${paramIndex})`
@@ -93,14 +133,39 @@ router.get('/', requireCompanyAccess, async (req, res) => {
     if (status !== null && !isNaN(status)) {
       statusFilter = `AND s.status = $${paramIndex}`
       queryParams.push(parseInt(status))
+      paramIndex++
+    }
+
+    if (tagSlugs.length > 0) {
+      tagFilter = tagFilterSql('s.id', paramIndex, tag_match)
+      queryParams.push(tagSlugs)
+      paramIndex++
+    }
+
+    if (assigned_to) {
+      const assigneeFilter = assigneeFilterSql('s.assigned_user_id', assigned_to, paramIndex, req.user.id)
+      if (!assigneeFilter) {
+        return res.status(400).json({
+          success: false,
+          error: { message: 'assigned_to must be a user ID, "me" or "unassigned"' }
+        })
+      }
+
+      assigneeSql = assigneeFilter.sql
+      queryParams.push(...assigneeFilter.params)
+      paramIndex += assigneeFilter.params.length
     }
 
+    // The reader's id is only used by the unread columns, not by the count query
+    const userParam = `$${queryParams.push(req.user.id)}`
+
     // Get conversations with contact info and session status
     const conversationsResult = await query(`
       SELECT DISTINCT ON (s.id)
         s.id as session_id,
         s.status,
         s.created_at as session_created_at,
+        s.assigned_user_id,
         ct.id as contact_id,
         ct.name as contact_name,
         ct.phone_number,
@@ -108,11 +173,15 @@ router.get('/', requireCompanyAccess, async (req, res) => {
         last_msg.content as last_message,
         last_msg.created_at as last_message_time,
         last_msg.sender as last_message_sender,
-        msg_count.total_messages
+        last_msg.message_type as last_message_type,
+        msg_count.total_messages,
+        ${sessionTagsSql('s.id')} as tags,
+        ${unreadCountSql('us.id = s.id', userParam)} as unread_count,
+        ${markedUnreadSql('us.id = s.id', userParam)} as marked_unread
       FROM sessions s
       LEFT JOIN contacts ct ON s.contact_id = ct.id
       LEFT JOIN LATERAL (
-        SELECT content, created_at, sender
+        SELECT content, created_at, sender, message_type
         FROM conversations c
         WHERE c.session_id = s.id
         ORDER BY c.created_at DESC
@@ -126,23 +195,26 @@ router.get('/', requireCompanyAccess, async (req, res) => {
       WHERE s.company_id = $1
         ${searchFilter}
         ${statusFilter}
+        ${tagFilter}
+        ${assigneeSql}
       ORDER BY s.id, last_msg.created_at DESC NULLS LAST
       LIMIT $2 OFFSET $3
     `, queryParams)
 
-    // Get total count for pagination
-    const countQuery = queryParams.slice(0, paramIndex - 3) // Remove limit and offset
-    countQuery[0] = companyId // Keep company_id as first param
-    
+    // Get total count for pagination - same filters without limit and
+    // offset, so every parameter moves down two places
+    const shiftParams = (filter) => filter.replace(/\$(\d+)/g, (match, index) => `$${index - 2}`)
+
     const countResult = await query(`
       SELECT COUNT(DISTINCT s.id) as total
       FROM sessions s
       LEFT JOIN contacts ct ON s.contact_id = ct.id
-      LEFT JOIN conversations c ON s.id = c.session_id
       WHERE s.company_id = $1
-        ${searchFilter.replace('$' + (paramIndex - 1), '$2')}
-        ${statusFilter.replace('$' + paramIndex, '$' + (search ? 3 : 2))}
-    `, search ? [companyId, `%${search}%`, ...(status !== null ? [parseInt(status)] : [])] : [companyId, ...(status !== null ? [parseInt(status)] : [])])
+        ${shiftParams(searchFilter)}
+        ${shiftParams(statusFilter)}
+        ${shiftParams(tagFilter)}
+        ${shiftParams(assigneeSql)}
+    `, [companyId, ...queryParams.slice(3, -1)])
 
     const total = parseInt(countResult.rows[0].total)
     const totalPages = Math.ceil(total / parseInt(limit))
@@ -157,9 +229,14 @@ router.get('/', requireCompanyAccess, async (req, res) => {
       last_message: row.last_message || 'No messages',
       last_message_time: row.last_message_time,
       last_message_sender: row.last_message_sender,
+      last_message_type: row.last_message_type,
       status: row.status,
       session_created_at: row.session_created_at,
-      total_messages: parseInt(row.total_messages) || 0
+      total_messages: parseInt(row.total_messages) || 0,
+      tags: row.tags,
+      assigned_user_id: row.assigned_user_id,
+      unread_count: parseInt(row.unread_count) || 0,
+      unread: parseInt(row.unread_count) > 0 || row.marked_unread
     }))
 
     res.json({
@@ -186,8 +263,143 @@ router.get('/', requireCompanyAccess, async (req, res) => {
   }
 })
 
+// GET /api/conversations/stream - Server-Sent Events stream of live updates for a company
+// Events: message.created, session.status_changed, lead.transferred, lead.discarded
+router.get('/stream', requireCompanyAccess, async (req, res) => {
+  let unsubscribe = null
+  let heartbeat = null
+  let closed = false
+
+  const cleanup = () => {
+    closed = true
+    clearInterval(heartbeat)
+    if (unsubscribe) {
+      unsubscribe().catch(error => console.error('Stream unsubscribe error:', error))
+      unsubscribe = null
+    }
+  }
+
+  req.on('close', cleanup)
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+
+  // Ask clients to reconnect after 5 seconds (e.g. when a serverless function times out)
+  res.write('retry: 5000\n\n')
+
+  try {
+    unsubscribe = await subscribeToCompanyEvents(req.companyId, (event) => {
+      res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+    })
+
+    if (closed) {
+      cleanup()
+      return
+    }
+
+    res.write(`event: ready\ndata: ${JSON.stringify({ company_id: req.companyId })}\n\n`)
+
+    heartbeat = setInterval(() => {
+      res.write(': ping\n\n')
+    }, 25000)
+
+  } catch (error) {
+    console.error('Conversation stream error:', error)
+    res.write(`event: error\ndata: ${JSON.stringify({ message: 'Failed to subscribe to live updates' })}\n\n`)
+    res.end()
+  }
+})
+
+// GET /api/conversations/messages/:messageId/media - Download the media file of a message
+router.get('/messages/:messageId/media', loadMessageCompany, requireCompanyAccess, async (req, res) => {
+  try {
+    const { messageId } = req.params
+
+    const result = await query(`
+      SELECT id, message_type, media
+      FROM conversations
+      WHERE id = $1
+    `, [messageId])
+
+    const message = result.rows[0]
+    const media = message?.media
+
+    if (!media || message.message_type === 'location') {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Message has no media' }
+      })
+    }
+
+    if (media.filename) {
+      res.attachment(media.filename)
+    }
+
+    // Media stored elsewhere (e.g. uploaded by the agent) is proxied as is
+    if (media.storage_url) {
+      const upstream = await fetch(media.storage_url)
+      if (!upstream.ok) {
+        return res.status(502).json({
+          success: false,
+          error: { message: 'Failed to fetch media from storage' }
+        })
+      }
+
+      res.type(media.mime_type || upstream.headers.get('content-type') || 'application/octet-stream')
+      return res.send(Buffer.from(await upstream.arrayBuffer()))
+    }
+
+    if (media.local_path && await mediaExists(media.local_path)) {
+      res.type(media.mime_type || 'application/octet-stream')
+      return res.sendFile(resolveMediaPath(media.local_path))
+    }
+
+    if (!media.wa_media_id) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Media file is not available' }
+      })
+    }
+
+    // First access: download from WhatsApp and keep a local copy
+    const file = await getWhatsAppClient().downloadMedia(media.wa_media_id)
+    const localPath = await saveMedia(message.id, file.buffer, file.mimeType)
+
+    await query(`
+      UPDATE conversations
+      SET media = media || $2::jsonb
+      WHERE id = $1
+    `, [message.id, JSON.stringify({
+      local_path: localPath,
+      mime_type: media.mime_type || file.mimeType,
+      file_size: file.size || file.buffer.length
+    })])
+
+    res.type(media.mime_type || file.mimeType || 'application/octet-stream')
+    res.send(file.buffer)
+
+  } catch (error) {
+    if (error.name === 'WhatsAppError') {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message, code: error.code }
+      })
+    }
+
+    console.error('Message media error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch message media' }
+    })
+  }
+})
+
 // GET /api/conversations/:sessionId/messages - Get all messages for a conversation
-router.get('/:sessionId/messages', async (req, res) => {
+router.get('/:sessionId/messages', loadSessionCompany, requireCompanyAccess, async (req, res) => {
   try {
     const { sessionId } = req.params
     const { limit = 100, offset = 0 } = req.query
@@ -207,6 +419,13 @@ router.get('/:sessionId/messages', async (req, res) => {
         c.sender,
         c.created_at,
         c.wa_id,
+        c.sent_by_user_id,
+        c.delivery_status,
+        c.delivery_status_at,
+        c.delivery_error_code,
+        c.delivery_error_message,
+        c.message_type,
+        c.media,
         ct.name as contact_name,
         ct.phone_number
       FROM conversations c
@@ -229,7 +448,7 @@ router.get('/:sessionId/messages', async (req, res) => {
     res.json({
       success: true,
       data: {
-        messages: result.rows,
+        messages: result.rows.map(row => ({ ...row, media: formatMedia(row) })),
         total,
         session_id: sessionId
       }
@@ -244,8 +463,277 @@ router.get('/:sessionId/messages', async (req, res) => {
   }
 })
 
+// POST /api/conversations/:sessionId/messages - Send a manual WhatsApp reply and pause the AI agent
+router.post('/:sessionId/messages', loadSessionCompany, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { sessionId } = req.params
+    const { text } = req.body
+
+    if (typeof text !== 'string' || !text.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Message text is required' }
+      })
+    }
+
+    if (text.length > 4096) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Message text must be at most 4096 characters' }
+      })
+    }
+
+    // Get the session, the company's WhatsApp number and the contact's WhatsApp ID
+    const sessionResult = await query(`
+      SELECT 
+        s.id,
+        s.contact_id,
+        s.company_id,
+        c.phone_number_id,
+        ct.phone_number,
+        (
+          SELECT conv.wa_id
+          FROM conversations conv
+          WHERE conv.session_id = s.id AND conv.wa_id IS NOT NULL
+          ORDER BY conv.created_at DESC
+          LIMIT 1
+        ) as wa_id
+      FROM sessions s
+      JOIN companies c ON s.company_id = c.id
+      LEFT JOIN contacts ct ON s.contact_id = ct.id
+      WHERE s.id = $1
+    `, [sessionId])
+
+    const session = sessionResult.rows[0]
+
+    if (!session.phone_number_id) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Company has no WhatsApp phone number configured' }
+      })
+    }
+
+    const recipient = session.wa_id || (session.phone_number ? String(session.phone_number) : null)
+
+    if (!recipient) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Contact has no WhatsApp number' }
+      })
+    }
+
+    const sent = await getWhatsAppClient().sendText({
+      phoneNumberId: session.phone_number_id,
+      to: recipient,
+      text
+    })
+
+    const message = await transaction(async (client) => {
+      const messageResult = await client.query(`
+        INSERT INTO conversations (company_id, contact_id, session_id, sender, content, wa_id, wa_message_id, sent_by_user_id, delivery_status, delivery_status_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'sent', NOW())
+        RETURNING id, content, sender, created_at, wa_id, wa_message_id, sent_by_user_id, delivery_status, delivery_status_at
+      `, [session.company_id, session.contact_id, sessionId, MESSAGE_SENDERS.HUMAN, text, recipient, sent.id, req.user.id])
+
+      // The AI agent stays paused until an operator hands the session back
+      await client.query(`
+        UPDATE sessions
+        SET ai_paused = true,
+            ai_paused_at = COALESCE(ai_paused_at, NOW()),
+            ai_paused_by = COALESCE(ai_paused_by, $2)
+        WHERE id = $1
+      `, [sessionId, req.user.id])
+
+      await recordAudit(req, {
+        companyId: session.company_id,
+        entityType: 'message',
+        entityId: messageResult.rows[0].id,
+        action: 'send',
+        after: { session_id: sessionId, content: text, wa_message_id: sent.id }
+      }, client)
+
+      return messageResult.rows[0]
+    })
+
+    await refreshContactLeadScores(session.company_id, session.contact_id)
+
+    res.status(201).json({
+      success: true,
+      data: {
+        message,
+        ai_paused: true
+      }
+    })
+
+  } catch (error) {
+    if (error.name === 'WhatsAppError') {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message, code: error.code }
+      })
+    }
+
+    console.error('Send message error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to send message' }
+    })
+  }
+})
+
+// POST /api/conversations/:sessionId/read - Mark a session as read (optionally up to message_id)
+router.post('/:sessionId/read', requireUserToken, loadSessionCompany, requireCompanyAccess, async (req, res) => {
+  try {
+    const { sessionId } = req.params
+    const { message_id } = req.body
+
+    let readAt = null
+    if (message_id) {
+      const messageResult = await query(`
+        SELECT created_at FROM conversations WHERE id = $1 AND session_id = $2
+      `, [message_id, sessionId])
+
+      if (messageResult.rows.length === 0) {
+        return res.status(404).json({
+          success: false,
+          error: { message: 'Message not found in this session' }
+        })
+      }
+
+      readAt = messageResult.rows[0].created_at
+    }
+
+    await markSessionsRead({
+      userId: req.user.id,
+      companyId: req.companyId,
+      sessionIds: [sessionId],
+      readAt
+    })
+
+    res.json({
+      success: true,
+      data: { session_id: sessionId, unread: false }
+    })
+
+  } catch (error) {
+    console.error('Mark read error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to mark session as read' }
+    })
+  }
+})
+
+// POST /api/conversations/:sessionId/unread - Flag a session as unread until it is read again
+router.post('/:sessionId/unread', requireUserToken, loadSessionCompany, requireCompanyAccess, async (req, res) => {
+  try {
+    const { sessionId } = req.params
+
+    await markSessionUnread({
+      userId: req.user.id,
+      companyId: req.companyId,
+      sessionId
+    })
+
+    res.json({
+      success: true,
+      data: { session_id: sessionId, unread: true }
+    })
+
+  } catch (error) {
+    console.error('Mark unread error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to mark session as unread' }
+    })
+  }
+})
+
+// POST /api/conversations/:sessionId/handback - Hand a session back to the AI agent
+router.post('/:sessionId/handback', loadSessionCompany, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { sessionId } = req.params
+
+    const session = await transaction(async (client) => {
+      const currentResult = await client.query(`
+        SELECT ai_paused, ai_paused_at, ai_paused_by
+        FROM sessions
+        WHERE id = $1
+        FOR UPDATE
+      `, [sessionId])
+
+      const result = await client.query(`
+        UPDATE sessions
+        SET ai_paused = false,
+            ai_paused_at = NULL,
+            ai_paused_by = NULL
+        WHERE id = $1
+        RETURNING id, status, ai_paused
+      `, [sessionId])
+
+      if (currentResult.rows[0].ai_paused) {
+        await recordAudit(req, {
+          companyId: req.companyId,
+          entityType: 'session',
+          entityId: sessionId,
+          action: 'handback',
+          before: currentResult.rows[0],
+          after: { ai_paused: false }
+        }, client)
+      }
+
+      return result.rows[0]
+    })
+
+    res.json({
+      success: true,
+      data: session
+    })
+
+  } catch (error) {
+    console.error('Session handback error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to hand session back to the AI agent' }
+    })
+  }
+})
+
+// GET /api/conversations/:sessionId/export - Download the session transcript (format=pdf|txt|json)
+router.get('/:sessionId/export', loadSessionCompany, requireCompanyAccess, async (req, res) => {
+  try {
+    const { sessionId } = req.params
+    const { format = 'json' } = req.query
+
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Format must be one of: ${TRANSCRIPT_FORMATS.join(', ')}` }
+      })
+    }
+
+    const transcript = await buildSessionTranscript(sessionId)
+
+    if (!transcript) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Session not found' }
+      })
+    }
+
+    await sendTranscript(res, transcript, format, `transcript-${sessionId}`)
+
+  } catch (error) {
+    console.error('Transcript export error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to export transcript' }
+    })
+  }
+})
+
 // GET /api/conversations/:sessionId/knowledge - Get knowledge vault entries for a session
-router.get('/:sessionId/knowledge', async (req, res) => {
+router.get('/:sessionId/knowledge', loadSessionCompany, requireCompanyAccess, async (req, res) => {
   try {
     const { sessionId } = req.params
 
@@ -261,7 +749,10 @@ router.get('/:sessionId/knowledge', async (req, res) => {
         kv.id,
         kv.key,
         kv.value,
+        kv.source,
         kv.created_at,
+        kv.updated_at,
+        kv.updated_by,
         ct.name as contact_name
       FROM knowledge_vault kv
       LEFT JOIN sessions s ON kv.session_id = s.id
@@ -285,10 +776,10 @@ router.get('/:sessionId/knowledge', async (req, res) => {
 })
 
 // POST /api/conversations/:sessionId/knowledge - Add knowledge vault entry
-router.post('/:sessionId/knowledge', async (req, res) => {
+router.post('/:sessionId/knowledge', loadSessionCompany, requireScope('write:knowledge'), requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
   try {
     const { sessionId } = req.params
-    const { key, value } = req.body
+    const { key, value, source = KNOWLEDGE_SOURCES.HUMAN } = req.body
 
     if (!sessionId || !key || !value) {
       return res.status(400).json({
@@ -297,6 +788,13 @@ router.post('/:sessionId/knowledge', async (req, res) => {
       })
     }
 
+    if (!Object.values(KNOWLEDGE_SOURCES).includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Source must be one of: ${Object.values(KNOWLEDGE_SOURCES).join(', ')}` }
+      })
+    }
+
     // Get session info
     const sessionResult = await query(`
       SELECT contact_id, company_id 
@@ -313,19 +811,49 @@ router.post('/:sessionId/knowledge', async (req, res) => {
 
     const { contact_id, company_id } = sessionResult.rows[0]
 
+    // Map aliases to the canonical key and validate the value's type
+    const prepared = await prepareKnowledgeEntry(company_id, key, value)
+
     // Insert knowledge entry
-    const result = await query(`
-      INSERT INTO knowledge_vault (contact_id, session_id, key, value, company_id)
-      VALUES ($1, $2, $3, $4, $5)
-      RETURNING id, key, value, created_at
-    `, [contact_id, sessionId, key, value, company_id])
+    const entry = await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO knowledge_vault (contact_id, session_id, key, value, company_id, source)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING id, contact_id, session_id, company_id, key, value, source, created_at
+      `, [contact_id, sessionId, prepared.key, prepared.value, company_id, source])
+
+      await recordKnowledgeVersion(req, {
+        entry: result.rows[0],
+        action: 'create',
+        newValue: prepared.value
+      }, client)
+
+      await recordAudit(req, {
+        companyId: company_id,
+        entityType: 'knowledge_vault',
+        entityId: result.rows[0].id,
+        action: 'create',
+        after: { session_id: sessionId, contact_id, key: prepared.key, value: prepared.value, source }
+      }, client)
+
+      return result.rows[0]
+    })
+
+    await refreshContactLeadScores(company_id, contact_id)
 
     res.status(201).json({
       success: true,
-      data: result.rows[0]
+      data: entry
     })
 
   } catch (error) {
+    if (error.name === 'KnowledgeValidationError') {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
     console.error('Knowledge creation error:', error)
     res.status(500).json({
       success: false,
@@ -334,6 +862,203 @@ router.post('/:sessionId/knowledge', async (req, res) => {
   }
 })
 
+// PUT /api/conversations/knowledge/:knowledgeId - Correct a knowledge vault entry
+router.put('/knowledge/:knowledgeId', loadKnowledgeCompany, requireScope('write:knowledge'), requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { knowledgeId } = req.params
+    const { value, source = KNOWLEDGE_SOURCES.HUMAN } = req.body
+
+    if (value === undefined || value === null || value === '') {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Value is required' }
+      })
+    }
+
+    if (!Object.values(KNOWLEDGE_SOURCES).includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Source must be one of: ${Object.values(KNOWLEDGE_SOURCES).join(', ')}` }
+      })
+    }
+
+    const entry = await transaction(async (client) => {
+      const beforeResult = await client.query(`
+        SELECT id, contact_id, session_id, company_id, key, value, source
+        FROM knowledge_vault
+        WHERE id = $1
+        FOR UPDATE
+      `, [knowledgeId])
+
+      const before = beforeResult.rows[0]
+      const prepared = await prepareKnowledgeEntry(before.company_id, before.key, value, client, { allowLegacyKey: true })
+
+      // Legacy entries are moved to their canonical key when corrected
+      const result = await client.query(`
+        UPDATE knowledge_vault
+        SET key = $2, value = $3, source = $4, updated_at = NOW(), updated_by = $5
+        WHERE id = $1
+        RETURNING id, contact_id, session_id, company_id, key, value, source, created_at, updated_at, updated_by
+      `, [knowledgeId, prepared.key, prepared.value, source, req.user.id])
+
+      await recordKnowledgeVersion(req, {
+        entry: result.rows[0],
+        action: 'update',
+        oldValue: before.value,
+        newValue: result.rows[0].value
+      }, client)
+
+      await recordAudit(req, {
+        companyId: before.company_id,
+        entityType: 'knowledge_vault',
+        entityId: knowledgeId,
+        action: 'update',
+        before: { key: before.key, value: before.value, source: before.source },
+        after: { key: result.rows[0].key, value: result.rows[0].value, source }
+      }, client)
+
+      return result.rows[0]
+    })
+
+    await refreshContactLeadScores(entry.company_id, entry.contact_id)
+
+    res.json({
+      success: true,
+      data: entry
+    })
+
+  } catch (error) {
+    if (error.name === 'KnowledgeValidationError') {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
+    console.error('Knowledge update error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update knowledge entry' }
+    })
+  }
+})
+
+// DELETE /api/conversations/knowledge/:knowledgeId - Remove a knowledge vault entry
+router.delete('/knowledge/:knowledgeId', loadKnowledgeCompany, requireScope('write:knowledge'), requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { knowledgeId } = req.params
+
+    const deleted = await transaction(async (client) => {
+      const result = await client.query(`
+        DELETE FROM knowledge_vault
+        WHERE id = $1
+        RETURNING id, contact_id, session_id, company_id, key, value, source
+      `, [knowledgeId])
+
+      const deleted = result.rows[0]
+
+      await recordKnowledgeVersion(req, {
+        entry: deleted,
+        action: 'delete',
+        oldValue: deleted.value
+      }, client)
+
+      await recordAudit(req, {
+        companyId: deleted.company_id,
+        entityType: 'knowledge_vault',
+        entityId: knowledgeId,
+        action: 'delete',
+        before: { session_id: deleted.session_id, contact_id: deleted.contact_id, key: deleted.key, value: deleted.value, source: deleted.source }
+      }, client)
+
+      return deleted
+    })
+
+    await refreshContactLeadScores(deleted.company_id, deleted.contact_id)
+
+    res.json({
+      success: true,
+      data: { message: 'Knowledge entry deleted successfully' }
+    })
+
+  } catch (error) {
+    console.error('Knowledge deletion error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to delete knowledge entry' }
+    })
+  }
+})
+
+// GET /api/conversations/unread - Unread badge totals for the current user
+router.get('/unread', requireUserToken, requireCompanyAccess, async (req, res) => {
+  try {
+    const { assigned_to_me = 'false' } = req.query
+
+    // Only open sessions (new, in progress, qualifying) count towards the badge
+    const assignedFilter = assigned_to_me === 'true' ? 'AND s.assigned_user_id = $2' : ''
+
+    const result = await query(`
+      SELECT
+        COALESCE(SUM(unread.unread_count), 0) as unread_messages,
+        COUNT(*) FILTER (WHERE unread.unread_count > 0 OR unread.marked_unread) as unread_sessions
+      FROM (
+        SELECT
+          ${unreadCountSql('us.id = s.id', '$2')} as unread_count,
+          ${markedUnreadSql('us.id = s.id', '$2')} as marked_unread
+        FROM sessions s
+        WHERE s.company_id = $1 AND s.status IN (0, 1, 2)
+          ${assignedFilter}
+      ) unread
+    `, [req.companyId, req.user.id])
+
+    res.json({
+      success: true,
+      data: {
+        unread_messages: parseInt(result.rows[0].unread_messages),
+        unread_sessions: parseInt(result.rows[0].unread_sessions)
+      }
+    })
+
+  } catch (error) {
+    console.error('Unread totals error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch unread totals' }
+    })
+  }
+})
+
+// POST /api/conversations/contacts/:contactId/read - Mark all of a contact's sessions as read
+router.post('/contacts/:contactId/read', requireUserToken, requireCompanyAccess, async (req, res) => {
+  try {
+    const sessionsResult = await query(`
+      SELECT id FROM sessions WHERE contact_id = $1 AND company_id = $2
+    `, [req.params.contactId, req.companyId])
+
+    await markSessionsRead({
+      userId: req.user.id,
+      companyId: req.companyId,
+      sessionIds: sessionsResult.rows.map(row => row.id)
+    })
+
+    res.json({
+      success: true,
+      data: {
+        contact_id: req.params.contactId,
+        sessions_marked: sessionsResult.rows.length
+      }
+    })
+
+  } catch (error) {
+    console.error('Mark contact read error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to mark contact as read' }
+    })
+  }
+})
+
 // GET /api/conversations/contacts - Get contacts grouped with their sessions
 // NOTE: Static /contacts routes must be defined BEFORE the dynamic /:sessionId route
 router.get('/contacts', requireCompanyAccess, async (req, res) => {
@@ -373,6 +1098,10 @@ router.get('/contacts', requireCompanyAccess, async (req, res) => {
       queryParams.push(parseInt(status))
     }
 
+    // Unread counts are per reader, across all of the contact's sessions
+    const userParam = `$${queryParams.push(req.user.id)}`
+    const contactSessions = 'us.contact_id = ct.id AND us.company_id = $1'
+
     // Get contacts with their session information using a step-by-step approach
     const contactsResult = await query(`
       SELECT 
@@ -414,7 +1143,9 @@ router.get('/contacts', requireCompanyAccess, async (req, res) => {
           WHERE s5.contact_id = ct.id AND s5.company_id = $1
           ORDER BY c.created_at DESC
           LIMIT 1
-        ) as last_message_sender
+        ) as last_message_sender,
+        ${unreadCountSql(contactSessions, userParam)} as unread_count,
+        ${markedUnreadSql(contactSessions, userParam)} as marked_unread
       FROM contacts ct
       INNER JOIN sessions s ON s.contact_id = ct.id
       WHERE s.company_id = $1
@@ -460,7 +1191,9 @@ router.get('/contacts', requireCompanyAccess, async (req, res) => {
       last_message_time: row.last_message_time,
       last_message_sender: row.last_message_sender,
       active_sessions: parseInt(row.active_sessions) || 0,
-      latest_status: row.latest_status
+      latest_status: row.latest_status,
+      unread_count: parseInt(row.unread_count) || 0,
+      unread: parseInt(row.unread_count) > 0 || row.marked_unread
     }))
 
     res.json({
@@ -547,7 +1280,7 @@ router.get('/contacts/:contactId/sessions', requireCompanyAccess, async (req, re
 router.get('/contacts/:contactId/messages', requireCompanyAccess, async (req, res) => {
   try {
     const { contactId } = req.params
-    const { company_id, limit = 500 } = req.query
+    const { company_id, limit = 500, include_notes = 'true' } = req.query
     const companyId = company_id || req.companyId
 
     if (!contactId || !companyId) {
@@ -565,6 +1298,12 @@ router.get('/contacts/:contactId/messages', requireCompanyAccess, async (req, re
         c.sender,
         c.created_at,
         c.wa_id,
+        c.delivery_status,
+        c.delivery_status_at,
+        c.delivery_error_code,
+        c.delivery_error_message,
+        c.message_type,
+        c.media,
         c.session_id,
         s.status as session_status,
         s.created_at as session_created_at,
@@ -596,11 +1335,18 @@ router.get('/contacts/:contactId/messages', requireCompanyAccess, async (req, re
       }
       
       return {
+        kind: 'message',
         id: row.id,
         content: row.content,
         sender: row.sender,
         created_at: row.created_at,
         wa_id: row.wa_id,
+        delivery_status: row.delivery_status,
+        delivery_status_at: row.delivery_status_at,
+        delivery_error_code: row.delivery_error_code,
+        delivery_error_message: row.delivery_error_message,
+        message_type: row.message_type,
+        media: formatMedia(row),
         session_id: row.session_id,
         contact_name: row.contact_name,
         phone_number: row.phone_number,
@@ -608,13 +1354,32 @@ router.get('/contacts/:contactId/messages', requireCompanyAccess, async (req, re
       }
     })
 
+    // Team notes are interleaved with the messages by time. They are internal
+    // to the team, so API keys never see them
+    const notes = include_notes === 'false' || req.apiKey ? [] : await listNotes(companyId, { contactId })
+    const timeline = [
+      ...messages,
+      ...notes.map(note => ({
+        kind: 'note',
+        id: note.id,
+        content: note.body,
+        session_id: note.session_id,
+        author_user_id: note.author_user_id,
+        author_email: note.author_email,
+        mentions: note.mentions,
+        created_at: note.created_at,
+        updated_at: note.updated_at
+      }))
+    ].sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+
     res.json({
       success: true,
       data: {
         contact_id: contactId,
-        messages,
+        messages: timeline,
         session_groups: Object.values(sessionGroups),
-        total_messages: messages.length
+        total_messages: messages.length,
+        total_notes: notes.length
       }
     })
 
@@ -646,7 +1411,10 @@ router.get('/contacts/:contactId/knowledge', requireCompanyAccess, async (req, r
         kv.id,
         kv.key,
         kv.value,
+        kv.source,
         kv.created_at,
+        kv.updated_at,
+        kv.updated_by,
         kv.session_id,
         s.created_at as session_created_at,
         s.status as session_status,
@@ -658,6 +1426,34 @@ router.get('/contacts/:contactId/knowledge', requireCompanyAccess, async (req, r
       ORDER BY kv.created_at DESC
     `, [contactId, companyId])
 
+    // Edit history, including entries that have since been deleted
+    const historyResult = await query(`
+      SELECT
+        id,
+        knowledge_id,
+        session_id,
+        key,
+        action,
+        old_value,
+        new_value,
+        source,
+        changed_by_user_id,
+        changed_by_email,
+        changed_by_api_key_id,
+        created_at
+      FROM knowledge_vault_history
+      WHERE contact_id = $1 AND company_id = $2
+      ORDER BY created_at DESC, id DESC
+    `, [contactId, companyId])
+
+    const historyByEntry = {}
+    historyResult.rows.forEach(row => {
+      if (!historyByEntry[row.knowledge_id]) {
+        historyByEntry[row.knowledge_id] = []
+      }
+      historyByEntry[row.knowledge_id].push(row)
+    })
+
     // Group knowledge by session
     const knowledgeBySession = {}
     knowledgeResult.rows.forEach(row => {
@@ -674,7 +1470,11 @@ router.get('/contacts/:contactId/knowledge', requireCompanyAccess, async (req, r
         id: row.id,
         key: row.key,
         value: row.value,
-        created_at: row.created_at
+        source: row.source,
+        created_at: row.created_at,
+        updated_at: row.updated_at,
+        updated_by: row.updated_by,
+        history: historyByEntry[String(row.id)] || []
       })
     })
 
@@ -683,6 +1483,7 @@ router.get('/contacts/:contactId/knowledge', requireCompanyAccess, async (req, r
       data: {
         contact_id: contactId,
         knowledge_by_session: Object.values(knowledgeBySession),
+        history: historyResult.rows,
         total_entries: knowledgeResult.rows.length
       }
     })
@@ -696,9 +1497,115 @@ router.get('/contacts/:contactId/knowledge', requireCompanyAccess, async (req, r
   }
 })
 
+// GET /api/conversations/contacts/:contactId/profile - Latest value of each canonical knowledge key
+router.get('/contacts/:contactId/profile', requireCompanyAccess, async (req, res) => {
+  try {
+    const { contactId } = req.params
+    const companyId = req.companyId
+
+    const catalogue = await loadKnowledgeCatalogue(companyId)
+
+    const knowledgeResult = await query(`
+      SELECT
+        kv.id,
+        kv.key,
+        kv.value,
+        kv.source,
+        kv.session_id,
+        COALESCE(kv.updated_at, kv.created_at) as updated_at
+      FROM knowledge_vault kv
+      WHERE kv.contact_id = $1 AND kv.company_id = $2
+      ORDER BY COALESCE(kv.updated_at, kv.created_at) DESC, kv.id DESC
+    `, [contactId, companyId])
+
+    // Catalogue keys come first, in catalogue order, even when still unknown
+    const profile = {}
+    catalogue.forEach(definition => {
+      profile[definition.key] = {
+        label: definition.label,
+        data_type: definition.data_type,
+        value: null
+      }
+    })
+
+    // Keys outside the catalogue are still returned, just not merged
+    const other = {}
+
+    knowledgeResult.rows.forEach(row => {
+      const definition = resolveKnowledgeKey(catalogue, row.key)
+      const target = definition ? profile : other
+      const key = definition ? definition.key : normalizeKnowledgeKey(row.key)
+
+      // Rows are newest first, so the first value seen for a key wins
+      if (target[key]?.value !== undefined && target[key]?.value !== null) {
+        return
+      }
+
+      target[key] = {
+        ...target[key],
+        value: row.value,
+        source: row.source,
+        raw_key: row.key,
+        knowledge_id: row.id,
+        session_id: row.session_id,
+        updated_at: row.updated_at
+      }
+    })
+
+    res.json({
+      success: true,
+      data: {
+        contact_id: contactId,
+        profile,
+        other
+      }
+    })
+
+  } catch (error) {
+    console.error('Contact profile error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch contact profile' }
+    })
+  }
+})
+
+// GET /api/conversations/contacts/:contactId/export - Download all of a contact's sessions as one transcript
+router.get('/contacts/:contactId/export', requireCompanyAccess, async (req, res) => {
+  try {
+    const { contactId } = req.params
+    const { format = 'json' } = req.query
+
+    if (!TRANSCRIPT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Format must be one of: ${TRANSCRIPT_FORMATS.join(', ')}` }
+      })
+    }
+
+    const transcript = await buildContactTranscript(contactId, req.companyId)
+
+    if (!transcript || transcript.sessions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Contact not found' }
+      })
+    }
+
+    await sendTranscript(res, transcript, format, `transcript-contact-${contactId}`)
+
+  } catch (error) {
+    console.error('Contact transcript export error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to export contact transcript' }
+    })
+  }
+})
+
 // GET /api/conversations/:sessionId - Get conversation session details
 // NOTE: This catch-all route must be AFTER all static routes (e.g. /contacts)
-router.get('/:sessionId', async (req, res) => {
+router.get('/:sessionId', loadSessionCompany, requireCompanyAccess, async (req, res) => {
   try {
     const { sessionId } = req.params
 
@@ -715,6 +1622,8 @@ router.get('/:sessionId', async (req, res) => {
         s.status,
         s.associated_leads,
         s.created_at as session_created_at,
+        s.ai_paused,
+        s.ai_paused_at,
         ct.id as contact_id,
         ct.name as contact_name,
         ct.phone_number,
@@ -748,6 +1657,8 @@ router.get('/:sessionId', async (req, res) => {
         status: session.status,
         associated_leads: session.associated_leads,
         session_created_at: session.session_created_at,
+        ai_paused: session.ai_paused,
+        ai_paused_at: session.ai_paused_at,
         message_count: parseInt(session.message_count),
         last_message: session.last_message,
         last_message_time: session.last_message_time,
@@ -0,0 +1,106 @@
+import express from 'express'
+import crypto from 'crypto'
+import { abandonInactiveSessions } from '../services/abandonment.js'
+import { assignUnownedTransfers } from '../services/assignments.js'
+import { processCrmSyncJobs } from '../services/crmSync.js'
+import { recalculateStaleLeadScores } from '../services/leadScoring.js'
+
+const router = express.Router()
+
+// Vercel Cron sends "Authorization: Bearer <CRON_SECRET>"
+const requireCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET
+  const expected = Buffer.from(`Bearer ${secret}`)
+  const received = Buffer.from(req.headers['authorization'] || '')
+
+  if (!secret || received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return res.status(401).json({
+      success: false,
+      error: { message: 'Invalid cron secret' }
+    })
+  }
+
+  next()
+}
+
+router.use(requireCronSecret)
+
+// GET /api/cron/abandon-sessions - Mark sessions past their inactivity threshold as Abandonado
+router.get('/abandon-sessions', async (req, res) => {
+  try {
+    const summary = await abandonInactiveSessions({
+      dryRun: req.query.dry_run === 'true'
+    })
+
+    res.json({
+      success: true,
+      data: summary
+    })
+
+  } catch (error) {
+    console.error('Abandon sessions cron error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to abandon inactive sessions' }
+    })
+  }
+})
+
+// GET /api/cron/assign-transfers - Give an owner to transferred leads that have none
+router.get('/assign-transfers', async (req, res) => {
+  try {
+    const summary = await assignUnownedTransfers()
+
+    res.json({
+      success: true,
+      data: summary
+    })
+
+  } catch (error) {
+    console.error('Assign transfers cron error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to assign transferred leads' }
+    })
+  }
+})
+
+// GET /api/cron/crm-sync - Retry CRM pushes that are due
+router.get('/crm-sync', async (req, res) => {
+  try {
+    const summary = await processCrmSyncJobs()
+
+    res.json({
+      success: true,
+      data: summary
+    })
+
+  } catch (error) {
+    console.error('CRM sync cron error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to process CRM sync jobs' }
+    })
+  }
+})
+
+// GET /api/cron/lead-scores - Recalculate scores marked stale by new messages or facts
+router.get('/lead-scores', async (req, res) => {
+  try {
+    const recalculated = await recalculateStaleLeadScores()
+
+    res.json({
+      success: true,
+      data: { recalculated }
+    })
+
+  } catch (error) {
+    console.error('Lead scores cron error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to recalculate lead scores' }
+    })
+  }
+})
+
+export default router
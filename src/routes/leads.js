@@ -1,11 +1,45 @@
 import express from 'express'
-import { query } from '../config/database.js'
-import { authenticateToken, requireCompanyAccess } from '../middleware/auth.js'
+import { query, transaction } from '../config/database.js'
+import { authenticateToken, requireCompanyAccess, requireRole, requireScope, loadLeadCompany, loadTransferCompany } from '../middleware/auth.js'
+import { recordAudit } from '../services/audit.js'
+import { assigneeFilterSql, assignSessionFromRequest } from '../services/assignments.js'
+import { BULK_MAX_ITEMS, prepareBulkAction, runBulkAction } from '../services/bulkActions.js'
+import { transferLead } from '../services/leadTransfers.js'
+import { DiscardError, resolveDiscardReason, discardSession, undoDiscard } from '../services/discards.js'
+import { CRM_SYNC_STATUSES, crmSyncStatusSql, enqueueCrmSync, syncTransferNow } from '../services/crmSync.js'
+import { recalculateLeadScores, refreshContactLeadScores } from '../services/leadScoring.js'
+import { DUPLICATE_TYPES, DUPLICATE_MATCHES, DEFAULT_NAME_SIMILARITY, findDuplicates, mergeLeads, mergeContacts } from '../services/duplicates.js'
 
 const router = express.Router()
 
+// Columns the lead list can be sorted by
+const LEAD_SORT_COLUMNS = {
+  created_at: 'l.created_at',
+  score: 'l.score'
+}
+
+// Filters accepted by the lead list (and bulk selection by filters)
+const leadListFilters = ({ status = null, search = '' }, paramIndex) => {
+  const filters = []
+  const params = []
+
+  if (status !== null && !isNaN(status)) {
+    filters.push(`AND l.status = $${paramIndex}`)
+    params.push(parseInt(status))
+    paramIndex++
+  }
+
+  if (search) {
+    filters.push(`AND (l.name ILIKE $${paramIndex} OR l.email ILIKE $${paramIndex} OR l.phone_number ILIKE $${paramIndex})`)
+    params.push(`%${search}%`)
+  }
+
+  return { filters, params }
+}
+
 // Apply authentication to all routes
 router.use(authenticateToken)
+router.use(requireScope('read:leads'))
 
 // GET /api/leads - Get leads for a company with pagination
 router.get('/', requireCompanyAccess, async (req, res) => {
@@ -13,9 +47,9 @@ router.get('/', requireCompanyAccess, async (req, res) => {
     const { 
       company_id, 
       page = 1, 
-      limit = 20, 
-      status = null,
-      search = ''
+      limit = 20,
+      sort = 'created_at',
+      order = 'desc'
     } = req.query
     
     const companyId = company_id || req.companyId
@@ -28,22 +62,16 @@ router.get('/', requireCompanyAccess, async (req, res) => {
       })
     }
 
-    // Build filters
-    let statusFilter = ''
-    let searchFilter = ''
-    let queryParams = [companyId, parseInt(limit), offset]
-    let paramIndex = 4
-
-    if (status !== null && !isNaN(status)) {
-      statusFilter = `AND l.status = $${paramIndex}`
-      queryParams.push(parseInt(status))
-      paramIndex++
+    if (!LEAD_SORT_COLUMNS[sort] || !['asc', 'desc'].includes(order)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `sort must be one of: ${Object.keys(LEAD_SORT_COLUMNS).join(', ')}; order must be asc or desc` }
+      })
     }
 
-    if (search) {
-      searchFilter = `AND (l.name ILIKE $${paramIndex} OR l.email ILIKE $${paramIndex} OR l.phone_number ILIKE $${paramIndex})`
-      queryParams.push(`%${search}%`)
-    }
+    const listFilters = leadListFilters(req.query, 4)
+    const queryParams = [companyId, parseInt(limit), offset, ...listFilters.params]
+    const whereFilters = listFilters.filters.join('\n        ')
 
     // Get leads with contact information
     const result = await query(`
@@ -60,27 +88,26 @@ router.get('/', requireCompanyAccess, async (req, res) => {
         l.landing_page,
         l.utms,
         l.created_at,
+        l.score,
+        l.scored_at,
         ct.name as contact_name,
         ct.id as contact_id
       FROM leads l
       LEFT JOIN contacts ct ON l.contact_id = ct.id
       WHERE l.company_id = $1
-        ${statusFilter}
-        ${searchFilter}
-      ORDER BY l.created_at DESC
+        ${whereFilters}
+      ORDER BY ${LEAD_SORT_COLUMNS[sort]} ${order.toUpperCase()} NULLS LAST, l.created_at DESC
       LIMIT $2 OFFSET $3
     `, queryParams)
 
-    // Get total count
-    const countParams = queryParams.slice(0, paramIndex - 2) // Remove limit and offset
+    // Get total count (same filters without limit/offset, so parameters shift by two)
     const countResult = await query(`
       SELECT COUNT(*) as total
       FROM leads l
       LEFT JOIN contacts ct ON l.contact_id = ct.id
       WHERE l.company_id = $1
-        ${statusFilter.replace(`$${paramIndex - 1}`, `$${countParams.length + 1}`)}
-        ${searchFilter.replace(`$${paramIndex}`, `$${countParams.length + (status !== null ? 2 : 1)}`)}
-    `, countParams.concat(status !== null && !isNaN(status) ? [parseInt(status)] : []).concat(search ? [`%${search}%`] : []))
+        ${whereFilters.replace(/\$(\d+)/g, (match, index) => `$${index - 2}`)}
+    `, [companyId, ...listFilters.params])
 
     const total = parseInt(countResult.rows[0].total)
     const totalPages = Math.ceil(total / parseInt(limit))
@@ -116,7 +143,9 @@ router.get('/transferred', requireCompanyAccess, async (req, res) => {
       company_id, 
       page = 1, 
       limit = 20,
-      search = ''
+      search = '',
+      assigned_to = '',
+      sync_status = ''
     } = req.query
     
     const companyId = company_id || req.companyId
@@ -130,13 +159,47 @@ router.get('/transferred', requireCompanyAccess, async (req, res) => {
     }
 
     let searchFilter = ''
+    let assigneeSql = ''
     let queryParams = [companyId, parseInt(limit), offset]
+    let paramIndex = 4
 
     if (search) {
-      searchFilter = `AND (l.name ILIKE $4 OR l.email ILIKE $4 OR tl.summary ILIKE $4)`
+      searchFilter = `AND (l.name ILIKE $${paramIndex} OR l.email ILIKE $${paramIndex} OR tl.summary ILIKE $${paramIndex})`
       queryParams.push(`%${search}%`)
+      paramIndex++
     }
 
+    // Transferred leads are owned by whoever is assigned their session
+    if (assigned_to) {
+      const assigneeFilter = assigneeFilterSql('s.assigned_user_id', assigned_to, paramIndex, req.user.id)
+      if (!assigneeFilter) {
+        return res.status(400).json({
+          success: false,
+          error: { message: 'assigned_to must be a user ID, "me" or "unassigned"' }
+        })
+      }
+
+      assigneeSql = assigneeFilter.sql
+      queryParams.push(...assigneeFilter.params)
+      paramIndex += assigneeFilter.params.length
+    }
+
+    let syncFilter = ''
+    if (sync_status) {
+      if (!CRM_SYNC_STATUSES.includes(sync_status)) {
+        return res.status(400).json({
+          success: false,
+          error: { message: `sync_status must be one of: ${CRM_SYNC_STATUSES.join(', ')}` }
+        })
+      }
+
+      syncFilter = `AND ${crmSyncStatusSql('tl', 'j')} = $${paramIndex}`
+      queryParams.push(sync_status)
+      paramIndex++
+    }
+
+    const filters = `${searchFilter} ${assigneeSql} ${syncFilter}`
+
     const result = await query(`
       SELECT 
         tl.id as transfer_id,
@@ -151,24 +214,35 @@ router.get('/transferred', requireCompanyAccess, async (req, res) => {
         l.lead_source,
         l.channel,
         ct.name as contact_name,
-        ct.id as contact_id
+        ct.id as contact_id,
+        tl.session_id,
+        s.assigned_user_id,
+        s.assigned_at,
+        ${crmSyncStatusSql('tl', 'j')} as sync_status,
+        j.attempts as sync_attempts,
+        j.next_attempt_at as sync_next_attempt_at,
+        j.last_error as sync_error
       FROM transferred_leads tl
       LEFT JOIN leads l ON tl.lead_id = l.id
       LEFT JOIN contacts ct ON tl.contact_id = ct.id
+      LEFT JOIN sessions s ON tl.session_id = s.id
+      LEFT JOIN crm_sync_jobs j ON j.transfer_id = tl.id::text
       WHERE tl.company_id = $1
-        ${searchFilter}
+        ${filters}
       ORDER BY tl.created_at DESC
       LIMIT $2 OFFSET $3
     `, queryParams)
 
-    // Get total count
+    // Get total count (without limit/offset, so parameters shift by two)
     const countResult = await query(`
       SELECT COUNT(*) as total
       FROM transferred_leads tl
       LEFT JOIN leads l ON tl.lead_id = l.id
+      LEFT JOIN sessions s ON tl.session_id = s.id
+      LEFT JOIN crm_sync_jobs j ON j.transfer_id = tl.id::text
       WHERE tl.company_id = $1
-        ${searchFilter.replace('$4', '$2')}
-    `, search ? [companyId, `%${search}%`] : [companyId])
+        ${filters.replace(/\$(\d+)/g, (match, index) => `$${index - 2}`)}
+    `, [companyId, ...queryParams.slice(3)])
 
     const total = parseInt(countResult.rows[0].total)
     const totalPages = Math.ceil(total / parseInt(limit))
@@ -197,13 +271,122 @@ router.get('/transferred', requireCompanyAccess, async (req, res) => {
   }
 })
 
+// POST /api/leads/transferred/:transferId/assign - Assign a transferred lead (its session) to a user
+router.post('/transferred/:transferId/assign', loadTransferCompany, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { transferId } = req.params
+    const { user_id = null, strategy = 'manual', reason = null } = req.body
+
+    const transferResult = await query('SELECT session_id FROM transferred_leads WHERE id = $1', [transferId])
+    const sessionId = transferResult.rows[0].session_id
+
+    if (!sessionId) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'Transferred lead has no session to assign' }
+      })
+    }
+
+    const result = await assignSessionFromRequest(req, sessionId, { user_id, strategy, reason })
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: result.error }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        transfer_id: transferId,
+        session_id: sessionId,
+        assignment: result.assignment
+      }
+    })
+
+  } catch (error) {
+    console.error('Lead assignment error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to assign lead' }
+    })
+  }
+})
+
+// POST /api/leads/transferred/:transferId/retry-sync - Push a transfer to the CRM again now
+router.post('/transferred/:transferId/retry-sync', loadTransferCompany, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { transferId } = req.params
+
+    const queued = await transaction(async (client) => {
+      const transferResult = await client.query('SELECT zoho_id FROM transferred_leads WHERE id = $1 FOR UPDATE', [transferId])
+
+      if (transferResult.rows[0].zoho_id) {
+        return { conflict: 'Transferred lead is already synced with the CRM' }
+      }
+
+      const job = await enqueueCrmSync(client, { companyId: req.companyId, transferId })
+
+      // A worker is pushing it right now; retrying would push the lead twice
+      if (job.status === 'processing') {
+        return { conflict: 'A CRM sync of this transfer is already in progress' }
+      }
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'transferred_lead',
+        entityId: transferId,
+        action: 'retry_crm_sync',
+        after: { job_id: job.id }
+      }, client)
+
+      return { job }
+    })
+
+    if (queued.conflict) {
+      return res.status(409).json({
+        success: false,
+        error: { message: queued.conflict }
+      })
+    }
+
+    // Nothing to report when a worker claimed the job first
+    const sync = await syncTransferNow(transferId)
+
+    res.json({
+      success: true,
+      data: {
+        transfer_id: transferId,
+        sync_status: sync?.sync_status || 'pending',
+        zoho_id: sync?.zoho_id || null,
+        sync_error: sync?.error || null
+      }
+    })
+
+  } catch (error) {
+    if (error.name === 'CrmError') {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
+    console.error('CRM sync retry error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to retry CRM sync' }
+    })
+  }
+})
+
 // GET /api/leads/discarded - Get discarded leads for a company
 router.get('/discarded', requireCompanyAccess, async (req, res) => {
   try {
     const { 
       company_id, 
       page = 1, 
-      limit = 20 
+      limit = 20,
+      reason = ''
     } = req.query
     
     const companyId = company_id || req.companyId
@@ -216,10 +399,24 @@ router.get('/discarded', requireCompanyAccess, async (req, res) => {
       })
     }
 
+    // reason=unclassified lists discards without a reason code (made by the AI agent)
+    let reasonFilter = ''
+    const queryParams = [companyId, parseInt(limit), offset]
+
+    if (reason === 'unclassified') {
+      reasonFilter = 'AND dl.reason_code IS NULL'
+    } else if (reason) {
+      reasonFilter = 'AND dl.reason_code = $4'
+      queryParams.push(reason)
+    }
+
     const result = await query(`
       SELECT 
         dl.id,
         dl.summary,
+        dl.reason_code,
+        dr.label as reason_label,
+        dl.discarded_by_user_id,
         dl.created_at as discard_date,
         l.id as lead_id,
         l.name,
@@ -231,18 +428,21 @@ router.get('/discarded', requireCompanyAccess, async (req, res) => {
       LEFT JOIN leads l ON dl.lead_id = l.id
       LEFT JOIN contacts ct ON dl.contact_id = ct.id
       LEFT JOIN sessions s ON dl.session_id = s.id
+      LEFT JOIN discard_reasons dr ON dr.company_id = s.company_id AND dr.code = dl.reason_code
       WHERE s.company_id = $1
+        ${reasonFilter}
       ORDER BY dl.created_at DESC
       LIMIT $2 OFFSET $3
-    `, [companyId, parseInt(limit), offset])
+    `, queryParams)
 
-    // Get total count
+    // Get total count (without limit/offset, so parameters shift by two)
     const countResult = await query(`
       SELECT COUNT(*) as total
       FROM discarded_leads dl
       LEFT JOIN sessions s ON dl.session_id = s.id
       WHERE s.company_id = $1
-    `, [companyId])
+        ${reasonFilter.replace('$4', '$2')}
+    `, [companyId, ...queryParams.slice(3)])
 
     const total = parseInt(countResult.rows[0].total)
     const totalPages = Math.ceil(total / parseInt(limit))
@@ -271,8 +471,482 @@ router.get('/discarded', requireCompanyAccess, async (req, res) => {
   }
 })
 
+// GET /api/leads/discarded/reasons - Discards per reason, for the loss analysis
+router.get('/discarded/reasons', requireCompanyAccess, async (req, res) => {
+  try {
+    const { start_date, end_date } = req.query
+
+    let dateFilter = ''
+    const queryParams = [req.companyId]
+
+    if (start_date && end_date) {
+      dateFilter = 'AND dl.created_at BETWEEN $2 AND $3'
+      queryParams.push(start_date, end_date)
+    }
+
+    // Every catalogue reason is listed (archived ones only when used), plus
+    // a row for discards without a reason code
+    const result = await query(`
+      WITH discards AS (
+        SELECT dl.reason_code
+        FROM discarded_leads dl
+        JOIN sessions s ON dl.session_id = s.id
+        WHERE s.company_id = $1 ${dateFilter}
+      )
+      SELECT dr.code, dr.label, dr.active, COUNT(d.reason_code) as total
+      FROM discard_reasons dr
+      LEFT JOIN discards d ON d.reason_code = dr.code
+      WHERE dr.company_id = $1
+      GROUP BY dr.id
+      HAVING dr.active OR COUNT(d.reason_code) > 0
+      UNION ALL
+      SELECT 'unclassified', NULL, NULL, COUNT(*)
+      FROM discards
+      WHERE reason_code IS NULL
+        OR reason_code NOT IN (SELECT code FROM discard_reasons WHERE company_id = $1)
+      ORDER BY total DESC, code
+    `, queryParams)
+
+    const reasons = result.rows.map(row => ({ ...row, total: parseInt(row.total) }))
+    const total = reasons.reduce((sum, row) => sum + row.total, 0)
+
+    res.json({
+      success: true,
+      data: {
+        total,
+        reasons: reasons.map(row => ({
+          ...row,
+          percentage: total > 0 ? Math.round((row.total / total) * 1000) / 10 : 0
+        }))
+      }
+    })
+
+  } catch (error) {
+    console.error('Discard reasons breakdown error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch discard reasons breakdown' }
+    })
+  }
+})
+
+// GET /api/leads/duplicates - Groups of likely duplicate leads (or contacts)
+// matched by normalized phone, email and similar names
+router.get('/duplicates', requireCompanyAccess, async (req, res) => {
+  try {
+    const {
+      type = 'leads',
+      match = DUPLICATE_MATCHES.join(','),
+      name_similarity = DEFAULT_NAME_SIMILARITY,
+      page = 1,
+      limit = 20
+    } = req.query
+
+    const criteria = String(match).split(',').map(criterion => criterion.trim()).filter(Boolean)
+    const threshold = parseFloat(name_similarity)
+
+    if (!DUPLICATE_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Type must be one of: ${DUPLICATE_TYPES.join(', ')}` }
+      })
+    }
+
+    if (criteria.length === 0 || !criteria.every(criterion => DUPLICATE_MATCHES.includes(criterion))) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Match must be a comma-separated list of: ${DUPLICATE_MATCHES.join(', ')}` }
+      })
+    }
+
+    if (isNaN(threshold) || threshold <= 0 || threshold > 1) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'name_similarity must be a number above 0 and up to 1' }
+      })
+    }
+
+    const offset = (parseInt(page) - 1) * parseInt(limit)
+
+    const { groups, total } = await findDuplicates(req.companyId, {
+      type,
+      match: criteria,
+      nameSimilarity: threshold,
+      limit: parseInt(limit),
+      offset
+    })
+
+    const totalPages = Math.ceil(total / parseInt(limit))
+
+    res.json({
+      success: true,
+      data: {
+        type,
+        groups,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: totalPages,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    })
+
+  } catch (error) {
+    console.error('Duplicate leads error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to find duplicates' }
+    })
+  }
+})
+
+// POST /api/leads/contacts/:contactId/merge - Merge duplicate contacts into this one
+router.post('/contacts/:contactId/merge', requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { duplicate_ids } = req.body
+
+    const merge = await transaction(async (client) => {
+      return mergeContacts(client, req, {
+        companyId: req.companyId,
+        survivorId: req.params.contactId,
+        duplicateIds: duplicate_ids
+      })
+    })
+
+    await refreshContactLeadScores(req.companyId, merge.contact.id)
+
+    res.json({
+      success: true,
+      data: merge
+    })
+
+  } catch (error) {
+    if (error.name === 'DuplicateMergeError') {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
+    console.error('Contact merge error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to merge contacts' }
+    })
+  }
+})
+
+// POST /api/leads/bulk - Apply one action (status, assign, tag, untag, discard)
+// to the sessions of many leads, selected by ids or by the list filters
+router.post('/bulk', requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { action, ids, filters, all_or_nothing = false, ...params } = req.body
+    const byIds = Array.isArray(ids)
+
+    if (byIds === Boolean(filters && typeof filters === 'object')) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Provide either a list of lead ids or filters' }
+      })
+    }
+
+    const prepared = await prepareBulkAction(req, action, params)
+
+    // Lead actions apply to the contact's latest session in the company
+    const leadSession = `(
+      SELECT s.id FROM sessions s
+      WHERE s.contact_id = l.contact_id AND s.company_id = l.company_id
+      ORDER BY s.created_at DESC
+      LIMIT 1
+    )`
+
+    let items
+    if (byIds) {
+      if (ids.length === 0 || ids.length > BULK_MAX_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          error: { message: `Between 1 and ${BULK_MAX_ITEMS} lead ids are required` }
+        })
+      }
+
+      const found = await query(`
+        SELECT l.id, ${leadSession} as session_id
+        FROM leads l
+        WHERE l.company_id = $1 AND l.id::text = ANY($2)
+      `, [req.companyId, ids.map(String)])
+      const sessionsByLead = new Map(found.rows.map(row => [String(row.id), row.session_id]))
+
+      items = ids.map(id => sessionsByLead.has(String(id))
+        ? { id, lead_id: id, session_id: sessionsByLead.get(String(id)) }
+        : { id, session_id: null, error: 'Lead not found' })
+    } else {
+      const listFilters = leadListFilters(filters, 3)
+      if (listFilters.filters.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: { message: 'Filters must include status or search' }
+        })
+      }
+
+      const selected = await query(`
+        SELECT l.id, ${leadSession} as session_id
+        FROM leads l
+        WHERE l.company_id = $1
+          ${listFilters.filters.join('\n          ')}
+        ORDER BY l.created_at DESC
+        LIMIT $2
+      `, [req.companyId, BULK_MAX_ITEMS + 1, ...listFilters.params])
+
+      if (selected.rows.length > BULK_MAX_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          error: { message: `Filters match more than ${BULK_MAX_ITEMS} leads; narrow them down` }
+        })
+      }
+
+      items = selected.rows.map(row => ({ ...row, lead_id: row.id }))
+    }
+
+    const report = await runBulkAction(req, { action, prepared, items, allOrNothing: all_or_nothing === true })
+
+    if (report.rolled_back) {
+      return res.status(409).json({
+        success: false,
+        error: { message: `No changes were saved: ${report.failed} of ${report.total} leads failed` },
+        data: report
+      })
+    }
+
+    res.json({
+      success: true,
+      data: report
+    })
+
+  } catch (error) {
+    if (['BulkActionError', 'DiscardError'].includes(error.name)) {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
+    console.error('Lead bulk action error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to run bulk action' }
+    })
+  }
+})
+
+// POST /api/leads/:id/transfer - Transfer a lead to the sales team and push it to the CRM
+router.post('/:id/transfer', loadLeadCompany, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { summary } = req.body
+
+    if (!summary || !String(summary).trim()) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Summary is required' }
+      })
+    }
+
+    const transfer = await transferLead(req, { leadId: req.params.id, summary: String(summary).trim() })
+
+    res.status(201).json({
+      success: true,
+      data: transfer
+    })
+
+  } catch (error) {
+    if (['LeadTransferError', 'SessionStatusError', 'CrmError'].includes(error.name)) {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
+    console.error('Lead transfer error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to transfer lead' }
+    })
+  }
+})
+
+// POST /api/leads/:id/discard - Discard a lead with a reason from the company catalogue
+router.post('/:id/discard', loadLeadCompany, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { reason_code, summary = null } = req.body
+
+    const reason = await resolveDiscardReason(req.companyId, reason_code)
+
+    const discard = await transaction(async (client) => {
+      const leadResult = await client.query(`
+        SELECT l.id, s.id as session_id
+        FROM leads l
+        LEFT JOIN LATERAL (
+          SELECT id FROM sessions
+          WHERE contact_id = l.contact_id AND company_id = l.company_id
+          ORDER BY created_at DESC
+          LIMIT 1
+        ) s ON true
+        WHERE l.id = $1
+        FOR UPDATE OF l
+      `, [id])
+
+      const lead = leadResult.rows[0]
+      if (!lead.session_id) {
+        throw new DiscardError('Lead has no session to discard')
+      }
+
+      const existing = await client.query('SELECT id FROM discarded_leads WHERE lead_id = $1 LIMIT 1', [id])
+      if (existing.rows.length > 0) {
+        throw new DiscardError('Lead has already been discarded')
+      }
+
+      const result = await discardSession(client, req, { sessionId: lead.session_id, leadId: lead.id, reason, summary })
+      if (!result) {
+        throw new DiscardError('The lead\'s session has already been discarded')
+      }
+
+      return result
+    })
+
+    res.status(201).json({
+      success: true,
+      data: discard
+    })
+
+  } catch (error) {
+    if (['DiscardError', 'SessionStatusError'].includes(error.name)) {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
+    console.error('Lead discard error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to discard lead' }
+    })
+  }
+})
+
+// DELETE /api/leads/:id/discard - Undo a discard and reopen the session
+router.delete('/:id/discard', loadLeadCompany, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const undone = await transaction(async (client) => {
+      const discardResult = await client.query(`
+        SELECT id FROM discarded_leads
+        WHERE lead_id = $1
+        ORDER BY created_at DESC
+        LIMIT 1
+      `, [req.params.id])
+
+      if (discardResult.rows.length === 0) {
+        return null
+      }
+
+      return undoDiscard(client, req, { discardId: discardResult.rows[0].id })
+    })
+
+    if (!undone) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Lead is not discarded' }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        lead_id: req.params.id,
+        session_id: undone.session_id,
+        session_status: undone.restored_status
+      }
+    })
+
+  } catch (error) {
+    if (error.name === 'SessionStatusError') {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
+    console.error('Lead undo discard error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to undo discard' }
+    })
+  }
+})
+
+// POST /api/leads/:id/merge - Merge duplicate leads (and their contacts) into this one
+router.post('/:id/merge', loadLeadCompany, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { duplicate_ids } = req.body
+
+    const merge = await transaction(async (client) => {
+      return mergeLeads(client, req, { survivorId: req.params.id, duplicateIds: duplicate_ids })
+    })
+
+    if (merge.lead.contact_id) {
+      await refreshContactLeadScores(req.companyId, merge.lead.contact_id)
+    }
+
+    res.json({
+      success: true,
+      data: merge
+    })
+
+  } catch (error) {
+    if (error.name === 'DuplicateMergeError') {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
+    console.error('Lead merge error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to merge leads' }
+    })
+  }
+})
+
+// POST /api/leads/:id/score - Recalculate a lead's score now
+router.post('/:id/score', loadLeadCompany, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const [score] = await recalculateLeadScores([req.params.id])
+
+    res.json({
+      success: true,
+      data: {
+        lead_id: score.id,
+        score: score.score,
+        factors: score.score_factors,
+        scored_at: score.scored_at
+      }
+    })
+
+  } catch (error) {
+    console.error('Lead score error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to calculate lead score' }
+    })
+  }
+})
+
 // GET /api/leads/:id - Get specific lead details
-router.get('/:id', async (req, res) => {
+router.get('/:id', loadLeadCompany, requireCompanyAccess, async (req, res) => {
   try {
     const { id } = req.params
 
@@ -331,6 +1005,12 @@ router.get('/:id', async (req, res) => {
         landing_page: lead.landing_page,
         utms: lead.utms,
         created_at: lead.created_at,
+        score: {
+          value: lead.score,
+          factors: lead.score_factors || [],
+          scored_at: lead.scored_at,
+          stale: lead.score_stale
+        },
         contact: {
           id: lead.contact_id,
           name: lead.contact_name,
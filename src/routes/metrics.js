@@ -1,11 +1,13 @@
 import express from 'express'
 import { query } from '../config/database.js'
-import { authenticateToken, requireCompanyAccess } from '../middleware/auth.js'
+import { authenticateToken, requireCompanyAccess, requireScope, requireUserToken, isPlatformAdmin } from '../middleware/auth.js'
+import { MESSAGE_SENDERS } from '../config/constants.js'
 
 const router = express.Router()
 
 // Apply authentication to all routes
 router.use(authenticateToken)
+router.use(requireScope('read:metrics'))
 
 // GET /api/metrics - Get dashboard metrics for a company
 router.get('/', requireCompanyAccess, async (req, res) => {
@@ -75,15 +77,38 @@ router.get('/', requireCompanyAccess, async (req, res) => {
         ${dateFilter}
     `, queryParams)
 
+    // Get delivery status of outbound messages (AI and human replies)
+    const deliveryResult = await query(`
+      SELECT
+        COUNT(*) as tracked_messages,
+        COUNT(CASE WHEN delivery_status IN ('delivered', 'read') THEN 1 END) as delivered_messages,
+        COUNT(CASE WHEN delivery_status = 'read' THEN 1 END) as read_messages,
+        COUNT(CASE WHEN delivery_status = 'failed' THEN 1 END) as failed_messages
+      FROM conversations
+      WHERE company_id = $1
+        AND sender <> ${MESSAGE_SENDERS.CONTACT}
+        AND delivery_status IS NOT NULL
+        ${dateFilter}
+    `, queryParams)
+
     const totalConversations = parseInt(conversationsResult.rows[0].total_conversations)
     const transferredLeads = parseInt(transferredLeadsResult.rows[0].transferred_leads)
     const transferredSessions = parseInt(transferredSessionsResult.rows[0].transferred_sessions)
     const avgMessages = parseFloat(avgMessagesResult.rows[0].avg_messages_per_session) || 0
     const activeSessions = parseInt(activeSessionsResult.rows[0].active_sessions)
+    const trackedMessages = parseInt(deliveryResult.rows[0].tracked_messages)
+    const deliveredMessages = parseInt(deliveryResult.rows[0].delivered_messages)
+    const readMessages = parseInt(deliveryResult.rows[0].read_messages)
+    const failedMessages = parseInt(deliveryResult.rows[0].failed_messages)
 
     // Calculate qualification percentage (transferred sessions / total sessions)
     const qualificationPercentage = totalConversations > 0 ? ((transferredSessions / totalConversations) * 100) : 0
 
+    // Calculate delivery rates over outbound messages with a known status
+    const deliveryRate = trackedMessages > 0 ? ((deliveredMessages / trackedMessages) * 100) : 0
+    const readRate = trackedMessages > 0 ? ((readMessages / trackedMessages) * 100) : 0
+    const failureRate = trackedMessages > 0 ? ((failedMessages / trackedMessages) * 100) : 0
+
     res.json({
       success: true,
       data: {
@@ -92,7 +117,16 @@ router.get('/', requireCompanyAccess, async (req, res) => {
         qualificationPercentage: Math.round(qualificationPercentage * 100) / 100,
         avgMessagesPerSession: Math.round(avgMessages * 100) / 100,
         activeSessions,
-        transferredSessions
+        transferredSessions,
+        messageDelivery: {
+          trackedMessages,
+          deliveredMessages,
+          readMessages,
+          failedMessages,
+          deliveryRate: Math.round(deliveryRate * 100) / 100,
+          readRate: Math.round(readRate * 100) / 100,
+          failureRate: Math.round(failureRate * 100) / 100
+        }
       }
     })
 
@@ -200,8 +234,11 @@ router.get('/historical', requireCompanyAccess, async (req, res) => {
 })
 
 // GET /api/metrics/summary - Get summary metrics by company
-router.get('/summary', async (req, res) => {
+router.get('/summary', requireUserToken, async (req, res) => {
   try {
+    // Platform admins see every company, members only their own
+    const allCompanies = await isPlatformAdmin(req.user.id)
+
     const result = await query(`
       SELECT
         c.id,
@@ -217,9 +254,10 @@ router.get('/summary', async (req, res) => {
       FROM companies c
       LEFT JOIN sessions s ON c.id = s.company_id
       LEFT JOIN transferred_leads tl ON c.id = tl.company_id
+      WHERE $1 OR c.id IN (SELECT company_id FROM company_users WHERE user_id = $2)
       GROUP BY c.id, c.name
       ORDER BY c.name
-    `)
+    `, [allCompanies, req.user.id])
 
     res.json({
       success: true,
@@ -0,0 +1,318 @@
+import express from 'express'
+import { query, transaction } from '../config/database.js'
+import { authenticateToken, requireUserToken, requireCompanyAccess, requireRole, loadSessionCompany, loadNoteCompany } from '../middleware/auth.js'
+import { recordAudit } from '../services/audit.js'
+import { resolveMentions, saveMentions, listNotes } from '../services/notes.js'
+
+const router = express.Router()
+
+// Notes are written by team members, so API keys are not accepted. Viewers
+// can read them; writing takes a manager or admin like other changes.
+router.use(authenticateToken)
+router.use(requireUserToken)
+
+const createNote = async (req, { companyId, contactId, sessionId }) => {
+  const { body, mentions = [] } = req.body
+
+  return transaction(async (client) => {
+    const result = await client.query(`
+      INSERT INTO notes (company_id, contact_id, session_id, author_user_id, author_email, body)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, contact_id, session_id, author_user_id, author_email, body, created_at, updated_at
+    `, [companyId, contactId, sessionId, req.user.id, req.user.email, body.trim()])
+
+    const note = result.rows[0]
+    const mentionedUserIds = await resolveMentions(companyId, body, Array.isArray(mentions) ? mentions : [], client)
+    await saveMentions(client, note.id, mentionedUserIds)
+
+    await recordAudit(req, {
+      companyId,
+      entityType: 'note',
+      entityId: note.id,
+      action: 'create',
+      after: { ...note, mentions: mentionedUserIds }
+    }, client)
+
+    return { ...note, mentions: mentionedUserIds.map(userId => ({ user_id: userId })) }
+  })
+}
+
+const requireNoteBody = (req, res, next) => {
+  if (typeof req.body.body !== 'string' || !req.body.body.trim()) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Note body is required' }
+    })
+  }
+  next()
+}
+
+// Contact ids go to the database as uuids; reject anything else up front
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+const requireContactId = (req, res, next) => {
+  if (!UUID_PATTERN.test(req.params.contactId)) {
+    return res.status(400).json({
+      success: false,
+      error: { message: 'Contact ID must be a UUID' }
+    })
+  }
+  next()
+}
+
+// GET /api/notes/mentions - Notes that mention the current user
+router.get('/mentions', requireCompanyAccess, async (req, res) => {
+  try {
+    const { limit = 50 } = req.query
+
+    const result = await query(`
+      SELECT
+        n.id,
+        n.contact_id,
+        n.session_id,
+        n.author_user_id,
+        n.author_email,
+        n.body,
+        n.created_at,
+        ct.name as contact_name
+      FROM note_mentions m
+      JOIN notes n ON n.id = m.note_id
+      LEFT JOIN contacts ct ON ct.id = n.contact_id
+      WHERE m.user_id = $1 AND n.company_id = $2
+      ORDER BY n.created_at DESC
+      LIMIT $3
+    `, [req.user.id, req.companyId, parseInt(limit)])
+
+    res.json({
+      success: true,
+      data: result.rows
+    })
+
+  } catch (error) {
+    console.error('Note mentions error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch mentions' }
+    })
+  }
+})
+
+// GET /api/notes/sessions/:sessionId - Notes on a session
+router.get('/sessions/:sessionId', loadSessionCompany, requireCompanyAccess, async (req, res) => {
+  try {
+    const notes = await listNotes(req.companyId, { sessionId: req.params.sessionId })
+
+    res.json({
+      success: true,
+      data: notes
+    })
+
+  } catch (error) {
+    console.error('Session notes error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch notes' }
+    })
+  }
+})
+
+// POST /api/notes/sessions/:sessionId - Add a note to a session
+router.post('/sessions/:sessionId', loadSessionCompany, requireCompanyAccess, requireRole('manager', 'admin'), requireNoteBody, async (req, res) => {
+  try {
+    const sessionResult = await query('SELECT contact_id FROM sessions WHERE id = $1', [req.params.sessionId])
+
+    const note = await createNote(req, {
+      companyId: req.companyId,
+      contactId: sessionResult.rows[0].contact_id,
+      sessionId: req.params.sessionId
+    })
+
+    res.status(201).json({
+      success: true,
+      data: note
+    })
+
+  } catch (error) {
+    console.error('Note creation error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to create note' }
+    })
+  }
+})
+
+// GET /api/notes/contacts/:contactId - Notes on a contact, including its session notes
+router.get('/contacts/:contactId', requireContactId, requireCompanyAccess, async (req, res) => {
+  try {
+    const notes = await listNotes(req.companyId, { contactId: req.params.contactId })
+
+    res.json({
+      success: true,
+      data: notes
+    })
+
+  } catch (error) {
+    console.error('Contact notes error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch notes' }
+    })
+  }
+})
+
+// POST /api/notes/contacts/:contactId - Add a note to a contact
+router.post('/contacts/:contactId', requireContactId, requireCompanyAccess, requireRole('manager', 'admin'), requireNoteBody, async (req, res) => {
+  try {
+    const { contactId } = req.params
+
+    const contactResult = await query(`
+      SELECT 1
+      FROM contacts ct
+      WHERE ct.id = $1
+        AND (
+          EXISTS (SELECT 1 FROM contact_company cc WHERE cc.contact_id = ct.id AND cc.company_id = $2)
+          OR EXISTS (SELECT 1 FROM sessions s WHERE s.contact_id = ct.id AND s.company_id = $2)
+        )
+    `, [contactId, req.companyId])
+
+    if (contactResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Contact not found' }
+      })
+    }
+
+    const note = await createNote(req, {
+      companyId: req.companyId,
+      contactId,
+      sessionId: null
+    })
+
+    res.status(201).json({
+      success: true,
+      data: note
+    })
+
+  } catch (error) {
+    console.error('Note creation error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to create note' }
+    })
+  }
+})
+
+// Only the author or a company admin may change a note
+const loadOwnNote = async (req, res, client) => {
+  const result = await client.query(`
+    SELECT id, company_id, contact_id, session_id, author_user_id, body
+    FROM notes
+    WHERE id = $1
+    FOR UPDATE
+  `, [req.params.noteId])
+
+  const note = result.rows[0]
+
+  if (note.author_user_id !== req.user.id && req.companyMembership.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: { message: 'Only the author or an admin can change this note' }
+    })
+    return null
+  }
+
+  return note
+}
+
+// PUT /api/notes/:noteId - Edit a note
+router.put('/:noteId', loadNoteCompany, requireCompanyAccess, requireRole('manager', 'admin'), requireNoteBody, async (req, res) => {
+  try {
+    const { body, mentions = [] } = req.body
+
+    const note = await transaction(async (client) => {
+      const before = await loadOwnNote(req, res, client)
+      if (!before) {
+        return null
+      }
+
+      const result = await client.query(`
+        UPDATE notes
+        SET body = $2, updated_at = NOW()
+        WHERE id = $1
+        RETURNING id, contact_id, session_id, author_user_id, author_email, body, created_at, updated_at
+      `, [before.id, body.trim()])
+
+      const mentionedUserIds = await resolveMentions(req.companyId, body, Array.isArray(mentions) ? mentions : [], client)
+      await saveMentions(client, before.id, mentionedUserIds)
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'note',
+        entityId: before.id,
+        action: 'update',
+        before: { body: before.body },
+        after: { body: result.rows[0].body, mentions: mentionedUserIds }
+      }, client)
+
+      return { ...result.rows[0], mentions: mentionedUserIds.map(userId => ({ user_id: userId })) }
+    })
+
+    if (!note) {
+      return
+    }
+
+    res.json({
+      success: true,
+      data: note
+    })
+
+  } catch (error) {
+    console.error('Note update error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update note' }
+    })
+  }
+})
+
+// DELETE /api/notes/:noteId - Delete a note
+router.delete('/:noteId', loadNoteCompany, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const deleted = await transaction(async (client) => {
+      const before = await loadOwnNote(req, res, client)
+      if (!before) {
+        return null
+      }
+
+      await client.query('DELETE FROM notes WHERE id = $1', [before.id])
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'note',
+        entityId: before.id,
+        action: 'delete',
+        before
+      }, client)
+
+      return before
+    })
+
+    if (!deleted) {
+      return
+    }
+
+    res.json({
+      success: true,
+      message: 'Note deleted successfully'
+    })
+
+  } catch (error) {
+    console.error('Note deletion error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to delete note' }
+    })
+  }
+})
+
+export default router
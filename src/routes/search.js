@@ -1,16 +1,18 @@
 import express from 'express'
 import { query } from '../config/database.js'
-import { authenticateToken, requireCompanyAccess, optionalAuth } from '../middleware/auth.js'
+import { authenticateToken, requireCompanyAccess, requireUserToken } from '../middleware/auth.js'
+import { parseTagFilter, tagFilterSql } from '../services/tags.js'
 
 const router = express.Router()
 
 // Apply authentication to all routes
 router.use(authenticateToken)
+router.use(requireUserToken)
 
 // GET /api/search/contacts - Search contacts
-router.get('/contacts', optionalAuth, async (req, res) => {
+router.get('/contacts', requireCompanyAccess, async (req, res) => {
   try {
-    const { q: searchQuery, company_id, limit = 20 } = req.query
+    const { q: searchQuery, limit = 20 } = req.query
     
     if (!searchQuery || searchQuery.trim().length < 2) {
       return res.status(400).json({
@@ -19,18 +21,7 @@ router.get('/contacts', optionalAuth, async (req, res) => {
       })
     }
 
-    let queryParams = [`%${searchQuery.trim()}%`, parseInt(limit)]
-    let companyFilter = ''
-
-    if (company_id) {
-      companyFilter = `
-        AND EXISTS (
-          SELECT 1 FROM contact_company cc 
-          WHERE cc.contact_id = c.id AND cc.company_id = $3
-        )
-      `
-      queryParams.push(parseInt(company_id))
-    }
+    const queryParams = [`%${searchQuery.trim()}%`, parseInt(limit), req.companyId]
 
     const result = await query(`
       SELECT DISTINCT
@@ -39,18 +30,17 @@ router.get('/contacts', optionalAuth, async (req, res) => {
         c.phone_number,
         c.email,
         c.created_at,
-        -- Count related sessions
-        (SELECT COUNT(*) FROM sessions s WHERE s.contact_id = c.id) as session_count,
-        -- Count related leads
-        (SELECT COUNT(*) FROM leads l WHERE l.contact_id = c.id) as lead_count,
-        -- Get associated companies
+        -- Count related sessions and leads in the company
+        (SELECT COUNT(*) FROM sessions s WHERE s.contact_id = c.id AND s.company_id = $3) as session_count,
+        (SELECT COUNT(*) FROM leads l WHERE l.contact_id = c.id AND l.company_id = $3) as lead_count,
+        -- Other companies the contact talks to are not disclosed
         (
           SELECT json_agg(
             json_build_object('id', comp.id, 'name', comp.name)
           )
           FROM contact_company cc
           JOIN companies comp ON cc.company_id = comp.id
-          WHERE cc.contact_id = c.id
+          WHERE cc.contact_id = c.id AND cc.company_id = $3
         ) as companies
       FROM contacts c
       WHERE (
@@ -58,7 +48,10 @@ router.get('/contacts', optionalAuth, async (req, res) => {
         OR c.email ILIKE $1
         OR c.phone_number::text ILIKE $1
       )
-      ${companyFilter}
+        AND EXISTS (
+          SELECT 1 FROM contact_company cc 
+          WHERE cc.contact_id = c.id AND cc.company_id = $3
+        )
       ORDER BY c.created_at DESC
       LIMIT $2
     `, queryParams)
@@ -97,7 +90,9 @@ router.get('/conversations', requireCompanyAccess, async (req, res) => {
       q: searchQuery, 
       company_id, 
       limit = 20,
-      session_status = null
+      session_status = null,
+      tags = '',
+      tag_match = 'any'
     } = req.query
     
     const companyId = company_id || req.companyId
@@ -118,10 +113,20 @@ router.get('/conversations', requireCompanyAccess, async (req, res) => {
 
     let queryParams = [companyId, `%${searchQuery.trim()}%`, parseInt(limit)]
     let statusFilter = ''
+    let tagFilter = ''
+    let paramIndex = 4
 
     if (session_status !== null && !isNaN(session_status)) {
-      statusFilter = 'AND s.status = $4'
+      statusFilter = `AND s.status = $${paramIndex}`
       queryParams.push(parseInt(session_status))
+      paramIndex++
+    }
+
+    const tagSlugs = parseTagFilter(tags)
+    if (tagSlugs.length > 0) {
+      tagFilter = tagFilterSql('s.id', paramIndex, tag_match)
+      queryParams.push(tagSlugs)
+      paramIndex++
     }
 
     const result = await query(`
@@ -161,6 +166,7 @@ router.get('/conversations', requireCompanyAccess, async (req, res) => {
       WHERE s.company_id = $1
         AND c.content ILIKE $2
         ${statusFilter}
+        ${tagFilter}
       ORDER BY c.created_at DESC
       LIMIT $3
     `, queryParams)
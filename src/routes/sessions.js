@@ -1,18 +1,56 @@
 import express from 'express'
-import { query } from '../config/database.js'
-import { authenticateToken, requireCompanyAccess } from '../middleware/auth.js'
+import { query, transaction } from '../config/database.js'
+import { authenticateToken, requireCompanyAccess, requireRole, requireScope, requireUserToken, loadSessionCompany } from '../middleware/auth.js'
+import { recordAudit } from '../services/audit.js'
+import { parseTagFilter, tagFilterSql, sessionTagsSql, resolveTags } from '../services/tags.js'
+import { assigneeFilterSql, assignSessionFromRequest } from '../services/assignments.js'
+import { unreadCountSql, markedUnreadSql } from '../services/readMarkers.js'
+import { changeSessionStatus } from '../services/sessionStatus.js'
+import { BULK_MAX_ITEMS, prepareBulkAction, runBulkAction } from '../services/bulkActions.js'
 
 const router = express.Router()
 
+// Filters accepted by the session list (and bulk selection by filters).
+// Resolves to { filters, params } or { error } for an invalid value.
+const sessionListFilters = ({ status = null, tags = '', tag_match = 'any', assigned_to = '' }, paramIndex, currentUserId) => {
+  const filters = []
+  const params = []
+
+  if (status !== null && !isNaN(status)) {
+    filters.push(`AND s.status = $${paramIndex}`)
+    params.push(parseInt(status))
+    paramIndex++
+  }
+
+  const tagSlugs = parseTagFilter(tags)
+  if (tagSlugs.length > 0) {
+    filters.push(tagFilterSql('s.id', paramIndex, tag_match))
+    params.push(tagSlugs)
+    paramIndex++
+  }
+
+  if (assigned_to) {
+    const assigneeFilter = assigneeFilterSql('s.assigned_user_id', assigned_to, paramIndex, currentUserId)
+    if (!assigneeFilter) {
+      return { error: 'assigned_to must be a user ID, "me" or "unassigned"' }
+    }
+
+    filters.push(assigneeFilter.sql)
+    params.push(...assigneeFilter.params)
+  }
+
+  return { filters, params }
+}
+
 // Apply authentication to all routes
 router.use(authenticateToken)
+router.use(requireScope('read:sessions'))
 
 // GET /api/sessions - Get sessions for a company
 router.get('/', requireCompanyAccess, async (req, res) => {
   try {
     const { 
       company_id, 
-      status = null,
       page = 1,
       limit = 50
     } = req.query
@@ -27,20 +65,25 @@ router.get('/', requireCompanyAccess, async (req, res) => {
       })
     }
 
-    let statusFilter = ''
-    let queryParams = [companyId, parseInt(limit), offset]
-
-    if (status !== null && !isNaN(status)) {
-      statusFilter = 'AND s.status = $4'
-      queryParams.push(parseInt(status))
+    const listFilters = sessionListFilters(req.query, 4, req.user.id)
+    if (listFilters.error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: listFilters.error }
+      })
     }
 
+    const queryParams = [companyId, parseInt(limit), offset, ...listFilters.params]
+    const whereFilters = listFilters.filters.join('\n        ')
+
     const result = await query(`
       SELECT 
         s.id,
         s.status,
         s.associated_leads,
         s.created_at,
+        s.assigned_user_id,
+        s.assigned_at,
         ct.id as contact_id,
         ct.name as contact_name,
         ct.phone_number,
@@ -53,23 +96,23 @@ router.get('/', requireCompanyAccess, async (req, res) => {
         -- Check if session has transferred leads
         (SELECT COUNT(*) FROM transferred_leads tl WHERE tl.session_id = s.id) as transferred_count,
         -- Check if session has discarded leads
-        (SELECT COUNT(*) FROM discarded_leads dl WHERE dl.session_id = s.id) as discarded_count
+        (SELECT COUNT(*) FROM discarded_leads dl WHERE dl.session_id = s.id) as discarded_count,
+        ${sessionTagsSql('s.id')} as tags
       FROM sessions s
       LEFT JOIN contacts ct ON s.contact_id = ct.id
       WHERE s.company_id = $1
-        ${statusFilter}
+        ${whereFilters}
       ORDER BY s.created_at DESC
       LIMIT $2 OFFSET $3
     `, queryParams)
 
-    // Get total count
-    const countParams = status !== null ? [companyId, parseInt(status)] : [companyId]
+    // Get total count (same filters without limit/offset, so parameters shift by two)
     const countResult = await query(`
       SELECT COUNT(*) as total
       FROM sessions s
       WHERE s.company_id = $1
-        ${statusFilter.replace('$4', '$2')}
-    `, countParams)
+        ${whereFilters.replace(/\$(\d+)/g, (match, index) => `$${index - 2}`)}
+    `, [companyId, ...queryParams.slice(3)])
 
     const total = parseInt(countResult.rows[0].total)
     const totalPages = Math.ceil(total / parseInt(limit))
@@ -85,6 +128,9 @@ router.get('/', requireCompanyAccess, async (req, res) => {
       last_message_time: row.last_message_time,
       transferred_count: parseInt(row.transferred_count),
       discarded_count: parseInt(row.discarded_count),
+      tags: row.tags,
+      assigned_user_id: row.assigned_user_id,
+      assigned_at: row.assigned_at,
       contact: {
         id: row.contact_id,
         name: row.contact_name,
@@ -137,7 +183,8 @@ router.get('/stats', requireCompanyAccess, async (req, res) => {
         COUNT(CASE WHEN status = 1 THEN 1 END) as active_sessions,
         COUNT(CASE WHEN status = 2 THEN 1 END) as qualifying_sessions,
         COUNT(CASE WHEN status = 3 THEN 1 END) as completed_sessions,
-        COUNT(CASE WHEN status = 4 THEN 1 END) as abandoned_sessions,
+        COUNT(CASE WHEN status = 4 THEN 1 END) as finished_sessions,
+        COUNT(CASE WHEN status = 5 THEN 1 END) as inactive_sessions,
         -- Sessions with transfers
         COUNT(DISTINCT tl.session_id) as sessions_with_transfers,
         -- Sessions with discards
@@ -160,6 +207,15 @@ router.get('/stats', requireCompanyAccess, async (req, res) => {
 
     const stats = result.rows[0]
 
+    const tagCountsResult = await query(`
+      SELECT t.id, t.name, t.slug, t.color, COUNT(st.session_id) as session_count
+      FROM tags t
+      LEFT JOIN session_tags st ON st.tag_id = t.id
+      WHERE t.company_id = $1
+      GROUP BY t.id
+      ORDER BY session_count DESC, t.name
+    `, [companyId])
+
     res.json({
       success: true,
       data: {
@@ -168,10 +224,18 @@ router.get('/stats', requireCompanyAccess, async (req, res) => {
         active_sessions: parseInt(stats.active_sessions),
         qualifying_sessions: parseInt(stats.qualifying_sessions),
         completed_sessions: parseInt(stats.completed_sessions),
-        abandoned_sessions: parseInt(stats.abandoned_sessions),
+        finished_sessions: parseInt(stats.finished_sessions),
+        // Sessions marked Abandonado (5) for inactivity
+        inactive_sessions: parseInt(stats.inactive_sessions),
+        // Kept for existing clients: it has always counted Finalizado (4)
+        abandoned_sessions: parseInt(stats.finished_sessions),
         sessions_with_transfers: parseInt(stats.sessions_with_transfers),
         sessions_with_discards: parseInt(stats.sessions_with_discards),
-        avg_session_duration_hours: parseFloat(stats.avg_session_duration_hours) || 0
+        avg_session_duration_hours: parseFloat(stats.avg_session_duration_hours) || 0,
+        tag_counts: tagCountsResult.rows.map(row => ({
+          ...row,
+          session_count: parseInt(row.session_count)
+        }))
       }
     })
 
@@ -184,8 +248,197 @@ router.get('/stats', requireCompanyAccess, async (req, res) => {
   }
 })
 
+// GET /api/sessions/inbox - Sessions assigned to the current user
+router.get('/inbox', requireUserToken, requireCompanyAccess, async (req, res) => {
+  try {
+    const { status = null, page = 1, limit = 50 } = req.query
+    const offset = (parseInt(page) - 1) * parseInt(limit)
+
+    let statusFilter = ''
+    let queryParams = [req.companyId, req.user.id, parseInt(limit), offset]
+
+    if (status !== null && !isNaN(status)) {
+      statusFilter = 'AND s.status = $5'
+      queryParams.push(parseInt(status))
+    }
+
+    const result = await query(`
+      SELECT
+        s.id,
+        s.status,
+        s.created_at,
+        s.assigned_at,
+        ct.id as contact_id,
+        ct.name as contact_name,
+        ct.phone_number,
+        last_msg.content as last_message,
+        last_msg.created_at as last_message_time,
+        last_msg.sender as last_message_sender,
+        ${unreadCountSql('us.id = s.id', '$2')} as unread_count,
+        ${markedUnreadSql('us.id = s.id', '$2')} as marked_unread,
+        ${sessionTagsSql('s.id')} as tags
+      FROM sessions s
+      LEFT JOIN contacts ct ON s.contact_id = ct.id
+      LEFT JOIN LATERAL (
+        SELECT content, created_at, sender
+        FROM conversations c
+        WHERE c.session_id = s.id
+        ORDER BY c.created_at DESC
+        LIMIT 1
+      ) last_msg ON true
+      WHERE s.company_id = $1 AND s.assigned_user_id = $2
+        ${statusFilter}
+      ORDER BY last_msg.created_at DESC NULLS LAST
+      LIMIT $3 OFFSET $4
+    `, queryParams)
+
+    const countResult = await query(`
+      SELECT COUNT(*) as total
+      FROM sessions s
+      WHERE s.company_id = $1 AND s.assigned_user_id = $2
+        ${statusFilter.replace('$5', '$3')}
+    `, [req.companyId, req.user.id, ...queryParams.slice(4)])
+
+    const total = parseInt(countResult.rows[0].total)
+    const totalPages = Math.ceil(total / parseInt(limit))
+
+    const sessions = result.rows.map(row => ({
+      id: row.id,
+      status: row.status,
+      created_at: row.created_at,
+      assigned_at: row.assigned_at,
+      last_message: row.last_message,
+      last_message_time: row.last_message_time,
+      last_message_sender: row.last_message_sender,
+      unread_count: parseInt(row.unread_count),
+      unread: parseInt(row.unread_count) > 0 || row.marked_unread,
+      tags: row.tags,
+      contact: {
+        id: row.contact_id,
+        name: row.contact_name,
+        phone_number: row.phone_number
+      }
+    }))
+
+    res.json({
+      success: true,
+      data: {
+        sessions,
+        total_unread: sessions.reduce((sum, session) => sum + session.unread_count, 0),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: totalPages,
+          hasNext: parseInt(page) < totalPages,
+          hasPrev: parseInt(page) > 1
+        }
+      }
+    })
+
+  } catch (error) {
+    console.error('Inbox error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch inbox' }
+    })
+  }
+})
+
+// POST /api/sessions/bulk - Apply one action (status, assign, tag, untag, discard)
+// to many sessions, selected by ids or by the list filters
+router.post('/bulk', requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { action, ids, filters, all_or_nothing = false, ...params } = req.body
+    const byIds = Array.isArray(ids)
+
+    if (byIds === Boolean(filters && typeof filters === 'object')) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Provide either a list of session ids or filters' }
+      })
+    }
+
+    const prepared = await prepareBulkAction(req, action, params)
+
+    let items
+    if (byIds) {
+      if (ids.length === 0 || ids.length > BULK_MAX_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          error: { message: `Between 1 and ${BULK_MAX_ITEMS} session ids are required` }
+        })
+      }
+
+      const found = await query(`
+        SELECT id FROM sessions WHERE company_id = $1 AND id::text = ANY($2)
+      `, [req.companyId, ids.map(id => String(id).toLowerCase())])
+      const foundIds = new Set(found.rows.map(row => row.id))
+
+      items = ids.map(id => foundIds.has(String(id).toLowerCase())
+        ? { id, session_id: String(id).toLowerCase() }
+        : { id, session_id: null, error: 'Session not found' })
+    } else {
+      const listFilters = sessionListFilters(filters, 3, req.user.id)
+      if (listFilters.error || listFilters.filters.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: { message: listFilters.error || 'Filters must include status, tags or assigned_to' }
+        })
+      }
+
+      const selected = await query(`
+        SELECT s.id
+        FROM sessions s
+        WHERE s.company_id = $1
+          ${listFilters.filters.join('\n          ')}
+        ORDER BY s.created_at DESC
+        LIMIT $2
+      `, [req.companyId, BULK_MAX_ITEMS + 1, ...listFilters.params])
+
+      if (selected.rows.length > BULK_MAX_ITEMS) {
+        return res.status(400).json({
+          success: false,
+          error: { message: `Filters match more than ${BULK_MAX_ITEMS} sessions; narrow them down` }
+        })
+      }
+
+      items = selected.rows.map(row => ({ id: row.id, session_id: row.id }))
+    }
+
+    const report = await runBulkAction(req, { action, prepared, items, allOrNothing: all_or_nothing === true })
+
+    if (report.rolled_back) {
+      return res.status(409).json({
+        success: false,
+        error: { message: `No changes were saved: ${report.failed} of ${report.total} sessions failed` },
+        data: report
+      })
+    }
+
+    res.json({
+      success: true,
+      data: report
+    })
+
+  } catch (error) {
+    if (['BulkActionError', 'DiscardError'].includes(error.name)) {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
+    console.error('Session bulk action error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to run bulk action' }
+    })
+  }
+})
+
 // GET /api/sessions/:id - Get specific session details
-router.get('/:id', async (req, res) => {
+router.get('/:id', loadSessionCompany, requireCompanyAccess, async (req, res) => {
   try {
     const { id } = req.params
 
@@ -214,7 +467,10 @@ router.get('/:id', async (req, res) => {
         (SELECT created_at FROM conversations conv WHERE conv.session_id = s.id ORDER BY conv.created_at DESC LIMIT 1) as last_message_time,
         (SELECT created_at FROM conversations conv WHERE conv.session_id = s.id ORDER BY conv.created_at ASC LIMIT 1) as first_message_time,
         -- Knowledge vault count
-        (SELECT COUNT(*) FROM knowledge_vault kv WHERE kv.session_id = s.id) as knowledge_count
+        (SELECT COUNT(*) FROM knowledge_vault kv WHERE kv.session_id = s.id) as knowledge_count,
+        ${sessionTagsSql('s.id')} as tags,
+        s.assigned_user_id,
+        s.assigned_at
       FROM sessions s
       LEFT JOIN contacts ct ON s.contact_id = ct.id
       LEFT JOIN companies c ON s.company_id = c.id
@@ -264,6 +520,9 @@ router.get('/:id', async (req, res) => {
         created_at: session.created_at,
         message_count: parseInt(session.message_count),
         knowledge_count: parseInt(session.knowledge_count),
+        tags: session.tags,
+        assigned_user_id: session.assigned_user_id,
+        assigned_at: session.assigned_at,
         last_message: session.last_message,
         last_message_time: session.last_message_time,
         first_message_time: session.first_message_time,
@@ -301,10 +560,10 @@ router.get('/:id', async (req, res) => {
 })
 
 // PUT /api/sessions/:id/status - Update session status
-router.put('/:id/status', async (req, res) => {
+router.put('/:id/status', loadSessionCompany, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
   try {
     const { id } = req.params
-    const { status } = req.body
+    const { status, reason = null } = req.body
 
     if (!id || status === undefined) {
       return res.status(400).json({
@@ -313,21 +572,33 @@ router.put('/:id/status', async (req, res) => {
       })
     }
 
-    if (!Number.isInteger(status) || status < 0 || status > 4) {
+    if (!Number.isInteger(status)) {
       return res.status(400).json({
         success: false,
-        error: { message: 'Status must be an integer between 0 and 4' }
+        error: { message: 'Status must be an integer' }
       })
     }
 
-    const result = await query(`
-      UPDATE sessions 
-      SET status = $1
-      WHERE id = $2
-      RETURNING id, status, created_at
-    `, [status, id])
+    const updated = await transaction(async (client) => {
+      const change = await changeSessionStatus(client, { sessionId: id, status, reason, actor: req })
 
-    if (result.rows.length === 0) {
+      if (!change) {
+        return null
+      }
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'session',
+        entityId: id,
+        action: 'update_status',
+        before: change.before,
+        after: { status, reason }
+      }, client)
+
+      return change.after
+    })
+
+    if (!updated) {
       return res.status(404).json({
         success: false,
         error: { message: 'Session not found' }
@@ -336,10 +607,17 @@ router.put('/:id/status', async (req, res) => {
 
     res.json({
       success: true,
-      data: result.rows[0]
+      data: updated
     })
 
   } catch (error) {
+    if (error.name === 'SessionStatusError') {
+      return res.status(error.status).json({
+        success: false,
+        error: { message: error.message }
+      })
+    }
+
     console.error('Session status update error:', error)
     res.status(500).json({
       success: false,
@@ -348,4 +626,227 @@ router.put('/:id/status', async (req, res) => {
   }
 })
 
+// GET /api/sessions/:id/history - Status changes of a session, newest first
+router.get('/:id/history', loadSessionCompany, requireCompanyAccess, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        h.id,
+        h.from_status,
+        from_qs.description as from_description,
+        h.to_status,
+        to_qs.description as to_description,
+        h.reason,
+        h.source,
+        h.actor_user_id,
+        h.actor_email,
+        h.actor_api_key_id,
+        h.created_at
+      FROM session_status_history h
+      LEFT JOIN qualification_statuses from_qs ON from_qs.id = h.from_status
+      LEFT JOIN qualification_statuses to_qs ON to_qs.id = h.to_status
+      WHERE h.session_id = $1
+      ORDER BY h.created_at DESC, h.id DESC
+    `, [req.params.id])
+
+    res.json({
+      success: true,
+      data: result.rows
+    })
+
+  } catch (error) {
+    console.error('Session history error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch session status history' }
+    })
+  }
+})
+
+// POST /api/sessions/:id/assign - Assign a session manually (user_id) or by strategy
+router.post('/:id/assign', loadSessionCompany, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { user_id = null, strategy = 'manual', reason = null } = req.body
+
+    const result = await assignSessionFromRequest(req, id, { user_id, strategy, reason })
+    if (result.error) {
+      return res.status(400).json({
+        success: false,
+        error: { message: result.error }
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        session_id: id,
+        assignment: result.assignment
+      }
+    })
+
+  } catch (error) {
+    console.error('Session assignment error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to assign session' }
+    })
+  }
+})
+
+// GET /api/sessions/:id/assignments - Assignment history of a session
+router.get('/:id/assignments', loadSessionCompany, requireCompanyAccess, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        sa.id,
+        sa.from_user_id,
+        from_user.email as from_email,
+        sa.to_user_id,
+        to_user.email as to_email,
+        sa.strategy,
+        sa.reason,
+        sa.assigned_by_user_id,
+        sa.created_at
+      FROM session_assignments sa
+      LEFT JOIN company_users from_user ON from_user.user_id = sa.from_user_id AND from_user.company_id = sa.company_id
+      LEFT JOIN company_users to_user ON to_user.user_id = sa.to_user_id AND to_user.company_id = sa.company_id
+      WHERE sa.session_id = $1
+      ORDER BY sa.created_at DESC, sa.id DESC
+    `, [req.params.id])
+
+    res.json({
+      success: true,
+      data: result.rows
+    })
+
+  } catch (error) {
+    console.error('Session assignments error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch assignment history' }
+    })
+  }
+})
+
+// POST /api/sessions/:id/tags - Apply tags (by slug or id) to a session
+router.post('/:id/tags', loadSessionCompany, requireScope('write:tags'), requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { tags } = req.body
+
+    if (!Array.isArray(tags) || tags.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Tags must be a non-empty list of tag slugs or ids' }
+      })
+    }
+
+    const resolved = await resolveTags(req.companyId, tags)
+
+    if (resolved.unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: { message: `Unknown tags: ${resolved.unknown.join(', ')}` }
+      })
+    }
+
+    const sessionTags = await transaction(async (client) => {
+      const inserted = await client.query(`
+        INSERT INTO session_tags (session_id, tag_id, applied_by_user_id, applied_by_api_key_id)
+        SELECT $1, unnest($2::int[]), $3, $4
+        ON CONFLICT (session_id, tag_id) DO NOTHING
+        RETURNING tag_id
+      `, [id, resolved.tags.map(tag => tag.id), req.user.id, req.apiKey?.id || null])
+
+      if (inserted.rows.length > 0) {
+        await recordAudit(req, {
+          companyId: req.companyId,
+          entityType: 'session',
+          entityId: id,
+          action: 'add_tags',
+          after: { tags: resolved.tags.filter(tag => inserted.rows.some(row => row.tag_id === tag.id)).map(tag => tag.slug) }
+        }, client)
+      }
+
+      const result = await client.query(`SELECT ${sessionTagsSql('$1::uuid')} as tags`, [id])
+      return result.rows[0].tags
+    })
+
+    res.json({
+      success: true,
+      data: {
+        session_id: id,
+        tags: sessionTags
+      }
+    })
+
+  } catch (error) {
+    console.error('Session tagging error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to tag session' }
+    })
+  }
+})
+
+// DELETE /api/sessions/:id/tags/:tagId - Remove a tag from a session
+router.delete('/:id/tags/:tagId', loadSessionCompany, requireScope('write:tags'), requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { id, tagId } = req.params
+
+    const resolved = await resolveTags(req.companyId, [tagId])
+
+    if (resolved.tags.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Tag not found' }
+      })
+    }
+
+    const tag = resolved.tags[0]
+
+    const removed = await transaction(async (client) => {
+      const result = await client.query(`
+        DELETE FROM session_tags
+        WHERE session_id = $1 AND tag_id = $2
+        RETURNING tag_id
+      `, [id, tag.id])
+
+      if (result.rows.length === 0) {
+        return false
+      }
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'session',
+        entityId: id,
+        action: 'remove_tag',
+        before: { tag: tag.slug }
+      }, client)
+
+      return true
+    })
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: { message: 'Session does not have this tag' }
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag removed successfully'
+    })
+
+  } catch (error) {
+    console.error('Session untagging error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to remove tag from session' }
+    })
+  }
+})
+
 export default router
\ No newline at end of file
@@ -1,11 +1,12 @@
 import express from 'express'
 import { query } from '../config/database.js'
-import { authenticateToken, requireCompanyAccess } from '../middleware/auth.js'
+import { authenticateToken, requireCompanyAccess, requireScope } from '../middleware/auth.js'
 
 const router = express.Router()
 
 // Apply authentication to all routes
 router.use(authenticateToken)
+router.use(requireScope('read:stock'))
 
 // GET /api/stock - Get stock/inventory for a company
 router.get('/', requireCompanyAccess, async (req, res) => {
@@ -285,7 +286,7 @@ router.get('/summary', requireCompanyAccess, async (req, res) => {
 })
 
 // GET /api/stock/:id - Get specific vehicle details
-router.get('/:id', async (req, res) => {
+router.get('/:id', requireCompanyAccess, async (req, res) => {
   try {
     const { id } = req.params
 
@@ -322,7 +323,8 @@ router.get('/:id', async (req, res) => {
         created_at
       FROM stock
       WHERE id = $1
-    `, [id])
+        AND "EMPRESA" = (SELECT name FROM companies WHERE id = $2)
+    `, [id, req.companyId])
 
     if (result.rows.length === 0) {
       return res.status(404).json({
@@ -0,0 +1,197 @@
+import express from 'express'
+import { query, transaction } from '../config/database.js'
+import { authenticateToken, requireCompanyAccess, requireRole, requireScope, requireUserToken, loadTagCompany } from '../middleware/auth.js'
+import { recordAudit } from '../services/audit.js'
+import { slugifyTag } from '../services/tags.js'
+
+const router = express.Router()
+
+// Apply authentication to all routes
+router.use(authenticateToken)
+
+// GET /api/tags - List a company's tags with how many sessions use each
+router.get('/', requireScope('read:sessions'), requireCompanyAccess, async (req, res) => {
+  try {
+    const result = await query(`
+      SELECT
+        t.id,
+        t.name,
+        t.slug,
+        t.color,
+        t.created_at,
+        COUNT(st.session_id) as session_count
+      FROM tags t
+      LEFT JOIN session_tags st ON st.tag_id = t.id
+      WHERE t.company_id = $1
+      GROUP BY t.id
+      ORDER BY t.name
+    `, [req.companyId])
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        ...row,
+        session_count: parseInt(row.session_count)
+      }))
+    })
+
+  } catch (error) {
+    console.error('Tags error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to fetch tags' }
+    })
+  }
+})
+
+// POST /api/tags - Create a tag
+router.post('/', requireUserToken, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { name, color = null } = req.body
+    const slug = name ? slugifyTag(name) : ''
+
+    if (!slug) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Tag name is required' }
+      })
+    }
+
+    const existing = await query('SELECT id FROM tags WHERE company_id = $1 AND slug = $2', [req.companyId, slug])
+    if (existing.rows.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: { message: 'A tag with this name already exists' }
+      })
+    }
+
+    const tag = await transaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO tags (company_id, name, slug, color)
+        VALUES ($1, $2, $3, $4)
+        RETURNING id, name, slug, color, created_at
+      `, [req.companyId, name.trim(), slug, color])
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'tag',
+        entityId: result.rows[0].id,
+        action: 'create',
+        after: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    res.status(201).json({
+      success: true,
+      data: tag
+    })
+
+  } catch (error) {
+    console.error('Tag creation error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to create tag' }
+    })
+  }
+})
+
+// PUT /api/tags/:tagId - Rename or recolor a tag
+router.put('/:tagId', requireUserToken, loadTagCompany, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { tagId } = req.params
+    const { name, color } = req.body
+    const slug = name !== undefined ? slugifyTag(name) : null
+
+    if (name !== undefined && !slug) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Tag name cannot be empty' }
+      })
+    }
+
+    if (slug) {
+      const existing = await query('SELECT id FROM tags WHERE company_id = $1 AND slug = $2 AND id <> $3', [req.companyId, slug, tagId])
+      if (existing.rows.length > 0) {
+        return res.status(409).json({
+          success: false,
+          error: { message: 'A tag with this name already exists' }
+        })
+      }
+    }
+
+    const tag = await transaction(async (client) => {
+      const beforeResult = await client.query('SELECT id, name, slug, color FROM tags WHERE id = $1 FOR UPDATE', [tagId])
+
+      const result = await client.query(`
+        UPDATE tags
+        SET name = COALESCE($2, name),
+            slug = COALESCE($3, slug),
+            color = CASE WHEN $4::boolean THEN $5 ELSE color END
+        WHERE id = $1
+        RETURNING id, name, slug, color, created_at
+      `, [tagId, name !== undefined ? name.trim() : null, slug, color !== undefined, color ?? null])
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'tag',
+        entityId: tagId,
+        action: 'update',
+        before: beforeResult.rows[0],
+        after: result.rows[0]
+      }, client)
+
+      return result.rows[0]
+    })
+
+    res.json({
+      success: true,
+      data: tag
+    })
+
+  } catch (error) {
+    console.error('Tag update error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to update tag' }
+    })
+  }
+})
+
+// DELETE /api/tags/:tagId - Delete a tag and remove it from all sessions
+router.delete('/:tagId', requireUserToken, loadTagCompany, requireCompanyAccess, requireRole('manager', 'admin'), async (req, res) => {
+  try {
+    const { tagId } = req.params
+
+    await transaction(async (client) => {
+      const result = await client.query(`
+        DELETE FROM tags
+        WHERE id = $1
+        RETURNING id, name, slug, color
+      `, [tagId])
+
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'tag',
+        entityId: tagId,
+        action: 'delete',
+        before: result.rows[0]
+      }, client)
+    })
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully'
+    })
+
+  } catch (error) {
+    console.error('Tag deletion error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to delete tag' }
+    })
+  }
+})
+
+export default router
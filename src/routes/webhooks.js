@@ -0,0 +1,64 @@
+import express from 'express'
+import { ingestWebhook, verifyWebhookSignature } from '../services/whatsappIngest.js'
+
+const router = express.Router()
+
+// GET /api/webhooks/whatsapp - Verification handshake when subscribing the webhook
+router.get('/whatsapp', (req, res) => {
+  const mode = req.query['hub.mode']
+  const token = req.query['hub.verify_token']
+  const challenge = req.query['hub.challenge']
+
+  if (mode === 'subscribe' && process.env.WHATSAPP_VERIFY_TOKEN && token === process.env.WHATSAPP_VERIFY_TOKEN) {
+    return res.status(200).type('text/plain').send(challenge)
+  }
+
+  res.status(403).json({
+    success: false,
+    error: { message: 'Webhook verification failed' }
+  })
+})
+
+// POST /api/webhooks/whatsapp - Receive inbound messages and delivery statuses
+router.post('/whatsapp', async (req, res) => {
+  try {
+    if (!process.env.WHATSAPP_APP_SECRET) {
+      console.error('WhatsApp webhook called but WHATSAPP_APP_SECRET is not set')
+      return res.status(500).json({
+        success: false,
+        error: { message: 'Webhook not configured' }
+      })
+    }
+
+    if (!verifyWebhookSignature(req.rawBody, req.headers['x-hub-signature-256'], process.env.WHATSAPP_APP_SECRET)) {
+      return res.status(401).json({
+        success: false,
+        error: { message: 'Invalid webhook signature' }
+      })
+    }
+
+    if (req.body.object !== 'whatsapp_business_account') {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Unsupported webhook object' }
+      })
+    }
+
+    const summary = await ingestWebhook(req.body)
+
+    res.json({
+      success: true,
+      data: summary
+    })
+
+  } catch (error) {
+    // A non-2xx response makes WhatsApp retry the delivery; ingestion is idempotent
+    console.error('WhatsApp webhook error:', error)
+    res.status(500).json({
+      success: false,
+      error: { message: 'Failed to process webhook' }
+    })
+  }
+})
+
+export default router
@@ -0,0 +1,38 @@
+import { closePool } from '../config/database.js'
+import { abandonInactiveSessions } from '../services/abandonment.js'
+
+// Usage: node src/scripts/abandonInactiveSessions.js [--dry-run] [--company <company_id>]
+async function run() {
+  const args = process.argv.slice(2)
+  const dryRun = args.includes('--dry-run')
+  const companyIndex = args.indexOf('--company')
+  const companyId = companyIndex >= 0 ? parseInt(args[companyIndex + 1]) : null
+
+  try {
+    if (companyIndex >= 0 && isNaN(companyId)) {
+      console.log('Usage: node src/scripts/abandonInactiveSessions.js [--dry-run] [--company <company_id>]')
+      return
+    }
+
+    console.log(`Looking for inactive sessions${dryRun ? ' (dry run)' : ''}...`)
+
+    const summary = await abandonInactiveSessions({ companyId, dryRun })
+
+    if (dryRun) {
+      summary.sessions.forEach(session => {
+        console.log(`Would abandon ${session.session_id} (company ${session.company_id}, last activity ${new Date(session.last_activity_at).toISOString()})`)
+      })
+    }
+
+    console.log(`Found ${summary.found}, abandoned ${summary.abandoned}, skipped ${summary.skipped}, failed ${summary.failed}`)
+
+  } catch (error) {
+    console.error('Error abandoning inactive sessions:', error)
+    throw error
+  } finally {
+    await closePool()
+  }
+}
+
+// Run the script
+run().catch(() => process.exit(1))
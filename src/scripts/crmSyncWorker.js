@@ -0,0 +1,54 @@
+import { closePool } from '../config/database.js'
+import { processCrmSyncJobs } from '../services/crmSync.js'
+
+// Retry CRM pushes of transferred leads that are due (see services/crmSync.js).
+//
+// Usage: node src/scripts/crmSyncWorker.js [--once] [--interval <seconds>]
+// Runs every 30 seconds until stopped, or a single batch with --once.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+async function run() {
+  const args = process.argv.slice(2)
+  const once = args.includes('--once')
+  const intervalIndex = args.indexOf('--interval')
+  const intervalSeconds = intervalIndex >= 0 ? parseInt(args[intervalIndex + 1]) : 30
+
+  let stopping = false
+  const stop = () => {
+    console.log('Stopping CRM sync worker...')
+    stopping = true
+  }
+  process.on('SIGINT', stop)
+  process.on('SIGTERM', stop)
+
+  try {
+    if (isNaN(intervalSeconds) || intervalSeconds < 1) {
+      console.log('Usage: node src/scripts/crmSyncWorker.js [--once] [--interval <seconds>]')
+      return
+    }
+
+    console.log(`CRM sync worker started${once ? ' (single batch)' : `, polling every ${intervalSeconds}s`}`)
+
+    do {
+      const summary = await processCrmSyncJobs()
+
+      if (summary.processed > 0) {
+        console.log(`Processed ${summary.processed}: synced ${summary.synced}, failed ${summary.failed}, dead ${summary.dead}`)
+      }
+
+      if (!once && !stopping) {
+        await sleep(intervalSeconds * 1000)
+      }
+    } while (!once && !stopping)
+
+  } catch (error) {
+    console.error('CRM sync worker error:', error)
+    throw error
+  } finally {
+    await closePool()
+  }
+}
+
+// Run the script
+run().catch(() => process.exit(1))
@@ -0,0 +1,65 @@
+import express from 'express'
+import crypto from 'crypto'
+
+// Local stand-in for Zoho CRM. Point the connector at it with
+// ZOHO_ACCOUNTS_URL=http://localhost:4020 and
+// ZOHO_API_URL=http://localhost:4020/crm/v2 to exercise transfers and the
+// CRM sync worker without a Zoho account.
+//
+// Usage: node src/scripts/fakeCrmServer.js [port]
+// FAKE_CRM_FAIL_RATE=0.5 makes half of the pushes fail with a 503.
+
+const app = express()
+const port = parseInt(process.argv[2]) || parseInt(process.env.FAKE_CRM_PORT) || 4020
+const failRate = parseFloat(process.env.FAKE_CRM_FAIL_RATE) || 0
+const createdLeads = []
+
+app.use(express.json())
+
+// POST /oauth/v2/token - Exchange a refresh token for an access token
+app.post('/oauth/v2/token', (req, res) => {
+  if (req.query.grant_type !== 'refresh_token' || !req.query.refresh_token) {
+    return res.json({ error: 'invalid_code' })
+  }
+
+  res.json({
+    access_token: `fake.${crypto.randomUUID()}`,
+    expires_in: 3600,
+    token_type: 'Bearer'
+  })
+})
+
+// POST /crm/v2/Leads - Create leads like the Zoho CRM API does
+app.post('/crm/v2/Leads', (req, res) => {
+  if (!String(req.headers['authorization'] || '').startsWith('Zoho-oauthtoken ')) {
+    return res.status(401).json({ code: 'INVALID_TOKEN', message: 'invalid oauth token', status: 'error' })
+  }
+
+  if (Math.random() < failRate) {
+    return res.status(503).json({ code: 'INTERNAL_ERROR', message: 'Simulated Zoho outage', status: 'error' })
+  }
+
+  const data = (req.body.data || []).map(record => {
+    // Phone numbers ending in 000 simulate a record Zoho rejects
+    if (String(record.Phone || '').endsWith('000')) {
+      return { code: 'INVALID_DATA', details: { api_name: 'Phone' }, message: 'invalid data', status: 'error' }
+    }
+
+    const lead = { id: String(Date.now()) + Math.floor(Math.random() * 1000), ...record, received_at: new Date().toISOString() }
+    createdLeads.push(lead)
+    console.log('📇 Fake Zoho lead:', lead)
+
+    return { code: 'SUCCESS', details: { id: lead.id }, message: 'record added', status: 'success' }
+  })
+
+  res.status(201).json({ data })
+})
+
+// GET /_leads - Inspect the leads created so far
+app.get('/_leads', (req, res) => {
+  res.json(createdLeads)
+})
+
+app.listen(port, () => {
+  console.log(`🧪 Fake Zoho CRM listening on http://localhost:${port} (fail rate ${failRate})`)
+})
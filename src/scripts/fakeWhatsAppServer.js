@@ -0,0 +1,86 @@
+import express from 'express'
+import crypto from 'crypto'
+
+// Local stand-in for the WhatsApp Cloud API. Point the API at it with
+// WHATSAPP_API_URL=http://localhost:4010 and every sent message is logged
+// and kept in memory instead of reaching real phones.
+//
+// Usage: node src/scripts/fakeWhatsAppServer.js [port]
+
+const app = express()
+const port = parseInt(process.argv[2]) || parseInt(process.env.FAKE_WHATSAPP_PORT) || 4010
+const sentMessages = []
+const FAKE_MEDIA = Buffer.from('fake media file\n')
+
+app.use(express.json())
+
+// POST /:phoneNumberId/messages - Accept a message like the Cloud API does
+app.post('/:phoneNumberId/messages', (req, res) => {
+  const { to, type, text } = req.body
+
+  if (!req.headers['authorization']) {
+    return res.status(401).json({
+      error: { message: 'Missing access token', code: 190 }
+    })
+  }
+
+  if (!to || !type) {
+    return res.status(400).json({
+      error: { message: 'Missing recipient or message type', code: 100 }
+    })
+  }
+
+  // Recipients ending in 000 simulate a number outside the 24h window
+  if (String(to).endsWith('000')) {
+    return res.status(400).json({
+      error: { message: 'Re-engagement message required', code: 131047 }
+    })
+  }
+
+  const message = {
+    id: `wamid.fake.${crypto.randomUUID()}`,
+    phone_number_id: req.params.phoneNumberId,
+    to,
+    type,
+    text: text?.body,
+    received_at: new Date().toISOString()
+  }
+
+  sentMessages.push(message)
+  console.log('📨 Fake WhatsApp message:', message)
+
+  res.json({
+    messaging_product: 'whatsapp',
+    contacts: [{ input: to, wa_id: to }],
+    messages: [{ id: message.id }]
+  })
+})
+
+// GET /:mediaId - Media metadata, pointing at a fake download URL
+app.get('/:mediaId', (req, res, next) => {
+  if (req.params.mediaId.startsWith('_')) {
+    return next()
+  }
+
+  res.json({
+    messaging_product: 'whatsapp',
+    id: req.params.mediaId,
+    url: `http://localhost:${port}/_media/${req.params.mediaId}`,
+    mime_type: 'text/plain',
+    file_size: FAKE_MEDIA.length
+  })
+})
+
+// GET /_media/:mediaId - Fake media file contents
+app.get('/_media/:mediaId', (req, res) => {
+  res.type('text/plain').send(FAKE_MEDIA)
+})
+
+// GET /_sent - Inspect the messages received so far
+app.get('/_sent', (req, res) => {
+  res.json(sentMessages)
+})
+
+app.listen(port, () => {
+  console.log(`🧪 Fake WhatsApp API listening on http://localhost:${port}`)
+})
@@ -0,0 +1,37 @@
+import { query, closePool } from '../config/database.js'
+
+// Usage: node src/scripts/grantCompanyAccess.js <user_id> <company_id> [role]
+async function grantCompanyAccess() {
+  const [userId, companyId, role = 'viewer'] = process.argv.slice(2)
+
+  try {
+    if (!userId || !companyId || isNaN(companyId)) {
+      console.log('Usage: node src/scripts/grantCompanyAccess.js <user_id> <company_id> [role]')
+      return
+    }
+
+    const companyResult = await query('SELECT id, name FROM companies WHERE id = $1', [parseInt(companyId)])
+
+    if (companyResult.rows.length === 0) {
+      console.log('Company not found:', companyId)
+      return
+    }
+
+    await query(`
+      INSERT INTO company_users (company_id, user_id, role)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (company_id, user_id) DO UPDATE SET role = $3
+    `, [parseInt(companyId), userId, role])
+
+    console.log(`Granted user ${userId} ${role} access to ${companyResult.rows[0].name} (ID: ${companyId})`)
+
+  } catch (error) {
+    console.error('Error granting company access:', error)
+    throw error
+  } finally {
+    await closePool()
+  }
+}
+
+// Run the script
+grantCompanyAccess().catch(() => process.exit(1))
@@ -0,0 +1,661 @@
+import { query, transaction, closePool } from '../config/database.js'
+
+// Schema changes owned by this API. The core tables (companies, contacts,
+// sessions, conversations, leads, ...) are managed elsewhere; only tables
+// and columns this API introduces are listed here. Migrations run in order
+// and each one is recorded in schema_migrations so it is applied only once.
+const migrations = [
+  {
+    name: '001_company_users',
+    sql: `
+      CREATE TABLE IF NOT EXISTS company_users (
+        id SERIAL PRIMARY KEY,
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (company_id, user_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_company_users_user_id ON company_users (user_id);
+    `
+  },
+  {
+    name: '002_roles',
+    sql: `
+      ALTER TABLE company_users
+        ADD COLUMN IF NOT EXISTS role TEXT NOT NULL DEFAULT 'viewer'
+          CHECK (role IN ('viewer', 'manager', 'admin')),
+        ADD COLUMN IF NOT EXISTS email TEXT;
+      CREATE TABLE IF NOT EXISTS platform_admins (
+        user_id UUID PRIMARY KEY,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `
+  },
+  {
+    name: '003_refresh_tokens',
+    sql: `
+      CREATE TABLE IF NOT EXISTS token_families (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        user_id UUID NOT NULL,
+        email TEXT,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_token_families_user_id ON token_families (user_id);
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id SERIAL PRIMARY KEY,
+        family_id UUID NOT NULL REFERENCES token_families(id) ON DELETE CASCADE,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens (family_id);
+    `
+  },
+  {
+    name: '004_api_keys',
+    sql: `
+      CREATE TABLE IF NOT EXISTS api_keys (
+        id SERIAL PRIMARY KEY,
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        key_prefix TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        scopes TEXT[] NOT NULL DEFAULT '{}',
+        created_by UUID,
+        last_used_at TIMESTAMP,
+        revoked_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_api_keys_company_id ON api_keys (company_id);
+    `
+  },
+  {
+    name: '005_audit_log',
+    sql: `
+      CREATE TABLE IF NOT EXISTS audit_log (
+        id BIGSERIAL PRIMARY KEY,
+        company_id INTEGER,
+        actor_user_id UUID,
+        actor_email TEXT,
+        actor_api_key_id INTEGER,
+        action TEXT NOT NULL,
+        entity_type TEXT NOT NULL,
+        entity_id TEXT,
+        before JSONB,
+        after JSONB,
+        request_id TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_audit_log_company_created ON audit_log (company_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log (entity_type, entity_id);
+    `
+  },
+  {
+    name: '006_realtime_notify',
+    sql: `
+      CREATE OR REPLACE FUNCTION notify_conversation_created() RETURNS trigger AS $$
+      BEGIN
+        PERFORM pg_notify('rita_events', json_build_object(
+          'type', 'message.created',
+          'company_id', NEW.company_id,
+          'session_id', NEW.session_id,
+          'message', json_build_object(
+            'id', NEW.id,
+            'content', left(NEW.content::text, 1000),
+            'sender', NEW.sender,
+            'created_at', NEW.created_at
+          )
+        )::text);
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS conversations_notify ON conversations;
+      CREATE TRIGGER conversations_notify
+        AFTER INSERT ON conversations
+        FOR EACH ROW EXECUTE FUNCTION notify_conversation_created();
+
+      CREATE OR REPLACE FUNCTION notify_session_status_changed() RETURNS trigger AS $$
+      BEGIN
+        PERFORM pg_notify('rita_events', json_build_object(
+          'type', 'session.status_changed',
+          'company_id', NEW.company_id,
+          'session_id', NEW.id,
+          'previous_status', OLD.status,
+          'status', NEW.status
+        )::text);
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS sessions_status_notify ON sessions;
+      CREATE TRIGGER sessions_status_notify
+        AFTER UPDATE OF status ON sessions
+        FOR EACH ROW
+        WHEN (OLD.status IS DISTINCT FROM NEW.status)
+        EXECUTE FUNCTION notify_session_status_changed();
+
+      CREATE OR REPLACE FUNCTION notify_lead_transferred() RETURNS trigger AS $$
+      BEGIN
+        PERFORM pg_notify('rita_events', json_build_object(
+          'type', 'lead.transferred',
+          'company_id', NEW.company_id,
+          'session_id', NEW.session_id,
+          'transfer_id', NEW.id,
+          'lead_id', NEW.lead_id,
+          'contact_id', NEW.contact_id,
+          'created_at', NEW.created_at
+        )::text);
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS transferred_leads_notify ON transferred_leads;
+      CREATE TRIGGER transferred_leads_notify
+        AFTER INSERT ON transferred_leads
+        FOR EACH ROW EXECUTE FUNCTION notify_lead_transferred();
+
+      CREATE OR REPLACE FUNCTION notify_lead_discarded() RETURNS trigger AS $$
+      BEGIN
+        PERFORM pg_notify('rita_events', json_build_object(
+          'type', 'lead.discarded',
+          'company_id', (SELECT company_id FROM sessions WHERE id = NEW.session_id),
+          'session_id', NEW.session_id,
+          'discard_id', NEW.id,
+          'lead_id', NEW.lead_id,
+          'contact_id', NEW.contact_id,
+          'created_at', NEW.created_at
+        )::text);
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS discarded_leads_notify ON discarded_leads;
+      CREATE TRIGGER discarded_leads_notify
+        AFTER INSERT ON discarded_leads
+        FOR EACH ROW EXECUTE FUNCTION notify_lead_discarded();
+    `
+  },
+  {
+    name: '007_human_takeover',
+    sql: `
+      ALTER TABLE conversations
+        ADD COLUMN IF NOT EXISTS wa_message_id TEXT,
+        ADD COLUMN IF NOT EXISTS sent_by_user_id UUID;
+      CREATE INDEX IF NOT EXISTS idx_conversations_wa_message_id ON conversations (wa_message_id);
+      ALTER TABLE sessions
+        ADD COLUMN IF NOT EXISTS ai_paused BOOLEAN NOT NULL DEFAULT false,
+        ADD COLUMN IF NOT EXISTS ai_paused_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS ai_paused_by UUID;
+    `
+  },
+  {
+    name: '008_whatsapp_webhook',
+    sql: `
+      ALTER TABLE contacts ADD COLUMN IF NOT EXISTS wa_id TEXT;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_contacts_wa_id ON contacts (wa_id) WHERE wa_id IS NOT NULL;
+      DROP INDEX IF EXISTS idx_conversations_wa_message_id;
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_conversations_wa_message_id
+        ON conversations (wa_message_id) WHERE wa_message_id IS NOT NULL;
+      CREATE TABLE IF NOT EXISTS message_status_events (
+        id BIGSERIAL PRIMARY KEY,
+        wa_message_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        recipient_id TEXT,
+        errors JSONB,
+        occurred_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (wa_message_id, status)
+      );
+    `
+  },
+  {
+    name: '009_message_delivery_status',
+    sql: `
+      ALTER TABLE conversations
+        ADD COLUMN IF NOT EXISTS delivery_status TEXT
+          CHECK (delivery_status IN ('sent', 'delivered', 'read', 'failed')),
+        ADD COLUMN IF NOT EXISTS delivery_status_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS delivery_error_code INTEGER,
+        ADD COLUMN IF NOT EXISTS delivery_error_message TEXT;
+      -- Apply statuses that arrived before this migration
+      UPDATE conversations c
+      SET delivery_status = e.status,
+          delivery_status_at = e.occurred_at
+      FROM (
+        SELECT DISTINCT ON (wa_message_id) wa_message_id, status, occurred_at
+        FROM message_status_events
+        WHERE status IN ('sent', 'delivered', 'read', 'failed')
+        ORDER BY wa_message_id, occurred_at DESC
+      ) e
+      WHERE c.wa_message_id = e.wa_message_id;
+    `
+  },
+  {
+    name: '010_media_messages',
+    sql: `
+      ALTER TABLE conversations
+        ADD COLUMN IF NOT EXISTS message_type TEXT NOT NULL DEFAULT 'text',
+        ADD COLUMN IF NOT EXISTS media JSONB;
+    `
+  },
+  {
+    name: '011_knowledge_history',
+    sql: `
+      -- Rows written by the AI agent keep the default source
+      ALTER TABLE knowledge_vault
+        ADD COLUMN IF NOT EXISTS source TEXT NOT NULL DEFAULT 'ai'
+          CHECK (source IN ('ai', 'human')),
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS updated_by UUID;
+      CREATE TABLE IF NOT EXISTS knowledge_vault_history (
+        id BIGSERIAL PRIMARY KEY,
+        knowledge_id TEXT NOT NULL,
+        company_id INTEGER,
+        contact_id UUID,
+        session_id UUID,
+        key TEXT,
+        action TEXT NOT NULL CHECK (action IN ('create', 'update', 'delete')),
+        old_value TEXT,
+        new_value TEXT,
+        source TEXT,
+        changed_by_user_id UUID,
+        changed_by_email TEXT,
+        changed_by_api_key_id INTEGER,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_knowledge_vault_history_contact
+        ON knowledge_vault_history (contact_id, company_id, created_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_knowledge_vault_history_knowledge_id
+        ON knowledge_vault_history (knowledge_id);
+    `
+  },
+  {
+    name: '012_knowledge_keys',
+    sql: `
+      CREATE TABLE IF NOT EXISTS knowledge_keys (
+        id SERIAL PRIMARY KEY,
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        key TEXT NOT NULL,
+        label TEXT NOT NULL,
+        data_type TEXT NOT NULL DEFAULT 'text'
+          CHECK (data_type IN ('text', 'number', 'enum', 'date', 'vehicle')),
+        options TEXT[] NOT NULL DEFAULT '{}',
+        aliases TEXT[] NOT NULL DEFAULT '{}',
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (company_id, key)
+      );
+    `
+  },
+  {
+    name: '013_notes',
+    sql: `
+      CREATE TABLE IF NOT EXISTS notes (
+        id SERIAL PRIMARY KEY,
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        contact_id UUID NOT NULL,
+        session_id UUID,
+        author_user_id UUID NOT NULL,
+        author_email TEXT,
+        body TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP
+      );
+      CREATE INDEX IF NOT EXISTS idx_notes_contact ON notes (contact_id, company_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_notes_session ON notes (session_id);
+      CREATE TABLE IF NOT EXISTS note_mentions (
+        note_id INTEGER NOT NULL REFERENCES notes(id) ON DELETE CASCADE,
+        user_id UUID NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (note_id, user_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_note_mentions_user_id ON note_mentions (user_id);
+    `
+  },
+  {
+    name: '014_tags',
+    sql: `
+      CREATE TABLE IF NOT EXISTS tags (
+        id SERIAL PRIMARY KEY,
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        slug TEXT NOT NULL,
+        color TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (company_id, slug)
+      );
+      CREATE TABLE IF NOT EXISTS session_tags (
+        session_id UUID NOT NULL,
+        tag_id INTEGER NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+        applied_by_user_id UUID,
+        applied_by_api_key_id INTEGER,
+        created_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (session_id, tag_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_session_tags_tag_id ON session_tags (tag_id);
+    `
+  },
+  {
+    name: '015_assignments',
+    sql: `
+      ALTER TABLE companies
+        ADD COLUMN IF NOT EXISTS assignment_strategy TEXT NOT NULL DEFAULT 'manual'
+          CHECK (assignment_strategy IN ('manual', 'round_robin', 'dealers'));
+      ALTER TABLE company_users ADD COLUMN IF NOT EXISTS last_assigned_at TIMESTAMP;
+      ALTER TABLE sessions
+        ADD COLUMN IF NOT EXISTS assigned_user_id UUID,
+        ADD COLUMN IF NOT EXISTS assigned_at TIMESTAMP;
+      CREATE INDEX IF NOT EXISTS idx_sessions_assigned_user_id ON sessions (assigned_user_id);
+      CREATE TABLE IF NOT EXISTS session_assignments (
+        id BIGSERIAL PRIMARY KEY,
+        company_id INTEGER NOT NULL,
+        session_id UUID NOT NULL,
+        from_user_id UUID,
+        to_user_id UUID,
+        strategy TEXT NOT NULL,
+        reason TEXT,
+        assigned_by_user_id UUID,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_session_assignments_session ON session_assignments (session_id, created_at DESC);
+    `
+  },
+  {
+    name: '016_session_reads',
+    sql: `
+      CREATE TABLE IF NOT EXISTS session_reads (
+        user_id UUID NOT NULL,
+        session_id UUID NOT NULL,
+        company_id INTEGER NOT NULL,
+        last_read_at TIMESTAMP,
+        marked_unread BOOLEAN NOT NULL DEFAULT false,
+        updated_at TIMESTAMP DEFAULT NOW(),
+        PRIMARY KEY (user_id, session_id)
+      );
+      CREATE INDEX IF NOT EXISTS idx_session_reads_session_id ON session_reads (session_id);
+    `
+  },
+  {
+    name: '017_session_status_history',
+    sql: `
+      -- Allowed transitions live next to each status. Transferido only moves
+      -- on to Finalizado, and Finalizado is terminal.
+      ALTER TABLE qualification_statuses ADD COLUMN IF NOT EXISTS allowed_next_statuses INTEGER[];
+      UPDATE qualification_statuses
+      SET allowed_next_statuses = CASE id
+        WHEN 0 THEN ARRAY[1, 2, 3, 4]
+        WHEN 1 THEN ARRAY[2, 3, 4]
+        WHEN 2 THEN ARRAY[1, 3, 4]
+        WHEN 3 THEN ARRAY[4]
+        ELSE ARRAY[]::INTEGER[]
+      END
+      WHERE allowed_next_statuses IS NULL;
+
+      CREATE TABLE IF NOT EXISTS session_status_history (
+        id BIGSERIAL PRIMARY KEY,
+        session_id UUID NOT NULL,
+        company_id INTEGER,
+        from_status INTEGER,
+        to_status INTEGER NOT NULL,
+        reason TEXT,
+        source TEXT NOT NULL,
+        actor_user_id UUID,
+        actor_email TEXT,
+        actor_api_key_id INTEGER,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_session_status_history_session
+        ON session_status_history (session_id, created_at DESC);
+
+      -- Every status change is recorded, including those made by the AI agent
+      -- directly in the database. The API sets the rita.* settings for the
+      -- current transaction to attach the actor and reason.
+      CREATE OR REPLACE FUNCTION record_session_status_change() RETURNS trigger AS $$
+      BEGIN
+        INSERT INTO session_status_history (
+          session_id, company_id, from_status, to_status, reason, source,
+          actor_user_id, actor_email, actor_api_key_id
+        )
+        VALUES (
+          NEW.id, NEW.company_id, OLD.status, NEW.status,
+          NULLIF(current_setting('rita.status_reason', true), ''),
+          COALESCE(NULLIF(current_setting('rita.status_source', true), ''), 'external'),
+          NULLIF(current_setting('rita.actor_user_id', true), '')::uuid,
+          NULLIF(current_setting('rita.actor_email', true), ''),
+          NULLIF(current_setting('rita.actor_api_key_id', true), '')::integer
+        );
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS sessions_status_history ON sessions;
+      CREATE TRIGGER sessions_status_history
+        AFTER UPDATE OF status ON sessions
+        FOR EACH ROW
+        WHEN (OLD.status IS DISTINCT FROM NEW.status)
+        EXECUTE FUNCTION record_session_status_change();
+    `
+  },
+  {
+    name: '018_session_inactivity',
+    sql: `
+      -- NULL uses SESSION_INACTIVITY_HOURS; 0 turns abandonment off for the company
+      ALTER TABLE companies
+        ADD COLUMN IF NOT EXISTS inactivity_threshold_hours INTEGER
+          CHECK (inactivity_threshold_hours >= 0);
+      CREATE INDEX IF NOT EXISTS idx_sessions_open_status ON sessions (status) WHERE status IN (0, 1, 2);
+    `
+  },
+  {
+    name: '019_discard_reasons',
+    sql: `
+      CREATE TABLE IF NOT EXISTS discard_reasons (
+        id SERIAL PRIMARY KEY,
+        company_id INTEGER NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+        code TEXT NOT NULL,
+        label TEXT NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (company_id, code)
+      );
+      -- Same defaults as DEFAULT_DISCARD_REASONS, for companies created before this migration
+      INSERT INTO discard_reasons (company_id, code, label)
+      SELECT co.id, defaults.code, defaults.label
+      FROM companies co
+      CROSS JOIN (VALUES
+        ('no_budget', 'Sem orçamento'),
+        ('wrong_region', 'Fora da área'),
+        ('bought_elsewhere', 'Comprou noutro lado'),
+        ('no_response', 'Sem resposta'),
+        ('not_interested', 'Sem interesse'),
+        ('spam', 'Spam'),
+        ('other', 'Outro')
+      ) AS defaults (code, label)
+      ON CONFLICT (company_id, code) DO NOTHING;
+
+      -- Discards written by the AI agent keep reason_code NULL (unclassified)
+      ALTER TABLE discarded_leads
+        ADD COLUMN IF NOT EXISTS reason_code TEXT,
+        ADD COLUMN IF NOT EXISTS previous_session_status INTEGER,
+        ADD COLUMN IF NOT EXISTS discarded_by_user_id UUID;
+      CREATE INDEX IF NOT EXISTS idx_discarded_leads_reason_code ON discarded_leads (reason_code);
+    `
+  },
+  {
+    name: '020_crm_sync_jobs',
+    sql: `
+      -- One outbox job per transfer; transfer_id holds transferred_leads.id as text
+      CREATE TABLE IF NOT EXISTS crm_sync_jobs (
+        id BIGSERIAL PRIMARY KEY,
+        company_id INTEGER NOT NULL,
+        transfer_id TEXT NOT NULL UNIQUE,
+        connector TEXT NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending'
+          CHECK (status IN ('pending', 'processing', 'synced', 'dead')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        max_attempts INTEGER NOT NULL DEFAULT 8,
+        next_attempt_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        locked_at TIMESTAMP,
+        last_error TEXT,
+        synced_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+      CREATE INDEX IF NOT EXISTS idx_crm_sync_jobs_due ON crm_sync_jobs (next_attempt_at)
+        WHERE status IN ('pending', 'processing');
+    `
+  },
+  {
+    name: '021_lead_scores',
+    sql: `
+      ALTER TABLE companies ADD COLUMN IF NOT EXISTS lead_scoring_config JSONB;
+      ALTER TABLE leads
+        ADD COLUMN IF NOT EXISTS score INTEGER CHECK (score BETWEEN 0 AND 100),
+        ADD COLUMN IF NOT EXISTS score_factors JSONB,
+        ADD COLUMN IF NOT EXISTS scored_at TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS score_stale BOOLEAN NOT NULL DEFAULT true;
+      CREATE INDEX IF NOT EXISTS idx_leads_company_score ON leads (company_id, score DESC NULLS LAST);
+      CREATE INDEX IF NOT EXISTS idx_leads_score_stale ON leads (scored_at) WHERE score_stale;
+
+      -- New messages and knowledge facts (including those written by the AI
+      -- agent) mark the contact's leads for recalculation
+      CREATE OR REPLACE FUNCTION mark_lead_scores_stale() RETURNS trigger AS $$
+      DECLARE
+        stale_contact_id UUID;
+        stale_company_id INTEGER;
+      BEGIN
+        IF TG_OP = 'DELETE' THEN
+          stale_contact_id := OLD.contact_id;
+          stale_company_id := OLD.company_id;
+        ELSE
+          stale_contact_id := NEW.contact_id;
+          stale_company_id := NEW.company_id;
+        END IF;
+
+        UPDATE leads
+        SET score_stale = true
+        WHERE contact_id = stale_contact_id AND company_id = stale_company_id AND NOT score_stale;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS conversations_lead_scores_stale ON conversations;
+      CREATE TRIGGER conversations_lead_scores_stale
+        AFTER INSERT ON conversations
+        FOR EACH ROW EXECUTE FUNCTION mark_lead_scores_stale();
+
+      DROP TRIGGER IF EXISTS knowledge_vault_lead_scores_stale ON knowledge_vault;
+      CREATE TRIGGER knowledge_vault_lead_scores_stale
+        AFTER INSERT OR UPDATE OR DELETE ON knowledge_vault
+        FOR EACH ROW EXECUTE FUNCTION mark_lead_scores_stale();
+    `
+  },
+  {
+    name: '022_duplicate_name_search',
+    sql: `
+      -- Trigram indexes for the similar-name matching of GET /api/leads/duplicates
+      CREATE EXTENSION IF NOT EXISTS pg_trgm;
+      CREATE INDEX IF NOT EXISTS idx_leads_name_trgm ON leads USING gin (lower(name) gin_trgm_ops);
+      CREATE INDEX IF NOT EXISTS idx_contacts_name_trgm ON contacts USING gin (lower(name) gin_trgm_ops);
+    `
+  },
+  {
+    name: '023_abandoned_status',
+    sql: `
+      -- Sessions closed for inactivity, kept apart from those that ended
+      -- normally. They can be reopened or finalized by hand.
+      INSERT INTO qualification_statuses (id, description, allowed_next_statuses)
+      VALUES (5, 'Abandonado', ARRAY[1, 4])
+      ON CONFLICT (id) DO NOTHING;
+      UPDATE qualification_statuses
+      SET allowed_next_statuses = array_append(allowed_next_statuses, 5)
+      WHERE id IN (0, 1, 2) AND NOT (5 = ANY(allowed_next_statuses));
+    `
+  },
+  {
+    name: '024_lead_score_version',
+    sql: `
+      -- Every write that marks a score stale bumps score_version, so a
+      -- recalculation only clears the flag when nothing changed while it ran
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS score_version BIGINT NOT NULL DEFAULT 0;
+
+      CREATE OR REPLACE FUNCTION bump_lead_score_version() RETURNS trigger AS $$
+      BEGIN
+        IF NEW.score_stale AND NEW.score_version = OLD.score_version THEN
+          NEW.score_version := OLD.score_version + 1;
+        END IF;
+        RETURN NEW;
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS leads_score_version ON leads;
+      CREATE TRIGGER leads_score_version
+        BEFORE UPDATE ON leads
+        FOR EACH ROW EXECUTE FUNCTION bump_lead_score_version();
+
+      -- Already stale leads are marked again, for the version bump
+      CREATE OR REPLACE FUNCTION mark_lead_scores_stale() RETURNS trigger AS $$
+      DECLARE
+        stale_contact_id UUID;
+        stale_company_id INTEGER;
+      BEGIN
+        IF TG_OP = 'DELETE' THEN
+          stale_contact_id := OLD.contact_id;
+          stale_company_id := OLD.company_id;
+        ELSE
+          stale_contact_id := NEW.contact_id;
+          stale_company_id := NEW.company_id;
+        END IF;
+
+        UPDATE leads
+        SET score_stale = true
+        WHERE contact_id = stale_contact_id AND company_id = stale_company_id;
+        RETURN NULL;
+      END;
+      $$ LANGUAGE plpgsql;
+    `
+  }
+]
+
+async function migrate() {
+  try {
+    console.log('Running migrations...')
+
+    await query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        name TEXT PRIMARY KEY,
+        applied_at TIMESTAMP DEFAULT NOW()
+      )
+    `)
+
+    const appliedResult = await query('SELECT name FROM schema_migrations')
+    const applied = new Set(appliedResult.rows.map(row => row.name))
+
+    for (const migration of migrations) {
+      if (applied.has(migration.name)) {
+        continue
+      }
+
+      console.log(`Applying ${migration.name}...`)
+      await transaction(async (client) => {
+        await client.query(migration.sql)
+        await client.query('INSERT INTO schema_migrations (name) VALUES ($1)', [migration.name])
+      })
+    }
+
+    console.log('Migrations completed successfully!')
+
+  } catch (error) {
+    console.error('Migration error:', error)
+    throw error
+  } finally {
+    await closePool()
+  }
+}
+
+// Run the migrations
+migrate().catch(() => process.exit(1))
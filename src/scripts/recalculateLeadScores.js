@@ -0,0 +1,47 @@
+import { query, closePool } from '../config/database.js'
+import { recalculateLeadScores, recalculateStaleLeadScores } from '../services/leadScoring.js'
+
+// Usage: node src/scripts/recalculateLeadScores.js [--all] [--company <company_id>]
+// Recalculates stale scores, or every score with --all (e.g. after changing the defaults).
+async function run() {
+  const args = process.argv.slice(2)
+  const all = args.includes('--all')
+  const companyIndex = args.indexOf('--company')
+  const companyId = companyIndex >= 0 ? parseInt(args[companyIndex + 1]) : null
+
+  try {
+    if (companyIndex >= 0 && isNaN(companyId)) {
+      console.log('Usage: node src/scripts/recalculateLeadScores.js [--all] [--company <company_id>]')
+      return
+    }
+
+    if (all) {
+      const leadsResult = await query(`
+        SELECT id FROM leads WHERE ($1::int IS NULL OR company_id = $1)
+      `, [companyId])
+
+      const scores = await recalculateLeadScores(leadsResult.rows.map(row => row.id))
+      console.log(`Recalculated ${scores.length} lead scores`)
+      return
+    }
+
+    // Work through the stale leads in batches
+    let total = 0
+    let recalculated
+    do {
+      recalculated = await recalculateStaleLeadScores({ companyId })
+      total += recalculated
+    } while (recalculated > 0)
+
+    console.log(`Recalculated ${total} stale lead scores`)
+
+  } catch (error) {
+    console.error('Error recalculating lead scores:', error)
+    throw error
+  } finally {
+    await closePool()
+  }
+}
+
+// Run the script
+run().catch(() => process.exit(1))
@@ -18,7 +18,8 @@ async function seedQualificationStatuses() {
       { id: 1, description: 'Em progresso' }, 
       { id: 2, description: 'Qualificando' },
       { id: 3, description: 'Transferido' },
-      { id: 4, description: 'Finalizado' }
+      { id: 4, description: 'Finalizado' },
+      { id: 5, description: 'Abandonado' }
     ]
 
     for (const status of statuses) {
@@ -0,0 +1,127 @@
+import { query, transaction } from '../config/database.js'
+import { SESSION_STATUSES } from '../config/constants.js'
+import { recordAudit } from './audit.js'
+import { changeSessionStatus } from './sessionStatus.js'
+
+// Sessions still open (Novo, Em progresso, Qualificando) with no message for
+// longer than the company's inactivity threshold are moved to Abandonado.
+// Run by src/scripts/abandonInactiveSessions.js and the /api/cron route.
+
+export const DEFAULT_INACTIVITY_HOURS = parseInt(process.env.SESSION_INACTIVITY_HOURS) || 72
+
+const OPEN_STATUSES = [SESSION_STATUSES.NEW, SESSION_STATUSES.IN_PROGRESS, SESSION_STATUSES.QUALIFYING]
+
+// Latest activity of a session: its last message, or its creation
+const LAST_ACTIVITY_SQL = `COALESCE(
+  (SELECT MAX(c.created_at) FROM conversations c WHERE c.session_id = s.id),
+  s.created_at
+)`
+
+// Sessions past their company's threshold, oldest activity first
+export const findInactiveSessions = async ({ companyId = null, limit = 500 } = {}) => {
+  const result = await query(`
+    SELECT
+      s.id,
+      s.company_id,
+      s.status,
+      ${LAST_ACTIVITY_SQL} as last_activity_at,
+      COALESCE(co.inactivity_threshold_hours, $1) as threshold_hours
+    FROM sessions s
+    JOIN companies co ON co.id = s.company_id
+    WHERE s.status = ANY($2)
+      AND COALESCE(co.inactivity_threshold_hours, $1) > 0
+      AND ${LAST_ACTIVITY_SQL} < NOW() - make_interval(hours => COALESCE(co.inactivity_threshold_hours, $1))
+      AND ($3::int IS NULL OR s.company_id = $3)
+    ORDER BY last_activity_at ASC
+    LIMIT $4
+  `, [DEFAULT_INACTIVITY_HOURS, OPEN_STATUSES, companyId, limit])
+
+  return result.rows
+}
+
+// Mark inactive sessions as Abandonado. Each session is changed in its own
+// transaction so one failure does not hold back the rest.
+export const abandonInactiveSessions = async ({ companyId = null, limit = 500, dryRun = false } = {}) => {
+  const sessions = await findInactiveSessions({ companyId, limit })
+  const summary = { found: sessions.length, abandoned: 0, skipped: 0, failed: 0, dry_run: dryRun, sessions: [] }
+
+  for (const session of sessions) {
+    const entry = {
+      session_id: session.id,
+      company_id: session.company_id,
+      previous_status: session.status,
+      last_activity_at: session.last_activity_at,
+      threshold_hours: session.threshold_hours
+    }
+
+    if (dryRun) {
+      summary.sessions.push({ ...entry, result: 'would_abandon' })
+      continue
+    }
+
+    try {
+      const reason = `No activity for ${session.threshold_hours}h`
+
+      const change = await transaction(async (client) => {
+        // A message may have arrived since the session was selected. The
+        // inbound webhook holds the session lock while it stores one, so the
+        // check runs once the lock is ours (in a statement of its own, to see
+        // messages committed while waiting).
+        await client.query('SELECT id FROM sessions WHERE id = $1 FOR UPDATE', [session.id])
+
+        const stillInactive = await client.query(`
+          SELECT 1
+          FROM sessions s
+          WHERE s.id = $1
+            AND ${LAST_ACTIVITY_SQL} < NOW() - make_interval(hours => $2)
+        `, [session.id, session.threshold_hours])
+
+        if (stillInactive.rows.length === 0) {
+          return null
+        }
+
+        const result = await changeSessionStatus(client, {
+          sessionId: session.id,
+          status: SESSION_STATUSES.ABANDONED,
+          reason,
+          source: 'system'
+        })
+
+        if (result) {
+          await recordAudit({}, {
+            companyId: session.company_id,
+            entityType: 'session',
+            entityId: session.id,
+            action: 'abandon',
+            before: result.before,
+            after: { status: SESSION_STATUSES.ABANDONED, reason }
+          }, client)
+        }
+
+        return result
+      })
+
+      if (change) {
+        summary.abandoned++
+        summary.sessions.push({ ...entry, result: 'abandoned' })
+        console.log(`Session ${session.id} (company ${session.company_id}) abandoned after ${session.threshold_hours}h without activity`)
+      } else {
+        summary.skipped++
+        summary.sessions.push({ ...entry, result: 'skipped', error: 'Session is no longer inactive' })
+      }
+    } catch (error) {
+      // The status may have changed since the session was selected
+      if (error.name === 'SessionStatusError') {
+        summary.skipped++
+        summary.sessions.push({ ...entry, result: 'skipped', error: error.message })
+        continue
+      }
+
+      summary.failed++
+      summary.sessions.push({ ...entry, result: 'failed', error: error.message })
+      console.error(`Failed to abandon session ${session.id}:`, error)
+    }
+  }
+
+  return summary
+}
@@ -0,0 +1,40 @@
+import crypto from 'crypto'
+import { query } from '../config/database.js'
+
+export const API_KEY_PREFIX = 'rita_'
+
+// Scopes that can be granted to an API key
+export const API_KEY_SCOPES = [
+  'read:metrics',
+  'read:leads',
+  'read:sessions',
+  'read:conversations',
+  'read:stock',
+  'write:knowledge',
+  'write:tags'
+]
+
+export const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex')
+
+// Create a new random key. Only the hash is stored; the plain key is shown once.
+export const generateApiKey = () => {
+  const key = API_KEY_PREFIX + crypto.randomBytes(32).toString('base64url')
+
+  return {
+    key,
+    prefix: key.slice(0, API_KEY_PREFIX.length + 8),
+    hash: hashApiKey(key)
+  }
+}
+
+// Look up an active key and record that it was used
+export const verifyApiKey = async (key) => {
+  const result = await query(`
+    UPDATE api_keys
+    SET last_used_at = NOW()
+    WHERE key_hash = $1 AND revoked_at IS NULL
+    RETURNING id, company_id, name, scopes
+  `, [hashApiKey(key)])
+
+  return result.rows[0] || null
+}
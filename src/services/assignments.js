@@ -0,0 +1,235 @@
+import { query, transaction } from '../config/database.js'
+import { recordAudit } from './audit.js'
+
+// Ownership of sessions (and through them, of transferred leads). Sessions
+// are assigned manually or automatically, and every change is kept in
+// session_assignments.
+
+export const ASSIGNMENT_STRATEGIES = ['manual', 'round_robin', 'dealers']
+
+// companies.dealers holds the salespeople leads may be routed to. It has been
+// filled in different shapes over time, so accept a JSON list of emails or
+// objects with an email, or plain comma/newline separated text.
+export const parseDealerEmails = (dealers) => {
+  if (!dealers) return []
+
+  let list = dealers
+  if (typeof dealers === 'string') {
+    try {
+      list = JSON.parse(dealers)
+    } catch (error) {
+      list = dealers.split(/[,;\n]/)
+    }
+  }
+
+  if (!Array.isArray(list)) {
+    list = [list]
+  }
+
+  return list
+    .map(dealer => typeof dealer === 'string' ? dealer : dealer?.email)
+    .filter(email => typeof email === 'string' && email.includes('@'))
+    .map(email => email.trim().toLowerCase())
+}
+
+// Next user in line: the eligible member who was assigned least recently
+const pickAssignee = async (client, companyId, strategy) => {
+  let emailFilter = ''
+  const params = [companyId]
+
+  if (strategy === 'dealers') {
+    const companyResult = await client.query('SELECT dealers FROM companies WHERE id = $1', [companyId])
+    const emails = parseDealerEmails(companyResult.rows[0]?.dealers)
+
+    if (emails.length === 0) {
+      return null
+    }
+
+    emailFilter = 'AND lower(email) = ANY($2)'
+    params.push(emails)
+  }
+
+  const result = await client.query(`
+    SELECT user_id
+    FROM company_users
+    WHERE company_id = $1 ${emailFilter}
+    ORDER BY last_assigned_at ASC NULLS FIRST, created_at ASC
+    LIMIT 1
+    FOR UPDATE SKIP LOCKED
+  `, params)
+
+  return result.rows[0]?.user_id || null
+}
+
+// Assign a session inside a transaction. userId may be null to unassign.
+// Resolves to the assignment, or null when the owner did not change.
+export const assignSession = async (client, { companyId, sessionId, userId: requestedUserId, strategy = 'manual', reason = null, assignedBy = null }) => {
+  // Ids come back from pg in lowercase; compare them the same way
+  const userId = requestedUserId ? String(requestedUserId).toLowerCase() : null
+
+  const current = await client.query(`
+    SELECT assigned_user_id
+    FROM sessions
+    WHERE id = $1
+    FOR UPDATE
+  `, [sessionId])
+
+  const fromUserId = current.rows[0]?.assigned_user_id || null
+
+  if (fromUserId === userId) {
+    return null
+  }
+
+  await client.query(`
+    UPDATE sessions
+    SET assigned_user_id = $2, assigned_at = CASE WHEN $2::uuid IS NULL THEN NULL ELSE NOW() END
+    WHERE id = $1
+  `, [sessionId, userId])
+
+  // clock_timestamp() rather than NOW(), which is the same for the whole
+  // transaction: a bulk assign would otherwise stop rotating after one round
+  if (userId) {
+    await client.query(`
+      UPDATE company_users
+      SET last_assigned_at = clock_timestamp()
+      WHERE company_id = $1 AND user_id = $2
+    `, [companyId, userId])
+  }
+
+  const result = await client.query(`
+    INSERT INTO session_assignments (company_id, session_id, from_user_id, to_user_id, strategy, reason, assigned_by_user_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id, session_id, from_user_id, to_user_id, strategy, reason, assigned_by_user_id, created_at
+  `, [companyId, sessionId, fromUserId, userId, strategy, reason, assignedBy])
+
+  return result.rows[0]
+}
+
+// Assign a session with the given strategy (or the company's default one).
+// Resolves to null when the strategy is manual or nobody is eligible.
+export const autoAssignSession = async (client, { companyId, sessionId, strategy = null, reason = null, assignedBy = null }) => {
+  let effectiveStrategy = strategy
+
+  if (!effectiveStrategy) {
+    const companyResult = await client.query('SELECT assignment_strategy FROM companies WHERE id = $1', [companyId])
+    effectiveStrategy = companyResult.rows[0]?.assignment_strategy || 'manual'
+  }
+
+  if (effectiveStrategy === 'manual') {
+    return null
+  }
+
+  const userId = await pickAssignee(client, companyId, effectiveStrategy)
+  if (!userId) {
+    return null
+  }
+
+  return assignSession(client, { companyId, sessionId, userId, strategy: effectiveStrategy, reason, assignedBy })
+}
+
+// Give an owner to transferred leads whose session has none, e.g. transfers
+// written by the AI agent directly in the database. Each session is assigned
+// in its own transaction. Resolves to a summary of the batch.
+export const assignUnownedTransfers = async ({ limit = 200 } = {}) => {
+  const result = await query(`
+    SELECT DISTINCT ON (s.id) s.id as session_id, s.company_id, co.assignment_strategy
+    FROM transferred_leads tl
+    JOIN sessions s ON s.id = tl.session_id
+    JOIN companies co ON co.id = s.company_id
+    WHERE s.assigned_user_id IS NULL
+      AND COALESCE(co.assignment_strategy, 'manual') <> 'manual'
+    ORDER BY s.id, tl.created_at
+    LIMIT $1
+  `, [limit])
+
+  const summary = { found: result.rows.length, assigned: 0, skipped: 0, failed: 0 }
+
+  for (const row of result.rows) {
+    try {
+      const assignment = await transaction(async (client) => {
+        // Someone may have picked the session up in the meantime
+        const current = await client.query('SELECT assigned_user_id FROM sessions WHERE id = $1 FOR UPDATE', [row.session_id])
+        if (current.rows[0]?.assigned_user_id) {
+          return null
+        }
+
+        return autoAssignSession(client, {
+          companyId: row.company_id,
+          sessionId: row.session_id,
+          strategy: row.assignment_strategy,
+          reason: 'transfer'
+        })
+      })
+
+      assignment ? summary.assigned++ : summary.skipped++
+    } catch (error) {
+      summary.failed++
+      console.error(`Failed to assign transferred session ${row.session_id}:`, error)
+    }
+  }
+
+  return summary
+}
+
+// Assign a session on behalf of a dashboard user (POST .../assign). A user_id
+// assigns manually, null unassigns, and without one the strategy picks the
+// assignee. Resolves to { assignment } or { error } for invalid input.
+export const assignSessionFromRequest = async (req, sessionId, { user_id = null, strategy = 'manual', reason = null }) => {
+  if (!ASSIGNMENT_STRATEGIES.includes(strategy)) {
+    return { error: `Strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}` }
+  }
+
+  if (user_id) {
+    const memberResult = await query(`
+      SELECT 1 FROM company_users WHERE company_id = $1 AND user_id::text = $2
+    `, [req.companyId, String(user_id)])
+
+    if (memberResult.rows.length === 0) {
+      return { error: 'User is not a member of this company' }
+    }
+  }
+
+  const assignment = await transaction(async (client) => {
+    const options = { companyId: req.companyId, sessionId, reason, assignedBy: req.user.id }
+
+    const result = user_id || strategy === 'manual'
+      ? await assignSession(client, { ...options, userId: user_id, strategy: 'manual' })
+      : await autoAssignSession(client, { ...options, strategy })
+
+    if (result) {
+      await recordAudit(req, {
+        companyId: req.companyId,
+        entityType: 'session',
+        entityId: sessionId,
+        action: 'assign',
+        before: { assigned_user_id: result.from_user_id },
+        after: { assigned_user_id: result.to_user_id, strategy: result.strategy, reason }
+      }, client)
+    }
+
+    return result
+  })
+
+  if (!assignment && !user_id && strategy !== 'manual') {
+    return { error: 'No eligible user found for this strategy' }
+  }
+
+  return { assignment }
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+
+// SQL condition for an assigned_to filter: a user id, "me" or "unassigned".
+// Returns null when the value is none of those.
+export const assigneeFilterSql = (column, assignedTo, paramIndex, currentUserId) => {
+  if (assignedTo === 'unassigned') {
+    return { sql: `AND ${column} IS NULL`, params: [] }
+  }
+
+  const userId = assignedTo === 'me' ? currentUserId : assignedTo
+  if (!userId || !UUID_PATTERN.test(userId)) {
+    return null
+  }
+
+  return { sql: `AND ${column} = $${paramIndex}::uuid`, params: [userId] }
+}
@@ -0,0 +1,26 @@
+import { query } from '../config/database.js'
+
+// Record a write in the audit log. Pass the transaction client when the write
+// runs inside transaction() so the audit row commits or rolls back with it.
+export const recordAudit = async (req, { companyId, entityType, entityId, action, before = null, after = null }, client = null) => {
+  const run = client ? client.query.bind(client) : query
+
+  await run(`
+    INSERT INTO audit_log (
+      company_id, actor_user_id, actor_email, actor_api_key_id,
+      action, entity_type, entity_id, before, after, request_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+  `, [
+    companyId,
+    req.user?.id || null,
+    req.user?.email || null,
+    req.apiKey?.id || null,
+    action,
+    entityType,
+    entityId !== null && entityId !== undefined ? String(entityId) : null,
+    before !== null ? JSON.stringify(before) : null,
+    after !== null ? JSON.stringify(after) : null,
+    req.id || null
+  ])
+}
@@ -0,0 +1,223 @@
+import { query, transaction } from '../config/database.js'
+import { recordAudit } from './audit.js'
+import { changeSessionStatus } from './sessionStatus.js'
+import { ASSIGNMENT_STRATEGIES, assignSession, autoAssignSession } from './assignments.js'
+import { resolveTags } from './tags.js'
+import { discardSession, resolveDiscardReason } from './discards.js'
+
+// Bulk actions on sessions (POST /api/sessions/bulk and /api/leads/bulk).
+// Every item runs inside one transaction behind its own savepoint, so an item
+// that fails is reported and rolled back without losing the others.
+
+export const BULK_ACTIONS = ['status', 'assign', 'tag', 'untag', 'discard']
+
+// Largest selection a single request may act on
+export const BULK_MAX_ITEMS = 500
+
+export class BulkActionError extends Error {
+  constructor(message, { status = 400 } = {}) {
+    super(message)
+    this.name = 'BulkActionError'
+    this.status = status
+  }
+}
+
+// Validate the action's parameters before anything is written; resolves to
+// the values applied to every item
+export const prepareBulkAction = async (req, action, params) => {
+  switch (action) {
+    case 'status':
+      if (!Number.isInteger(params.status)) {
+        throw new BulkActionError('Status must be an integer')
+      }
+      return { status: params.status, reason: params.reason || null }
+
+    case 'assign': {
+      const { user_id = null, strategy = 'manual', reason = null } = params
+
+      if (!ASSIGNMENT_STRATEGIES.includes(strategy)) {
+        throw new BulkActionError(`Strategy must be one of: ${ASSIGNMENT_STRATEGIES.join(', ')}`)
+      }
+
+      if (user_id) {
+        const memberResult = await query(`
+          SELECT 1 FROM company_users WHERE company_id = $1 AND user_id::text = $2
+        `, [req.companyId, String(user_id)])
+
+        if (memberResult.rows.length === 0) {
+          throw new BulkActionError('User is not a member of this company')
+        }
+      }
+
+      return { user_id, strategy, reason }
+    }
+
+    case 'tag':
+    case 'untag': {
+      if (req.apiKey && !req.apiKey.scopes.includes('write:tags')) {
+        throw new BulkActionError('API key requires the write:tags scope', { status: 403 })
+      }
+
+      if (!Array.isArray(params.tags) || params.tags.length === 0) {
+        throw new BulkActionError('Tags must be a non-empty list of tag slugs or ids')
+      }
+
+      const resolved = await resolveTags(req.companyId, params.tags)
+      if (resolved.unknown.length > 0) {
+        throw new BulkActionError(`Unknown tags: ${resolved.unknown.join(', ')}`)
+      }
+
+      return { tags: resolved.tags }
+    }
+
+    case 'discard':
+      return {
+        reason: await resolveDiscardReason(req.companyId, params.reason_code),
+        summary: params.summary || null
+      }
+
+    default:
+      throw new BulkActionError(`Action must be one of: ${BULK_ACTIONS.join(', ')}`)
+  }
+}
+
+// Errors that leave the transaction unusable: a lost connection (no SQLSTATE
+// and no status of our own), or connection, transaction, resource and
+// internal failures and SQL errors, which every item would hit. Anything
+// else (a rejected transition, a constraint violation...) only fails its item.
+const abortsBatch = (error) => error.code
+  ? /^(08|25|40|42|53|57|58|XX)/.test(error.code)
+  : !error.status
+
+const audit = (req, client, sessionId, action, before, after) => recordAudit(req, {
+  companyId: req.companyId,
+  entityType: 'session',
+  entityId: sessionId,
+  action,
+  before,
+  after
+}, client)
+
+// Apply the action to one session; resolves to what changed, or null when
+// the session was already in the requested state. leadId is the lead a
+// discard is recorded against (the contact's latest one when null).
+const applyToSession = async (client, req, action, prepared, sessionId, leadId = null) => {
+  switch (action) {
+    case 'status': {
+      const change = await changeSessionStatus(client, { sessionId, status: prepared.status, reason: prepared.reason, source: 'bulk', actor: req })
+      if (!change) {
+        return null
+      }
+
+      await audit(req, client, sessionId, 'update_status', change.before, { status: prepared.status, reason: prepared.reason })
+      return change.after
+    }
+
+    case 'assign': {
+      const options = { companyId: req.companyId, sessionId, reason: prepared.reason, assignedBy: req.user.id }
+
+      const assignment = prepared.user_id || prepared.strategy === 'manual'
+        ? await assignSession(client, { ...options, userId: prepared.user_id, strategy: 'manual' })
+        : await autoAssignSession(client, { ...options, strategy: prepared.strategy })
+
+      if (assignment) {
+        await audit(req, client, sessionId, 'assign',
+          { assigned_user_id: assignment.from_user_id },
+          { assigned_user_id: assignment.to_user_id, strategy: assignment.strategy, reason: prepared.reason })
+      }
+      return assignment
+    }
+
+    case 'tag': {
+      const inserted = await client.query(`
+        INSERT INTO session_tags (session_id, tag_id, applied_by_user_id, applied_by_api_key_id)
+        SELECT $1, unnest($2::int[]), $3, $4
+        ON CONFLICT (session_id, tag_id) DO NOTHING
+        RETURNING tag_id
+      `, [sessionId, prepared.tags.map(tag => tag.id), req.user.id, req.apiKey?.id || null])
+
+      if (inserted.rows.length === 0) {
+        return null
+      }
+
+      const added = prepared.tags.filter(tag => inserted.rows.some(row => row.tag_id === tag.id)).map(tag => tag.slug)
+      await audit(req, client, sessionId, 'add_tags', null, { tags: added })
+      return { tags: added }
+    }
+
+    case 'untag': {
+      const deleted = await client.query(`
+        DELETE FROM session_tags
+        WHERE session_id = $1 AND tag_id = ANY($2::int[])
+        RETURNING tag_id
+      `, [sessionId, prepared.tags.map(tag => tag.id)])
+
+      if (deleted.rows.length === 0) {
+        return null
+      }
+
+      const removed = prepared.tags.filter(tag => deleted.rows.some(row => row.tag_id === tag.id)).map(tag => tag.slug)
+      await audit(req, client, sessionId, 'remove_tags', { tags: removed }, null)
+      return { tags: removed }
+    }
+
+    case 'discard':
+      return discardSession(client, req, { sessionId, leadId, reason: prepared.reason, summary: prepared.summary, source: 'bulk' })
+  }
+}
+
+// Run an action over the selected items ({ id, session_id, lead_id, error }), where
+// items without a session are reported as failed with their error. With
+// allOrNothing, any failed item rolls back the whole batch. Resolves to a
+// report with one result per item.
+export const runBulkAction = async (req, { action, prepared, items, allOrNothing = false }) => {
+  return transaction(async (client) => {
+    const report = { action, total: items.length, updated: 0, unchanged: 0, failed: 0, rolled_back: false, results: [] }
+
+    await client.query('SAVEPOINT bulk_start')
+
+    for (const item of items) {
+      const entry = { id: item.id, session_id: item.session_id }
+
+      if (!item.session_id) {
+        report.failed++
+        report.results.push({ ...entry, result: 'failed', error: item.error || 'No session found' })
+        continue
+      }
+
+      await client.query('SAVEPOINT bulk_item')
+
+      try {
+        const change = await applyToSession(client, req, action, prepared, item.session_id, item.lead_id)
+        await client.query('RELEASE SAVEPOINT bulk_item')
+
+        if (change) {
+          report.updated++
+          report.results.push({ ...entry, result: 'updated', data: change })
+        } else {
+          report.unchanged++
+          report.results.push({ ...entry, result: 'unchanged' })
+        }
+      } catch (error) {
+        if (abortsBatch(error)) {
+          throw error
+        }
+
+        await client.query('ROLLBACK TO SAVEPOINT bulk_item')
+        report.failed++
+        report.results.push({ ...entry, result: 'failed', error: error.message })
+      }
+    }
+
+    if (allOrNothing && report.failed > 0) {
+      await client.query('ROLLBACK TO SAVEPOINT bulk_start')
+      report.rolled_back = true
+      report.results = report.results.map(({ data, ...result }) =>
+        result.result === 'updated' ? { ...result, result: 'rolled_back' } : { ...result, ...(data && { data }) }
+      )
+      report.updated = 0
+    }
+
+    return report
+  })
+}
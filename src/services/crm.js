@@ -0,0 +1,164 @@
+import crypto from 'crypto'
+
+// CRM connectors used when a lead is transferred to the sales team. The
+// connector is picked with CRM_CONNECTOR: "zoho" (default) pushes to Zoho CRM,
+// "fake" keeps leads in memory for local testing. setCrmConnector() lets tests
+// swap the whole connector.
+
+// Error returned by the CRM (or raised when it is unreachable)
+export class CrmError extends Error {
+  constructor(message, { status = 502, code = null } = {}) {
+    super(message)
+    this.name = 'CrmError'
+    this.status = status
+    this.code = code
+  }
+}
+
+const splitName = (name) => {
+  const parts = String(name || '').trim().split(/\s+/).filter(Boolean)
+  return {
+    firstName: parts.length > 1 ? parts.slice(0, -1).join(' ') : null,
+    lastName: parts[parts.length - 1] || null
+  }
+}
+
+export const createZohoConnector = ({
+  apiUrl = process.env.ZOHO_API_URL || 'https://www.zohoapis.eu/crm/v2',
+  accountsUrl = process.env.ZOHO_ACCOUNTS_URL || 'https://accounts.zoho.eu',
+  clientId = process.env.ZOHO_CLIENT_ID,
+  clientSecret = process.env.ZOHO_CLIENT_SECRET,
+  refreshToken = process.env.ZOHO_REFRESH_TOKEN,
+  timeoutMs = parseInt(process.env.CRM_TIMEOUT_MS) || 10000,
+  fetchImpl = fetch
+} = {}) => {
+  let accessToken = null
+  let accessTokenExpiresAt = 0
+
+  const send = async (url, options) => {
+    let response
+    try {
+      // A hung call would hold the sync job's lock until it is reclaimed and pushed again
+      response = await fetchImpl(url, { ...options, signal: AbortSignal.timeout(timeoutMs) })
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw new CrmError(`Zoho CRM did not answer within ${timeoutMs} ms`, { status: 504 })
+      }
+      throw new CrmError(`Zoho CRM unreachable: ${error.message}`)
+    }
+
+    const data = await response.json().catch(() => ({}))
+
+    if (!response.ok) {
+      throw new CrmError(data.message || data.error || `Zoho CRM error (${response.status})`, {
+        code: data.code || null
+      })
+    }
+
+    return data
+  }
+
+  // Access tokens last an hour; refresh a minute early
+  const getAccessToken = async () => {
+    if (accessToken && Date.now() < accessTokenExpiresAt - 60 * 1000) {
+      return accessToken
+    }
+
+    const params = new URLSearchParams({
+      refresh_token: refreshToken || '',
+      client_id: clientId || '',
+      client_secret: clientSecret || '',
+      grant_type: 'refresh_token'
+    })
+    const data = await send(`${accountsUrl}/oauth/v2/token?${params}`, { method: 'POST' })
+
+    if (!data.access_token) {
+      throw new CrmError(`Zoho authentication failed: ${data.error || 'no access token returned'}`)
+    }
+
+    accessToken = data.access_token
+    accessTokenExpiresAt = Date.now() + (data.expires_in || 3600) * 1000
+    return accessToken
+  }
+
+  return {
+    name: 'zoho',
+
+    // Create the lead in Zoho; resolves to the Zoho record id
+    async pushLead({ lead, summary }) {
+      const { firstName, lastName } = splitName(lead.name)
+
+      const data = await send(`${apiUrl}/Leads`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Zoho-oauthtoken ${await getAccessToken()}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          data: [{
+            First_Name: firstName,
+            Last_Name: lastName || lead.phone_number || 'WhatsApp lead',
+            Company: lead.name || lead.phone_number || 'WhatsApp lead',
+            Email: lead.email || null,
+            Phone: lead.phone_number || null,
+            City: lead.location || null,
+            Lead_Source: lead.lead_source || lead.channel || null,
+            Description: summary
+          }]
+        })
+      })
+
+      const record = data.data?.[0]
+      if (record?.status !== 'success' || !record.details?.id) {
+        throw new CrmError(record?.message || 'Zoho CRM did not create the lead', { code: record?.code || null })
+      }
+
+      return { id: String(record.details.id) }
+    }
+  }
+}
+
+// In-memory stand-in for the CRM. Leads whose phone number ends in 000 are
+// rejected, to exercise the failure path.
+export const createFakeCrmConnector = () => {
+  const leads = []
+
+  return {
+    name: 'fake',
+    leads,
+
+    async pushLead({ lead, summary }) {
+      if (String(lead.phone_number || '').endsWith('000')) {
+        throw new CrmError('Fake CRM rejected the lead', { code: 'FAKE_REJECTED' })
+      }
+
+      const record = { id: `fake-${crypto.randomUUID()}`, lead_id: lead.id, name: lead.name, summary, created_at: new Date().toISOString() }
+      leads.push(record)
+      console.log('📇 Fake CRM lead:', record)
+
+      return { id: record.id }
+    }
+  }
+}
+
+export const CRM_CONNECTORS = {
+  zoho: createZohoConnector,
+  fake: createFakeCrmConnector
+}
+
+let connector = null
+
+export const getCrmConnector = () => {
+  if (!connector) {
+    const createConnector = CRM_CONNECTORS[process.env.CRM_CONNECTOR || 'zoho']
+    if (!createConnector) {
+      throw new CrmError(`Unknown CRM connector "${process.env.CRM_CONNECTOR}"`, { status: 500 })
+    }
+    connector = createConnector()
+  }
+  return connector
+}
+
+export const setCrmConnector = (crmConnector) => {
+  connector = crmConnector
+}
@@ -0,0 +1,160 @@
+import { query, transaction } from '../config/database.js'
+import { getCrmConnector } from './crm.js'
+
+// Outbox of CRM pushes for transferred leads (crm_sync_jobs). A transfer
+// enqueues a job in the same transaction that writes it; the job is tried
+// right away and, when the CRM fails, again with exponential backoff by
+// src/scripts/crmSyncWorker.js (or the /api/cron route) until it succeeds or
+// is dead-lettered after CRM_SYNC_MAX_ATTEMPTS.
+
+export const CRM_SYNC_MAX_ATTEMPTS = parseInt(process.env.CRM_SYNC_MAX_ATTEMPTS) || 8
+
+// Values of the sync_status filter on GET /api/leads/transferred
+export const CRM_SYNC_STATUSES = ['synced', 'pending', 'failed', 'dead']
+
+// Jobs left in processing longer than this are assumed abandoned by a crashed worker
+const STALE_LOCK_MINUTES = 10
+
+// 1 min, 2 min, 4 min ... capped at 6 hours
+export const retryDelaySeconds = (attempts) => Math.min(60 * 2 ** Math.max(attempts - 1, 0), 6 * 3600)
+
+// SQL expression with a transfer's sync status. Transfers without a job and
+// without a CRM id (e.g. failed pushes by the AI agent) count as failed.
+export const crmSyncStatusSql = (transferAlias, jobAlias) => `CASE
+  WHEN ${transferAlias}.zoho_id IS NOT NULL THEN 'synced'
+  WHEN ${jobAlias}.status = 'dead' THEN 'dead'
+  WHEN ${jobAlias}.status IN ('pending', 'processing') AND ${jobAlias}.attempts = 0 THEN 'pending'
+  ELSE 'failed'
+END`
+
+// Queue (or re-queue) the CRM push of a transfer. Only jobs that are dead,
+// failed before or hold a stale lock are re-queued, with the attempt count
+// started over; a job that is queued or being pushed right now is returned
+// as it is, so the lead is never pushed twice.
+export const enqueueCrmSync = async (client, { companyId, transferId }) => {
+  const result = await client.query(`
+    INSERT INTO crm_sync_jobs (company_id, transfer_id, connector, max_attempts)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (transfer_id) DO UPDATE
+    SET status = 'pending', attempts = 0, max_attempts = EXCLUDED.max_attempts,
+        next_attempt_at = NOW(), locked_at = NULL, updated_at = NOW()
+    WHERE crm_sync_jobs.status = 'dead'
+      OR (crm_sync_jobs.status = 'pending' AND crm_sync_jobs.attempts > 0)
+      OR (crm_sync_jobs.status = 'processing' AND crm_sync_jobs.locked_at < NOW() - make_interval(mins => $5))
+    RETURNING id, transfer_id, status, attempts, next_attempt_at, last_error
+  `, [companyId, String(transferId), getCrmConnector().name, CRM_SYNC_MAX_ATTEMPTS, STALE_LOCK_MINUTES])
+
+  if (result.rows.length > 0) {
+    return result.rows[0]
+  }
+
+  const existing = await client.query(`
+    SELECT id, transfer_id, status, attempts, next_attempt_at, last_error
+    FROM crm_sync_jobs
+    WHERE transfer_id = $1
+  `, [String(transferId)])
+
+  return existing.rows[0]
+}
+
+// Push one claimed job to the CRM and record the outcome
+const runJob = async (job) => {
+  const transferResult = await query(`
+    SELECT tl.id, tl.summary, tl.zoho_id,
+      l.id as lead_id, l.name, l.email, l.phone_number, l.location, l.lead_source, l.channel
+    FROM transferred_leads tl
+    LEFT JOIN leads l ON tl.lead_id = l.id
+    WHERE tl.id::text = $1
+  `, [job.transfer_id])
+
+  const transfer = transferResult.rows[0]
+
+  try {
+    if (!transfer) {
+      throw new Error('Transferred lead no longer exists')
+    }
+
+    // Synced by someone else in the meantime (e.g. the AI agent)
+    let crmId = transfer.zoho_id
+    if (!crmId) {
+      const lead = { ...transfer, id: transfer.lead_id }
+      crmId = (await getCrmConnector().pushLead({ lead, summary: transfer.summary })).id
+    }
+
+    await transaction(async (client) => {
+      await client.query('UPDATE transferred_leads SET zoho_id = $2 WHERE id::text = $1', [job.transfer_id, crmId])
+      await client.query(`
+        UPDATE crm_sync_jobs
+        SET status = 'synced', attempts = attempts + 1, synced_at = NOW(), last_error = NULL, locked_at = NULL, updated_at = NOW()
+        WHERE id = $1
+      `, [job.id])
+    })
+
+    return { transfer_id: job.transfer_id, sync_status: 'synced', zoho_id: crmId }
+
+  } catch (error) {
+    const attempts = job.attempts + 1
+    const dead = !transfer || attempts >= job.max_attempts
+
+    await query(`
+      UPDATE crm_sync_jobs
+      SET status = $2,
+          attempts = $3,
+          next_attempt_at = NOW() + make_interval(secs => $4),
+          last_error = $5,
+          locked_at = NULL,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [job.id, dead ? 'dead' : 'pending', attempts, retryDelaySeconds(attempts), error.message])
+
+    if (dead) {
+      console.error(`CRM sync of transfer ${job.transfer_id} dead-lettered after ${attempts} attempts:`, error.message)
+    } else {
+      console.warn(`CRM sync of transfer ${job.transfer_id} failed (attempt ${attempts}), retrying in ${retryDelaySeconds(attempts)}s:`, error.message)
+    }
+
+    return { transfer_id: job.transfer_id, sync_status: dead ? 'dead' : 'failed', attempts, error: error.message }
+  }
+}
+
+// Try a transfer's pending job now instead of waiting for the worker.
+// Resolves to the outcome, or null when no pending job was found.
+export const syncTransferNow = async (transferId) => {
+  const claimed = await query(`
+    UPDATE crm_sync_jobs
+    SET status = 'processing', locked_at = NOW(), updated_at = NOW()
+    WHERE transfer_id = $1 AND status = 'pending'
+    RETURNING id, transfer_id, attempts, max_attempts
+  `, [String(transferId)])
+
+  return claimed.rows[0] ? runJob(claimed.rows[0]) : null
+}
+
+// Process jobs that are due. Claiming uses SKIP LOCKED so several workers
+// can run side by side. Resolves to a summary of the batch.
+export const processCrmSyncJobs = async ({ limit = 50 } = {}) => {
+  const claimed = await query(`
+    UPDATE crm_sync_jobs
+    SET status = 'processing', locked_at = NOW(), updated_at = NOW()
+    WHERE id IN (
+      SELECT id
+      FROM crm_sync_jobs
+      WHERE (status = 'pending' AND next_attempt_at <= NOW())
+        OR (status = 'processing' AND locked_at < NOW() - make_interval(mins => $2))
+      ORDER BY next_attempt_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING id, transfer_id, attempts, max_attempts
+  `, [limit, STALE_LOCK_MINUTES])
+
+  const summary = { processed: claimed.rows.length, synced: 0, failed: 0, dead: 0, jobs: [] }
+
+  for (const job of claimed.rows) {
+    const outcome = await runJob(job)
+    summary[outcome.sync_status]++
+    summary.jobs.push(outcome)
+  }
+
+  return summary
+}
@@ -0,0 +1,149 @@
+import { query } from '../config/database.js'
+import { SESSION_STATUSES, DEFAULT_DISCARD_REASONS } from '../config/constants.js'
+import { recordAudit } from './audit.js'
+import { changeSessionStatus } from './sessionStatus.js'
+
+// Manual lead discards with a reason from the company's catalogue
+// (discard_reasons). Discards written by the AI agent have no reason code and
+// are reported as unclassified.
+
+export class DiscardError extends Error {
+  constructor(message, { status = 409 } = {}) {
+    super(message)
+    this.name = 'DiscardError'
+    this.status = status
+  }
+}
+
+export const DISCARD_REASON_CODE_PATTERN = /^[a-z0-9_]+$/
+
+// Give a new company the default reason catalogue
+export const seedDiscardReasons = async (client, companyId) => {
+  await client.query(`
+    INSERT INTO discard_reasons (company_id, code, label)
+    SELECT $1, unnest($2::text[]), unnest($3::text[])
+    ON CONFLICT (company_id, code) DO NOTHING
+  `, [companyId, DEFAULT_DISCARD_REASONS.map(reason => reason.code), DEFAULT_DISCARD_REASONS.map(reason => reason.label)])
+}
+
+// Active catalogue entry for a reason code
+export const resolveDiscardReason = async (companyId, code, client = null) => {
+  const run = client ? client.query.bind(client) : query
+
+  if (!code) {
+    throw new DiscardError('A reason_code is required', { status: 400 })
+  }
+
+  const result = await run(`
+    SELECT id, code, label
+    FROM discard_reasons
+    WHERE company_id = $1 AND code = $2 AND active = true
+  `, [companyId, String(code).trim().toLowerCase()])
+
+  if (result.rows.length === 0) {
+    const known = await run('SELECT code FROM discard_reasons WHERE company_id = $1 AND active = true ORDER BY code', [companyId])
+    throw new DiscardError(`Unknown discard reason "${code}". Known reasons: ${known.rows.map(row => row.code).join(', ')}`, { status: 400 })
+  }
+
+  return result.rows[0]
+}
+
+// Discard a session's lead inside a transaction and close the session.
+// Without a leadId the contact's latest lead in the company is used.
+// Resolves to the discarded_leads row, or null when already discarded.
+export const discardSession = async (client, req, { sessionId, leadId = null, reason, summary = null, source = 'api' }) => {
+  const sessionResult = await client.query(`
+    SELECT
+      s.company_id,
+      s.contact_id,
+      s.status,
+      (SELECT l.id FROM leads l WHERE l.contact_id = s.contact_id AND l.company_id = s.company_id ORDER BY l.created_at DESC LIMIT 1) as latest_lead_id
+    FROM sessions s
+    WHERE s.id = $1
+    FOR UPDATE OF s
+  `, [sessionId])
+
+  const session = sessionResult.rows[0]
+  if (!session) {
+    return null
+  }
+
+  const existing = await client.query('SELECT id FROM discarded_leads WHERE session_id = $1 LIMIT 1', [sessionId])
+  if (existing.rows.length > 0) {
+    return null
+  }
+
+  const result = await client.query(`
+    INSERT INTO discarded_leads (lead_id, summary, contact_id, session_id, reason_code, previous_session_status, discarded_by_user_id, created_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+    RETURNING id, lead_id, session_id, contact_id, summary, reason_code, created_at
+  `, [leadId || session.latest_lead_id, summary || reason.label, session.contact_id, sessionId, reason.code, session.status, req.user?.id || null])
+
+  if (session.status !== SESSION_STATUSES.FINISHED) {
+    await changeSessionStatus(client, {
+      sessionId,
+      status: SESSION_STATUSES.FINISHED,
+      reason: `Discarded: ${reason.label}`,
+      source,
+      actor: req
+    })
+  }
+
+  await recordAudit(req, {
+    companyId: session.company_id,
+    entityType: 'session',
+    entityId: sessionId,
+    action: 'discard',
+    before: { status: session.status },
+    after: { discard_id: result.rows[0].id, lead_id: result.rows[0].lead_id, reason_code: reason.code, summary: result.rows[0].summary }
+  }, client)
+
+  return { ...result.rows[0], reason_label: reason.label }
+}
+
+// Undo a discard inside a transaction: remove it and reopen the session in the
+// status it had before (Em progresso when unknown, e.g. discards made by the
+// AI agent). Resolves to the removed discard, or null when there is none.
+export const undoDiscard = async (client, req, { discardId }) => {
+  const discardResult = await client.query(`
+    SELECT dl.id, dl.lead_id, dl.session_id, dl.summary, dl.reason_code, dl.previous_session_status, dl.created_at,
+      s.company_id, s.status as session_status
+    FROM discarded_leads dl
+    LEFT JOIN sessions s ON s.id = dl.session_id
+    WHERE dl.id = $1
+    FOR UPDATE OF dl
+  `, [discardId])
+
+  const discard = discardResult.rows[0]
+  if (!discard) {
+    return null
+  }
+
+  await client.query('DELETE FROM discarded_leads WHERE id = $1', [discardId])
+
+  let restoredStatus = null
+  if (discard.session_id && discard.session_status === SESSION_STATUSES.FINISHED) {
+    restoredStatus = discard.previous_session_status ?? SESSION_STATUSES.IN_PROGRESS
+
+    if (restoredStatus !== SESSION_STATUSES.FINISHED) {
+      await changeSessionStatus(client, {
+        sessionId: discard.session_id,
+        status: restoredStatus,
+        reason: 'Discard undone',
+        actor: req,
+        enforceTransitions: false
+      })
+    }
+  }
+
+  await recordAudit(req, {
+    companyId: discard.company_id,
+    entityType: 'session',
+    entityId: discard.session_id,
+    action: 'undo_discard',
+    before: { discard_id: discard.id, lead_id: discard.lead_id, reason_code: discard.reason_code, summary: discard.summary, status: discard.session_status },
+    after: { status: restoredStatus ?? discard.session_status }
+  }, client)
+
+  return { ...discard, restored_status: restoredStatus ?? discard.session_status }
+}
@@ -0,0 +1,341 @@
+import { query, transaction } from '../config/database.js'
+import { recordAudit } from './audit.js'
+
+// Duplicate leads and contacts (GET /api/leads/duplicates) and merging them
+// into a surviving record. Records match on a normalized phone number, a
+// normalized email or a similar name (pg_trgm, see migration
+// 022_duplicate_name_search).
+
+export class DuplicateMergeError extends Error {
+  constructor(message, { status = 400 } = {}) {
+    super(message)
+    this.name = 'DuplicateMergeError'
+    this.status = status
+  }
+}
+
+export const DUPLICATE_TYPES = ['leads', 'contacts']
+
+export const DUPLICATE_MATCHES = ['phone', 'email', 'name']
+
+// Names at least this similar (pg_trgm similarity, 0-1) are reported as duplicates
+export const DEFAULT_NAME_SIMILARITY = 0.6
+
+// Most records a single merge may fold into the survivor
+export const MERGE_MAX_DUPLICATES = 50
+
+// Phones are compared on their last 9 digits (the national number), so
+// "+351 912 345 678", "00351912345678" and "912 345 678" match
+const PHONE_MATCH_DIGITS = 9
+
+// SQL expression with the normalized phone number, or NULL when too short
+const normalizedPhoneSql = (column) => `CASE
+  WHEN length(regexp_replace(${column}, '\\D', '', 'g')) >= ${PHONE_MATCH_DIGITS}
+  THEN right(regexp_replace(${column}, '\\D', '', 'g'), ${PHONE_MATCH_DIGITS})
+END`
+
+// SQL expression with the lowercased email without a "+tag" in the local part
+const normalizedEmailSql = (column) => `CASE
+  WHEN ${column} LIKE '%_@_%' THEN regexp_replace(lower(trim(${column})), '\\+[^@]*@', '@')
+END`
+
+// Where each type's records live and which of them belong to the company ($1)
+const DUPLICATE_SOURCES = {
+  leads: {
+    table: 'leads',
+    scope: (alias) => `${alias}.company_id = $1`,
+    phone: (alias) => `COALESCE(${alias}.phone_number, (SELECT ct.phone_number FROM contacts ct WHERE ct.id = ${alias}.contact_id))`
+  },
+  contacts: {
+    table: 'contacts',
+    scope: (alias) => `EXISTS (SELECT 1 FROM contact_company cc WHERE cc.contact_id = ${alias}.id AND cc.company_id = $1)`,
+    phone: (alias) => `COALESCE(${alias}.phone_number, ${alias}.wa_id)`
+  }
+}
+
+// Groups of records sharing one normalized value
+const keyGroupsSql = (source, reason, keySql) => `
+  SELECT '${reason}' as matched_on, array_agg(t.id ORDER BY t.created_at, t.id) as ids
+  FROM ${source.table} t
+  WHERE ${source.scope('t')} AND ${keySql} IS NOT NULL
+  GROUP BY ${keySql}
+  HAVING COUNT(*) > 1
+`
+
+// Each name with at least two words, grouped with the newer records whose
+// names are similar (pg_trgm). Only the oldest record of a cluster anchors a
+// group. The % operator uses the similarity threshold set for the query.
+const nameGroupsSql = (source) => `
+  SELECT 'name' as matched_on, ARRAY[a.id] || array_agg(b.id ORDER BY b.created_at, b.id) as ids
+  FROM ${source.table} a
+  JOIN ${source.table} b
+    ON lower(b.name) % lower(a.name)
+    AND (b.created_at, b.id::text) > (a.created_at, a.id::text)
+    AND ${source.scope('b')}
+  WHERE ${source.scope('a')}
+    AND trim(a.name) LIKE '% %'
+    AND NOT EXISTS (
+      SELECT 1 FROM ${source.table} o
+      WHERE lower(o.name) % lower(a.name)
+        AND (o.created_at, o.id::text) < (a.created_at, a.id::text)
+        AND ${source.scope('o')}
+    )
+  GROUP BY a.id
+`
+
+const loadRecords = async (companyId, type, ids) => {
+  if (type === 'contacts') {
+    const result = await query(`
+      SELECT ct.id, ct.name, ct.email, ct.phone_number, ct.wa_id, ct.created_at,
+        (SELECT COUNT(*) FROM sessions s WHERE s.contact_id = ct.id AND s.company_id = $1) as session_count,
+        (SELECT COUNT(*) FROM leads l WHERE l.contact_id = ct.id AND l.company_id = $1) as lead_count
+      FROM contacts ct
+      WHERE ct.id::text = ANY($2)
+    `, [companyId, ids])
+
+    return result.rows.map(row => ({ ...row, session_count: parseInt(row.session_count), lead_count: parseInt(row.lead_count) }))
+  }
+
+  const result = await query(`
+    SELECT l.id, l.name, l.email, l.phone_number, l.lead_source, l.channel, l.score, l.created_at,
+      l.contact_id, ct.name as contact_name, ct.phone_number as contact_phone, ct.email as contact_email,
+      EXISTS (SELECT 1 FROM transferred_leads tl WHERE tl.lead_id = l.id) as transferred,
+      EXISTS (SELECT 1 FROM discarded_leads dl WHERE dl.lead_id = l.id) as discarded
+    FROM leads l
+    LEFT JOIN contacts ct ON l.contact_id = ct.id
+    WHERE l.company_id = $1 AND l.id::text = ANY($2)
+  `, [companyId, ids])
+
+  return result.rows
+}
+
+// One page of likely duplicate groups in a company, largest first, with the
+// total number of groups. The matching and paging run in the database; a
+// group found by several criteria is listed once with all of them. The oldest
+// record is suggested as the survivor.
+export const findDuplicates = async (companyId, {
+  type = 'leads',
+  match = DUPLICATE_MATCHES,
+  nameSimilarity = DEFAULT_NAME_SIMILARITY,
+  limit = 20,
+  offset = 0
+} = {}) => {
+  const source = DUPLICATE_SOURCES[type]
+
+  const parts = []
+  if (match.includes('phone')) parts.push(keyGroupsSql(source, 'phone', normalizedPhoneSql(source.phone('t'))))
+  if (match.includes('email')) parts.push(keyGroupsSql(source, 'email', normalizedEmailSql('t.email')))
+  if (match.includes('name')) parts.push(nameGroupsSql(source))
+
+  const pageResult = await transaction(async (client) => {
+    await client.query("SELECT set_config('pg_trgm.similarity_threshold', $1, true)", [String(nameSimilarity)])
+
+    return client.query(`
+      WITH groups AS (
+        SELECT ids, array_agg(DISTINCT matched_on) as matched_on
+        FROM (${parts.join(' UNION ALL ')}) matches
+        GROUP BY ids
+      )
+      SELECT counted.total, page.ids, page.matched_on
+      FROM (SELECT COUNT(*) as total FROM groups) counted
+      LEFT JOIN LATERAL (
+        SELECT ids, matched_on
+        FROM groups
+        ORDER BY cardinality(ids) DESC, ids
+        LIMIT $2 OFFSET $3
+      ) page ON true
+    `, [companyId, limit, offset])
+  })
+
+  const page = pageResult.rows.filter(row => row.ids)
+  const records = await loadRecords(companyId, type, [...new Set(page.flatMap(row => row.ids.map(String)))])
+  const recordsById = new Map(records.map(record => [String(record.id), record]))
+
+  return {
+    total: parseInt(pageResult.rows[0].total),
+    groups: page.map(row => ({
+      matched_on: DUPLICATE_MATCHES.filter(reason => row.matched_on.includes(reason)),
+      suggested_survivor_id: row.ids[0],
+      records: row.ids.map(id => recordsById.get(String(id))).filter(Boolean)
+    }))
+  }
+}
+
+const checkDuplicateIds = (survivorId, duplicateIds, label) => {
+  if (!Array.isArray(duplicateIds) || duplicateIds.length === 0 || duplicateIds.length > MERGE_MAX_DUPLICATES) {
+    throw new DuplicateMergeError(`Between 1 and ${MERGE_MAX_DUPLICATES} duplicate ${label} ids are required`)
+  }
+
+  const ids = [...new Set(duplicateIds.map(id => String(id).toLowerCase()))]
+  if (ids.includes(String(survivorId).toLowerCase())) {
+    throw new DuplicateMergeError(`The surviving ${label} cannot be merged into itself`)
+  }
+
+  return ids
+}
+
+// Merge contacts into the survivor inside a transaction. Everything the
+// duplicates have in the company (sessions, conversations, knowledge, notes,
+// leads, transfers and discards) moves to the survivor. Duplicates that
+// belong to no other company are deleted, and their details fill the gaps in
+// the survivor's; the others are only unlinked from the company.
+export const mergeContacts = async (client, req, { companyId, survivorId, duplicateIds }) => {
+  const ids = checkDuplicateIds(survivorId, duplicateIds, 'contact')
+
+  const contactsResult = await client.query(`
+    SELECT ct.id, ct.name, ct.email, ct.phone_number, ct.wa_id, ct.created_at
+    FROM contacts ct
+    JOIN contact_company cc ON cc.contact_id = ct.id AND cc.company_id = $2
+    WHERE ct.id::text = ANY($1)
+    FOR UPDATE OF ct
+  `, [[String(survivorId).toLowerCase(), ...ids], companyId])
+
+  const survivor = contactsResult.rows.find(contact => String(contact.id) === String(survivorId).toLowerCase())
+  const duplicates = contactsResult.rows.filter(contact => contact !== survivor)
+
+  if (!survivor || duplicates.length < ids.length) {
+    const found = new Set(contactsResult.rows.map(contact => String(contact.id)))
+    const missing = [String(survivorId).toLowerCase(), ...ids].filter(id => !found.has(id))
+    throw new DuplicateMergeError(`Contacts not found in this company: ${missing.join(', ')}`, { status: 404 })
+  }
+
+  const duplicateContactIds = duplicates.map(contact => contact.id)
+  const moved = {}
+
+  for (const table of ['sessions', 'conversations', 'knowledge_vault', 'knowledge_vault_history', 'notes', 'leads', 'transferred_leads']) {
+    const result = await client.query(`
+      UPDATE ${table} SET contact_id = $1 WHERE contact_id = ANY($2::uuid[]) AND company_id = $3
+    `, [survivor.id, duplicateContactIds, companyId])
+    moved[table] = result.rowCount
+  }
+
+  // Discards have no company of their own; it comes from their session
+  const discardsResult = await client.query(`
+    UPDATE discarded_leads dl
+    SET contact_id = $1
+    FROM sessions s
+    WHERE s.id = dl.session_id AND s.company_id = $3 AND dl.contact_id = ANY($2::uuid[])
+  `, [survivor.id, duplicateContactIds, companyId])
+  moved.discarded_leads = discardsResult.rowCount
+
+  await client.query('DELETE FROM contact_company WHERE contact_id = ANY($1::uuid[]) AND company_id = $2', [duplicateContactIds, companyId])
+
+  const deletedResult = await client.query(`
+    DELETE FROM contacts ct
+    WHERE ct.id = ANY($1::uuid[])
+      AND NOT EXISTS (SELECT 1 FROM contact_company cc WHERE cc.contact_id = ct.id)
+    RETURNING ct.id
+  `, [duplicateContactIds])
+
+  const deletedIds = new Set(deletedResult.rows.map(row => String(row.id)))
+  const deleted = duplicates.filter(contact => deletedIds.has(String(contact.id)))
+  const firstOf = (field) => deleted.find(contact => contact[field])?.[field] || null
+
+  const updatedResult = await client.query(`
+    UPDATE contacts
+    SET name = COALESCE(name, $2),
+        email = COALESCE(email, $3),
+        phone_number = COALESCE(phone_number, $4),
+        wa_id = COALESCE(wa_id, $5)
+    WHERE id = $1
+    RETURNING id, name, email, phone_number, wa_id, created_at
+  `, [survivor.id, firstOf('name'), firstOf('email'), firstOf('phone_number'), firstOf('wa_id')])
+
+  // The survivor's leads now have more messages and facts to score
+  await client.query('UPDATE leads SET score_stale = true WHERE contact_id = $1 AND company_id = $2', [survivor.id, companyId])
+
+  const merge = {
+    contact: updatedResult.rows[0],
+    merged_contact_ids: duplicateContactIds,
+    deleted_contact_ids: deleted.map(contact => contact.id),
+    moved
+  }
+
+  await recordAudit(req, {
+    companyId,
+    entityType: 'contact',
+    entityId: survivor.id,
+    action: 'merge',
+    before: { survivor, duplicates },
+    after: merge
+  }, client)
+
+  return merge
+}
+
+// Merge leads into the survivor inside a transaction. Transfers and discards
+// move to the survivor, the leads' contacts are merged into the survivor's
+// contact, and the duplicates are deleted after filling the gaps in the
+// survivor's details.
+export const mergeLeads = async (client, req, { survivorId, duplicateIds }) => {
+  const ids = checkDuplicateIds(survivorId, duplicateIds, 'lead')
+
+  const leadsResult = await client.query(`
+    SELECT id, company_id, contact_id, name, email, phone_number, location, lead_source, channel, landing_page, utms, created_at
+    FROM leads
+    WHERE id::text = ANY($1)
+    FOR UPDATE
+  `, [[String(survivorId).toLowerCase(), ...ids]])
+
+  const survivor = leadsResult.rows.find(lead => String(lead.id) === String(survivorId).toLowerCase())
+  const duplicates = leadsResult.rows.filter(lead => lead !== survivor && lead.company_id === survivor?.company_id)
+
+  if (!survivor || duplicates.length < ids.length) {
+    const found = new Set([survivor, ...duplicates].filter(Boolean).map(lead => String(lead.id)))
+    const missing = ids.filter(id => !found.has(id))
+    throw new DuplicateMergeError(`Leads not found in this company: ${missing.join(', ')}`, { status: 404 })
+  }
+
+  const duplicateLeadIds = duplicates.map(lead => String(lead.id))
+
+  const transfersResult = await client.query('UPDATE transferred_leads SET lead_id = $1 WHERE lead_id::text = ANY($2)', [survivor.id, duplicateLeadIds])
+  const discardsResult = await client.query('UPDATE discarded_leads SET lead_id = $1 WHERE lead_id::text = ANY($2)', [survivor.id, duplicateLeadIds])
+
+  // A lead without a contact takes over the first duplicate's
+  const contactIds = [...new Set(duplicates.map(lead => lead.contact_id).filter(Boolean))]
+  const contactId = survivor.contact_id || contactIds.shift() || null
+  const otherContactIds = contactIds.filter(id => id !== contactId)
+
+  const contactMerge = otherContactIds.length > 0
+    ? await mergeContacts(client, req, { companyId: survivor.company_id, survivorId: contactId, duplicateIds: otherContactIds })
+    : null
+
+  await client.query('DELETE FROM leads WHERE id::text = ANY($1)', [duplicateLeadIds])
+
+  const firstOf = (field) => duplicates.find(lead => lead[field])?.[field] || null
+
+  const updatedResult = await client.query(`
+    UPDATE leads
+    SET contact_id = $2,
+        name = COALESCE(name, $3),
+        email = COALESCE(email, $4),
+        phone_number = COALESCE(phone_number, $5),
+        location = COALESCE(location, $6),
+        lead_source = COALESCE(lead_source, $7),
+        channel = COALESCE(channel, $8),
+        score_stale = true
+    WHERE id = $1
+    RETURNING id, company_id, contact_id, name, email, phone_number, location, lead_source, channel, created_at
+  `, [survivor.id, contactId, firstOf('name'), firstOf('email'), firstOf('phone_number'), firstOf('location'), firstOf('lead_source'), firstOf('channel')])
+
+  const merge = {
+    lead: updatedResult.rows[0],
+    merged_lead_ids: duplicates.map(lead => lead.id),
+    moved: {
+      transferred_leads: transfersResult.rowCount,
+      discarded_leads: discardsResult.rowCount
+    }
+  }
+
+  // The contact merge is audited on its own
+  await recordAudit(req, {
+    companyId: survivor.company_id,
+    entityType: 'lead',
+    entityId: survivor.id,
+    action: 'merge',
+    before: { survivor, duplicates },
+    after: { ...merge, merged_contact_ids: contactMerge?.merged_contact_ids || [] }
+  }, client)
+
+  return { ...merge, contact_merge: contactMerge }
+}
@@ -0,0 +1,13 @@
+import { listen } from '../config/database.js'
+
+// Channel the database triggers publish realtime events on (see migrate.js)
+export const EVENTS_CHANNEL = 'rita_events'
+
+// Subscribe to realtime events for one company; resolves to an unsubscribe function
+export const subscribeToCompanyEvents = (companyId, handler) => {
+  return listen(EVENTS_CHANNEL, (event) => {
+    if (event && parseInt(event.company_id) === parseInt(companyId)) {
+      handler(event)
+    }
+  })
+}
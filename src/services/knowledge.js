@@ -0,0 +1,29 @@
+import { query } from '../config/database.js'
+
+// Record a version of a knowledge vault entry. Pass the transaction client so
+// the history row commits or rolls back with the change itself.
+export const recordKnowledgeVersion = async (req, { entry, action, oldValue = null, newValue = null }, client = null) => {
+  const run = client ? client.query.bind(client) : query
+
+  await run(`
+    INSERT INTO knowledge_vault_history (
+      knowledge_id, company_id, contact_id, session_id, key,
+      action, old_value, new_value, source,
+      changed_by_user_id, changed_by_email, changed_by_api_key_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+  `, [
+    String(entry.id),
+    entry.company_id,
+    entry.contact_id,
+    entry.session_id,
+    entry.key,
+    action,
+    oldValue,
+    newValue,
+    entry.source,
+    req.user?.id || null,
+    req.user?.email || null,
+    req.apiKey?.id || null
+  ])
+}
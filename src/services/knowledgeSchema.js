@@ -0,0 +1,183 @@
+import { query } from '../config/database.js'
+import { KNOWLEDGE_DATA_TYPES } from '../config/constants.js'
+
+// Per-company catalogue of knowledge vault keys (knowledge_keys). Companies
+// without a catalogue keep free-text keys; once keys are defined, writes are
+// validated against them and legacy keys resolve through their aliases.
+
+export class KnowledgeValidationError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'KnowledgeValidationError'
+    this.status = 400
+  }
+}
+
+export const normalizeKnowledgeKey = (key) => String(key).trim().toLowerCase()
+
+export const loadKnowledgeCatalogue = async (companyId, client = null) => {
+  const run = client ? client.query.bind(client) : query
+
+  const result = await run(`
+    SELECT id, key, label, data_type, options, aliases
+    FROM knowledge_keys
+    WHERE company_id = $1
+    ORDER BY key
+  `, [companyId])
+
+  return result.rows
+}
+
+// Catalogue entry for a key or one of its aliases
+export const resolveKnowledgeKey = (catalogue, key) => {
+  const normalized = normalizeKnowledgeKey(key)
+  return catalogue.find(definition =>
+    definition.key === normalized || (definition.aliases || []).includes(normalized)
+  ) || null
+}
+
+// Accept "25 000 €", "1.500,50", "1,500" and "1,500.50"-style input from
+// operators. A separator followed by exactly three digits groups thousands;
+// with both separators present, the last one is the decimal one.
+export const normalizeNumber = (value) => {
+  if (typeof value === 'number') return value
+
+  let text = String(value).replace(/[\s€$]/g, '')
+  const decimal = text.includes(',') && text.includes('.')
+    ? (text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.')
+    : null
+
+  if (decimal) {
+    text = text.split(decimal === ',' ? '.' : ',').join('').replace(',', '.')
+  } else if (/^-?\d{1,3}([.,]\d{3})+$/.test(text)) {
+    text = text.replace(/[.,]/g, '')
+  } else {
+    text = text.replace(',', '.')
+  }
+
+  return text === '' ? NaN : Number(text)
+}
+
+const validateVehicle = async (companyId, value, run) => {
+  const result = await run(`
+    SELECT s.id
+    FROM stock s
+    JOIN companies co ON s."EMPRESA" = co.name
+    WHERE co.id = $1 AND (s.id::text = $2 OR s."MATRICULA" = $2)
+    LIMIT 1
+  `, [companyId, String(value).trim()])
+
+  if (result.rows.length === 0) {
+    throw new KnowledgeValidationError(`Vehicle "${value}" was not found in the company stock`)
+  }
+
+  return String(result.rows[0].id)
+}
+
+// Validate a value against its key definition; resolves to the value to store
+export const normalizeKnowledgeValue = async (definition, value, companyId, client = null) => {
+  const run = client ? client.query.bind(client) : query
+
+  if (value === undefined || value === null || String(value).trim() === '') {
+    throw new KnowledgeValidationError(`A value is required for "${definition.key}"`)
+  }
+
+  switch (definition.data_type) {
+    case 'number': {
+      const number = normalizeNumber(value)
+      if (!Number.isFinite(number)) {
+        throw new KnowledgeValidationError(`"${definition.key}" must be a number`)
+      }
+      return String(number)
+    }
+    case 'enum': {
+      const option = (definition.options || []).find(option => option.toLowerCase() === String(value).trim().toLowerCase())
+      if (!option) {
+        throw new KnowledgeValidationError(`"${definition.key}" must be one of: ${(definition.options || []).join(', ')}`)
+      }
+      return option
+    }
+    case 'date': {
+      const date = new Date(value)
+      if (isNaN(date.getTime())) {
+        throw new KnowledgeValidationError(`"${definition.key}" must be a valid date`)
+      }
+      return date.toISOString().split('T')[0]
+    }
+    case 'vehicle':
+      return validateVehicle(companyId, value, run)
+    default:
+      return String(value).trim()
+  }
+}
+
+// Resolve the canonical key and validated value for a knowledge write.
+// allowLegacyKey lets corrections of existing entries keep a key that is not
+// (or no longer) in the catalogue.
+export const prepareKnowledgeEntry = async (companyId, key, value, client = null, { allowLegacyKey = false } = {}) => {
+  const catalogue = await loadKnowledgeCatalogue(companyId, client)
+
+  if (catalogue.length === 0) {
+    return { key, value: String(value), definition: null }
+  }
+
+  const definition = resolveKnowledgeKey(catalogue, key)
+  if (!definition && allowLegacyKey) {
+    return { key, value: String(value).trim(), definition: null }
+  }
+
+  if (!definition) {
+    throw new KnowledgeValidationError(`Unknown knowledge key "${key}". Known keys: ${catalogue.map(entry => entry.key).join(', ')}`)
+  }
+
+  return {
+    key: definition.key,
+    value: await normalizeKnowledgeValue(definition, value, companyId, client),
+    definition
+  }
+}
+
+// Check a catalogue entry before it is saved; returns the normalized fields
+export const validateKeyDefinition = async (companyId, { key, label, data_type = 'text', options = [], aliases = [] }, keyId = null) => {
+  if (!key || !/^[a-z0-9_]+$/.test(normalizeKnowledgeKey(key))) {
+    throw new KnowledgeValidationError('Key is required and may only contain letters, numbers and underscores')
+  }
+
+  if (!KNOWLEDGE_DATA_TYPES.includes(data_type)) {
+    throw new KnowledgeValidationError(`Data type must be one of: ${KNOWLEDGE_DATA_TYPES.join(', ')}`)
+  }
+
+  if (!Array.isArray(options) || !Array.isArray(aliases)) {
+    throw new KnowledgeValidationError('Options and aliases must be lists')
+  }
+
+  if (data_type === 'enum' && options.length === 0) {
+    throw new KnowledgeValidationError('Enum keys need at least one option')
+  }
+
+  const normalizedKey = normalizeKnowledgeKey(key)
+  const normalizedAliases = [...new Set(aliases.map(normalizeKnowledgeKey))].filter(alias => alias && alias !== normalizedKey)
+
+  // A name may only point at one key, whether as the key itself or an alias
+  const names = [normalizedKey, ...normalizedAliases]
+  const conflict = await query(`
+    SELECT key
+    FROM knowledge_keys
+    WHERE company_id = $1
+      AND ($2::int IS NULL OR id <> $2)
+      AND (key = ANY($3) OR aliases && $3)
+    LIMIT 1
+  `, [companyId, keyId, names])
+
+  if (conflict.rows.length > 0) {
+    throw new KnowledgeValidationError(`"${conflict.rows[0].key}" already uses one of these names`)
+  }
+
+  return {
+    key: normalizedKey,
+    label: label || normalizedKey,
+    data_type,
+    options: data_type === 'enum' ? options.map(option => String(option).trim()) : [],
+    aliases: normalizedAliases
+  }
+}
@@ -0,0 +1,352 @@
+import { query } from '../config/database.js'
+import { MESSAGE_SENDERS } from '../config/constants.js'
+import { normalizeNumber, loadKnowledgeCatalogue, resolveKnowledgeKey } from './knowledgeSchema.js'
+
+// Lead scores (0-100) from knowledge vault facts, message engagement, reply
+// latency and lead source. Each company may override the defaults in
+// companies.lead_scoring_config. New messages and facts mark the contact's
+// leads as stale (database triggers, see migration 021_lead_scores); stale
+// scores are recalculated by the API right after its own writes and by the
+// /api/cron route for writes made by the AI agent.
+
+export class LeadScoringError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'LeadScoringError'
+    this.status = 400
+  }
+}
+
+export const SCORING_FACTORS = ['budget', 'timeframe', 'financing', 'engagement', 'responsiveness', 'source']
+
+export const DEFAULT_SCORING_CONFIG = {
+  // Relative weights; they are scaled so the factors add up to 100
+  weights: { budget: 25, timeframe: 20, financing: 10, engagement: 20, responsiveness: 15, source: 10 },
+  // Knowledge vault keys holding each fact, compared without case or accents;
+  // keys that are aliases in the company's catalogue count as well
+  knowledge_keys: {
+    budget: ['budget', 'orcamento'],
+    timeframe: ['timeframe', 'prazo', 'prazo_compra'],
+    financing: ['financing', 'financiamento']
+  },
+  // Budget amounts (in euros) and the share of the budget points they earn;
+  // a budget below every threshold earns below_thresholds_score, and one
+  // without an amount ("flexível") unquantified_score
+  budget_thresholds: [
+    { min_amount: 30000, score: 1 },
+    { min_amount: 15000, score: 0.7 },
+    { min_amount: 5000, score: 0.4 }
+  ],
+  budget_below_thresholds_score: 0.2,
+  budget_unquantified_score: 0.5,
+  // Messages from the contact for full engagement points
+  engagement_target_messages: 10,
+  // 0-1 per lead_source or channel; anything else gets default_source_score
+  source_scores: { referral: 1, website: 0.8, whatsapp: 0.7, facebook: 0.5, instagram: 0.5 },
+  default_source_score: 0.5
+}
+
+// Company overrides on top of the defaults
+export const resolveScoringConfig = (overrides) => {
+  const config = overrides || {}
+  return {
+    ...DEFAULT_SCORING_CONFIG,
+    ...config,
+    weights: { ...DEFAULT_SCORING_CONFIG.weights, ...config.weights },
+    knowledge_keys: { ...DEFAULT_SCORING_CONFIG.knowledge_keys, ...config.knowledge_keys },
+    source_scores: { ...DEFAULT_SCORING_CONFIG.source_scores, ...config.source_scores }
+  }
+}
+
+const isFraction = (value) => typeof value === 'number' && value >= 0 && value <= 1
+
+// Check a company's overrides before they are saved
+export const validateScoringConfig = (config) => {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new LeadScoringError('Scoring config must be an object')
+  }
+
+  const resolved = resolveScoringConfig(config)
+
+  for (const [factor, weight] of Object.entries(resolved.weights)) {
+    if (!SCORING_FACTORS.includes(factor)) {
+      throw new LeadScoringError(`Unknown scoring factor "${factor}". Factors: ${SCORING_FACTORS.join(', ')}`)
+    }
+    if (typeof weight !== 'number' || weight < 0) {
+      throw new LeadScoringError(`Weight of "${factor}" must be a number of at least 0`)
+    }
+  }
+
+  if (Object.values(resolved.weights).every(weight => weight === 0)) {
+    throw new LeadScoringError('At least one factor needs a weight above 0')
+  }
+
+  for (const [fact, keys] of Object.entries(resolved.knowledge_keys)) {
+    if (!Array.isArray(keys) || !keys.every(key => typeof key === 'string')) {
+      throw new LeadScoringError(`Knowledge keys of "${fact}" must be a list of keys`)
+    }
+  }
+
+  if (!Number.isInteger(resolved.engagement_target_messages) || resolved.engagement_target_messages < 1) {
+    throw new LeadScoringError('engagement_target_messages must be a positive integer')
+  }
+
+  if (!Array.isArray(resolved.budget_thresholds) || !resolved.budget_thresholds.every(threshold =>
+    threshold && typeof threshold.min_amount === 'number' && threshold.min_amount >= 0 && isFraction(threshold.score)
+  )) {
+    throw new LeadScoringError('budget_thresholds must be a list of { min_amount, score } with a score between 0 and 1')
+  }
+
+  if (!isFraction(resolved.budget_below_thresholds_score) || !isFraction(resolved.budget_unquantified_score)) {
+    throw new LeadScoringError('Budget scores must be numbers between 0 and 1')
+  }
+
+  if (!Object.values(resolved.source_scores).every(isFraction) || !isFraction(resolved.default_source_score)) {
+    throw new LeadScoringError('Source scores must be numbers between 0 and 1')
+  }
+
+  return config
+}
+
+// Lowercase text without accents, for matching answers
+const plainText = (value) => String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase()
+
+// Answers such as "não", "sem orçamento", "no" or "não precisa"
+const isNegativeAnswer = (value) => {
+  const text = plainText(value)
+  return /^(nao|no|nope|none|nenhum|nada|sem|n\/a|-)(\b|$)/.test(text) ||
+    /\b(sem (orcamento|financiamento|budget)|nao (tem|tenho|quer|precisa|sabe)|no budget|not (sure|needed))\b/.test(text)
+}
+
+const isUncertainAnswer = (value) => /\b(talvez|a ver|pensar|depende|maybe|possibly)\b/.test(plainText(value))
+
+// Amount in a budget answer: "30000", "30.000,00 €", "30k", "30 mil", "1,5 milhões".
+// Ranges ("entre 20 e 25 mil") use the upper bound.
+export const parseBudgetAmount = (value) => {
+  const text = plainText(value)
+  const amounts = [...text.matchAll(/(\d{1,3}(?:[ .,]\d{3})+(?:[.,]\d{1,2})?|\d+(?:[.,]\d+)?)\s*(k|mil|milhao|milhoes|million)?\b/g)]
+    .map(([, number, unit]) => {
+      const multiplier = unit === 'k' || unit === 'mil' ? 1000 : unit ? 1000000 : 1
+      return normalizeNumber(number) * multiplier
+    })
+    .filter(Number.isFinite)
+
+  return amounts.length > 0 ? Math.max(...amounts) : null
+}
+
+const budgetFraction = (value, config) => {
+  if (isNegativeAnswer(value)) return 0
+
+  const amount = parseBudgetAmount(value)
+  if (amount === null) return config.budget_unquantified_score
+
+  const threshold = [...config.budget_thresholds]
+    .sort((a, b) => b.min_amount - a.min_amount)
+    .find(entry => amount >= entry.min_amount)
+  return threshold ? threshold.score : config.budget_below_thresholds_score
+}
+
+const financingFraction = (value) => {
+  if (isNegativeAnswer(value)) return 0
+  return isUncertainAnswer(value) ? 0.5 : 1
+}
+
+// How soon the contact plans to buy, from a date or phrases like "este mês".
+// Phrases are matched as whole words, so "don't know" is not "now".
+const timeframeFraction = (value) => {
+  const date = /^\d{4}-\d{2}-\d{2}/.test(String(value).trim()) ? new Date(String(value).trim()) : null
+  if (date && !isNaN(date.getTime())) {
+    const days = (date.getTime() - Date.now()) / (24 * 3600 * 1000)
+    return days <= 30 ? 1 : days <= 90 ? 0.7 : 0.4
+  }
+
+  const text = plainText(value)
+  if (/\b(imediat\w*|urgente|ja|agora|esta semana|asap|now|this week|immediate\w*)\b/.test(text)) return 1
+  if (/\b(semanas?|weeks?|este mes|1 mes|this month)\b/.test(text)) return 0.8
+  if (/\b(mes|meses|months?)\b/.test(text)) return 0.6
+  if (/\b(anos?|years?)\b/.test(text)) return 0.3
+  return 0.5
+}
+
+const latencyFraction = (seconds) => {
+  if (seconds === null || seconds === undefined) return 0
+  if (seconds <= 5 * 60) return 1
+  if (seconds <= 3600) return 0.7
+  if (seconds <= 24 * 3600) return 0.4
+  return 0.1
+}
+
+const formatLatency = (seconds) => seconds < 3600
+  ? `${Math.round(seconds / 60)} min`
+  : `${Math.round(seconds / 360) / 10} h`
+
+// Score a lead from its signals. Returns { score, factors } where each
+// factor explains the points it contributed. signals.catalogue is the
+// company's knowledge key catalogue, used to resolve legacy keys.
+export const computeLeadScore = (lead, signals, config) => {
+  const findFact = (fact) => {
+    const keys = (config.knowledge_keys[fact] || []).map(plainText)
+    return signals.facts.find(entry => {
+      const definition = resolveKnowledgeKey(signals.catalogue || [], entry.key)
+      const names = definition ? [entry.key, definition.key, ...(definition.aliases || [])] : [entry.key]
+      return names.some(name => keys.includes(plainText(name)))
+    }) || null
+  }
+
+  const fractions = {}
+  const details = {}
+
+  const budget = findFact('budget')
+  fractions.budget = budget ? budgetFraction(budget.value, config) : 0
+  details.budget = budget ? `Budget: ${budget.value}` : 'No budget known'
+
+  const timeframe = findFact('timeframe')
+  fractions.timeframe = timeframe ? timeframeFraction(timeframe.value) : 0
+  details.timeframe = timeframe ? `Timeframe: ${timeframe.value}` : 'No timeframe known'
+
+  const financing = findFact('financing')
+  fractions.financing = financing ? financingFraction(financing.value) : 0
+  details.financing = financing ? `Financing: ${financing.value}` : 'Financing not discussed'
+
+  fractions.engagement = Math.min(signals.contactMessages / config.engagement_target_messages, 1)
+  details.engagement = `${signals.contactMessages} messages from the contact`
+
+  fractions.responsiveness = latencyFraction(signals.medianReplySeconds)
+  details.responsiveness = signals.medianReplySeconds !== null
+    ? `Replies in ${formatLatency(signals.medianReplySeconds)} (median)`
+    : 'Has not replied yet'
+
+  const source = [lead.lead_source, lead.channel]
+    .map(value => value && String(value).toLowerCase())
+    .find(value => value && config.source_scores[value] !== undefined)
+  fractions.source = source ? config.source_scores[source] : config.default_source_score
+  details.source = `Source: ${lead.lead_source || lead.channel || 'unknown'}`
+
+  const totalWeight = SCORING_FACTORS.reduce((sum, factor) => sum + (config.weights[factor] || 0), 0)
+
+  const factors = SCORING_FACTORS
+    .filter(factor => config.weights[factor] > 0)
+    .map(factor => {
+      const maxPoints = (config.weights[factor] / totalWeight) * 100
+      return {
+        factor,
+        points: Math.round(maxPoints * fractions[factor] * 10) / 10,
+        max_points: Math.round(maxPoints * 10) / 10,
+        detail: details[factor]
+      }
+    })
+
+  const score = Math.round(factors.reduce((sum, factor) => sum + factor.points, 0))
+
+  return { score: Math.min(Math.max(score, 0), 100), factors }
+}
+
+// Knowledge facts (latest first) and conversation statistics of a lead's contact
+const loadSignals = async (lead, catalogue) => {
+  const factsResult = await query(`
+    SELECT key, value
+    FROM (
+      SELECT DISTINCT ON (key) key, value, COALESCE(updated_at, created_at) as written_at
+      FROM knowledge_vault
+      WHERE contact_id = $1 AND company_id = $2
+      ORDER BY key, COALESCE(updated_at, created_at) DESC
+    ) facts
+    ORDER BY written_at DESC
+  `, [lead.contact_id, lead.company_id])
+
+  // Reply latency: time between our last message and the contact's answer
+  const messagesResult = await query(`
+    SELECT
+      COUNT(*) FILTER (WHERE sender = $3) as contact_messages,
+      percentile_cont(0.5) WITHIN GROUP (ORDER BY reply_seconds) as median_reply_seconds
+    FROM (
+      SELECT
+        sender,
+        CASE WHEN sender = $3 AND LAG(sender) OVER w <> $3
+          THEN EXTRACT(EPOCH FROM created_at - LAG(created_at) OVER w)
+        END as reply_seconds
+      FROM conversations
+      WHERE contact_id = $1 AND company_id = $2
+      WINDOW w AS (PARTITION BY session_id ORDER BY created_at)
+    ) messages
+  `, [lead.contact_id, lead.company_id, MESSAGE_SENDERS.CONTACT])
+
+  const stats = messagesResult.rows[0]
+
+  return {
+    facts: factsResult.rows,
+    catalogue,
+    contactMessages: parseInt(stats.contact_messages),
+    medianReplySeconds: stats.median_reply_seconds !== null ? parseFloat(stats.median_reply_seconds) : null
+  }
+}
+
+// Recalculate and store the scores of the given leads; resolves to the new scores
+export const recalculateLeadScores = async (leadIds) => {
+  if (leadIds.length === 0) {
+    return []
+  }
+
+  const leadsResult = await query(`
+    SELECT l.id, l.contact_id, l.company_id, l.lead_source, l.channel, l.score_version, co.lead_scoring_config
+    FROM leads l
+    JOIN companies co ON co.id = l.company_id
+    WHERE l.id::text = ANY($1)
+  `, [leadIds.map(String)])
+
+  const scores = []
+  const catalogues = new Map()
+
+  for (const lead of leadsResult.rows) {
+    if (!catalogues.has(lead.company_id)) {
+      catalogues.set(lead.company_id, await loadKnowledgeCatalogue(lead.company_id))
+    }
+
+    const signals = lead.contact_id
+      ? await loadSignals(lead, catalogues.get(lead.company_id))
+      : { facts: [], catalogue: [], contactMessages: 0, medianReplySeconds: null }
+    const { score, factors } = computeLeadScore(lead, signals, resolveScoringConfig(lead.lead_scoring_config))
+
+    // A message or fact written since the signals were loaded bumped
+    // score_version (migration 024_lead_score_version); the lead then stays stale
+    const result = await query(`
+      UPDATE leads
+      SET score = $2, score_factors = $3, scored_at = NOW(), score_stale = (score_version <> $4)
+      WHERE id = $1
+      RETURNING id, score, score_factors, scored_at, score_stale
+    `, [lead.id, score, JSON.stringify(factors), lead.score_version])
+
+    scores.push(result.rows[0])
+  }
+
+  return scores
+}
+
+// Recalculate stale scores, oldest first; resolves to how many were updated
+export const recalculateStaleLeadScores = async ({ companyId = null, limit = 200 } = {}) => {
+  const staleResult = await query(`
+    SELECT id
+    FROM leads
+    WHERE score_stale AND ($1::int IS NULL OR company_id = $1)
+    ORDER BY scored_at ASC NULLS FIRST
+    LIMIT $2
+  `, [companyId, limit])
+
+  const scores = await recalculateLeadScores(staleResult.rows.map(row => row.id))
+  return scores.length
+}
+
+// Refresh the scores of a contact's leads after a message or fact was
+// written. Failures are only logged: the stale flag stays set, so the cron
+// job picks the leads up again.
+export const refreshContactLeadScores = async (companyId, contactId) => {
+  try {
+    const leadsResult = await query(`
+      SELECT id FROM leads WHERE company_id = $1 AND contact_id = $2 AND score_stale
+    `, [companyId, contactId])
+
+    await recalculateLeadScores(leadsResult.rows.map(row => row.id))
+  } catch (error) {
+    console.error('Lead score refresh error:', error)
+  }
+}
@@ -0,0 +1,97 @@
+import { transaction } from '../config/database.js'
+import { SESSION_STATUSES } from '../config/constants.js'
+import { recordAudit } from './audit.js'
+import { changeSessionStatus } from './sessionStatus.js'
+import { enqueueCrmSync, syncTransferNow } from './crmSync.js'
+import { autoAssignSession } from './assignments.js'
+
+// Manual lead transfers (POST /api/leads/:id/transfer). The transfer row, the
+// session status change, the session's owner and the CRM sync job are written
+// together; the CRM push itself goes through the crm_sync_jobs outbox so a
+// CRM outage never loses a transfer.
+
+export class LeadTransferError extends Error {
+  constructor(message, { status = 409 } = {}) {
+    super(message)
+    this.name = 'LeadTransferError'
+    this.status = status
+  }
+}
+
+// Transfer a lead to the sales team on behalf of the request's user, then try
+// the CRM push right away. Resolves to the transferred_leads row with the
+// outcome of that first sync attempt.
+export const transferLead = async (req, { leadId, summary }) => {
+  const transfer = await transaction(async (client) => {
+    const leadResult = await client.query(`
+      SELECT id, contact_id, company_id
+      FROM leads
+      WHERE id = $1
+      FOR UPDATE
+    `, [leadId])
+
+    const lead = leadResult.rows[0]
+    if (!lead) {
+      throw new LeadTransferError('Lead not found', { status: 404 })
+    }
+
+    const existing = await client.query('SELECT id FROM transferred_leads WHERE lead_id = $1 LIMIT 1', [leadId])
+    if (existing.rows.length > 0) {
+      throw new LeadTransferError('Lead has already been transferred')
+    }
+
+    // The lead's conversation is the contact's latest session in the company
+    const sessionResult = await client.query(`
+      SELECT id, assigned_user_id
+      FROM sessions
+      WHERE contact_id = $1 AND company_id = $2
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [lead.contact_id, lead.company_id])
+
+    const sessionId = sessionResult.rows[0]?.id
+    if (!sessionId) {
+      throw new LeadTransferError('Lead has no session to transfer')
+    }
+
+    // A transferred lead needs an owner; keep the one the session already has
+    const assignment = sessionResult.rows[0].assigned_user_id
+      ? null
+      : await autoAssignSession(client, { companyId: lead.company_id, sessionId, reason: 'transfer', assignedBy: req.user?.id || null })
+
+    const change = await changeSessionStatus(client, {
+      sessionId,
+      status: SESSION_STATUSES.TRANSFERRED,
+      reason: summary,
+      actor: req
+    })
+
+    const result = await client.query(`
+      INSERT INTO transferred_leads (lead_id, summary, contact_id, session_id, company_id, created_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+      RETURNING id, lead_id, session_id, contact_id, summary, zoho_id, created_at
+    `, [lead.id, summary, lead.contact_id, sessionId, lead.company_id])
+
+    await enqueueCrmSync(client, { companyId: lead.company_id, transferId: result.rows[0].id })
+
+    await recordAudit(req, {
+      companyId: lead.company_id,
+      entityType: 'lead',
+      entityId: lead.id,
+      action: 'transfer',
+      before: { session_status: change.before.status },
+      after: { transfer_id: result.rows[0].id, summary, assigned_user_id: assignment?.to_user_id || null }
+    }, client)
+
+    return { ...result.rows[0], assigned_user_id: assignment?.to_user_id || sessionResult.rows[0].assigned_user_id }
+  })
+
+  const sync = await syncTransferNow(transfer.id)
+
+  return {
+    ...transfer,
+    zoho_id: sync?.zoho_id || null,
+    sync_status: sync?.sync_status || 'pending',
+    sync_error: sync?.error || null
+  }
+}
@@ -0,0 +1,49 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+// Inbound media is downloaded from WhatsApp on first access and cached here.
+// On Vercel only /tmp is writable, so set MEDIA_STORAGE_DIR=/tmp/media there.
+const MEDIA_STORAGE_DIR = path.resolve(process.env.MEDIA_STORAGE_DIR || 'storage/media')
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'audio/ogg': '.ogg',
+  'audio/mpeg': '.mp3',
+  'audio/mp4': '.m4a',
+  'video/mp4': '.mp4',
+  'application/pdf': '.pdf',
+  'text/plain': '.txt'
+}
+
+// Save a media file and return its path relative to the storage directory
+export const saveMedia = async (name, buffer, mimeType) => {
+  const baseMimeType = (mimeType || '').split(';')[0].trim()
+  const relativePath = `${name}${EXTENSIONS[baseMimeType] || ''}`
+
+  await fs.mkdir(MEDIA_STORAGE_DIR, { recursive: true })
+  await fs.writeFile(path.join(MEDIA_STORAGE_DIR, relativePath), buffer)
+
+  return relativePath
+}
+
+// Absolute path of a stored file, refusing paths outside the storage directory
+export const resolveMediaPath = (relativePath) => {
+  const absolutePath = path.resolve(MEDIA_STORAGE_DIR, relativePath)
+
+  if (!absolutePath.startsWith(MEDIA_STORAGE_DIR + path.sep)) {
+    throw new Error('Invalid media path')
+  }
+
+  return absolutePath
+}
+
+export const mediaExists = async (relativePath) => {
+  try {
+    await fs.access(resolveMediaPath(relativePath))
+    return true
+  } catch (error) {
+    return false
+  }
+}
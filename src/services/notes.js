@@ -0,0 +1,88 @@
+import { query } from '../config/database.js'
+
+// @mentions in note bodies: either a full email (@ana@dealer.pt) or the part
+// before the @ of a member's email (@ana) when only one member matches.
+const MENTION_PATTERN = /(?:^|[^\w@.])@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g
+
+export const parseMentionHandles = (body) => {
+  const handles = new Set()
+  for (const match of String(body).matchAll(MENTION_PATTERN)) {
+    handles.add(match[1].replace(/\.+$/, '').toLowerCase())
+  }
+  return [...handles]
+}
+
+// Company users mentioned in a note, from the body and explicit user ids
+export const resolveMentions = async (companyId, body, userIds = [], client = null) => {
+  const run = client ? client.query.bind(client) : query
+
+  const membersResult = await run(`
+    SELECT user_id, email
+    FROM company_users
+    WHERE company_id = $1
+  `, [companyId])
+
+  const members = membersResult.rows
+  const mentioned = new Set()
+
+  parseMentionHandles(body).forEach(handle => {
+    const matches = members.filter(member => {
+      const email = (member.email || '').toLowerCase()
+      return handle.includes('@') ? email === handle : email.split('@')[0] === handle
+    })
+
+    if (matches.length === 1) {
+      mentioned.add(matches[0].user_id)
+    }
+  })
+
+  userIds.forEach(userId => {
+    if (members.some(member => member.user_id === userId)) {
+      mentioned.add(userId)
+    }
+  })
+
+  return [...mentioned]
+}
+
+// Replace a note's mentions; pass the transaction client of the note write
+export const saveMentions = async (client, noteId, userIds) => {
+  await client.query('DELETE FROM note_mentions WHERE note_id = $1', [noteId])
+
+  if (userIds.length > 0) {
+    await client.query(`
+      INSERT INTO note_mentions (note_id, user_id)
+      SELECT $1, unnest($2::uuid[])
+    `, [noteId, userIds])
+  }
+}
+
+// Notes with their mentions, for a contact (optionally a single session)
+export const listNotes = async (companyId, { contactId = null, sessionId = null } = {}) => {
+  const result = await query(`
+    SELECT
+      n.id,
+      n.contact_id,
+      n.session_id,
+      n.author_user_id,
+      n.author_email,
+      n.body,
+      n.created_at,
+      n.updated_at,
+      COALESCE(
+        json_agg(json_build_object('user_id', m.user_id, 'email', cu.email))
+          FILTER (WHERE m.user_id IS NOT NULL),
+        '[]'
+      ) as mentions
+    FROM notes n
+    LEFT JOIN note_mentions m ON m.note_id = n.id
+    LEFT JOIN company_users cu ON cu.user_id = m.user_id AND cu.company_id = n.company_id
+    WHERE n.company_id = $1
+      AND ($2::uuid IS NULL OR n.contact_id = $2)
+      AND ($3::uuid IS NULL OR n.session_id = $3)
+    GROUP BY n.id
+    ORDER BY n.created_at ASC
+  `, [companyId, contactId, sessionId])
+
+  return result.rows
+}
@@ -0,0 +1,53 @@
+import { query } from '../config/database.js'
+import { MESSAGE_SENDERS } from '../config/constants.js'
+
+// Per-user read markers (session_reads). A customer message is unread for a
+// user when it arrived after their last_read_at for that session; a session
+// can also be flagged unread by hand until it is read again.
+
+// SQL expression counting unread customer messages in the sessions matched
+// by sessionCondition (written against the alias "us")
+export const unreadCountSql = (sessionCondition, userParam) => `(
+  SELECT COUNT(*)
+  FROM conversations uc
+  JOIN sessions us ON us.id = uc.session_id
+  LEFT JOIN session_reads sr ON sr.session_id = us.id AND sr.user_id = ${userParam}::uuid
+  WHERE ${sessionCondition}
+    AND uc.sender = ${MESSAGE_SENDERS.CONTACT}
+    AND (sr.last_read_at IS NULL OR uc.created_at > sr.last_read_at)
+)`
+
+// SQL expression: whether any of the matched sessions was marked unread
+export const markedUnreadSql = (sessionCondition, userParam) => `EXISTS (
+  SELECT 1
+  FROM session_reads sr
+  JOIN sessions us ON us.id = sr.session_id
+  WHERE ${sessionCondition}
+    AND sr.user_id = ${userParam}::uuid
+    AND sr.marked_unread
+)`
+
+// Mark sessions read up to a point in time (defaults to now)
+export const markSessionsRead = async ({ userId, companyId, sessionIds, readAt = null }, client = null) => {
+  const run = client ? client.query.bind(client) : query
+
+  await run(`
+    INSERT INTO session_reads (user_id, session_id, company_id, last_read_at, marked_unread, updated_at)
+    SELECT $1, unnest($2::uuid[]), $3, COALESCE($4::timestamp, NOW()), false, NOW()
+    ON CONFLICT (user_id, session_id) DO UPDATE
+    SET last_read_at = GREATEST(session_reads.last_read_at, EXCLUDED.last_read_at),
+        marked_unread = false,
+        updated_at = NOW()
+  `, [userId, sessionIds, companyId, readAt])
+}
+
+export const markSessionUnread = async ({ userId, companyId, sessionId }, client = null) => {
+  const run = client ? client.query.bind(client) : query
+
+  await run(`
+    INSERT INTO session_reads (user_id, session_id, company_id, marked_unread, updated_at)
+    VALUES ($1, $2, $3, true, NOW())
+    ON CONFLICT (user_id, session_id) DO UPDATE
+    SET marked_unread = true, updated_at = NOW()
+  `, [userId, sessionId, companyId])
+}
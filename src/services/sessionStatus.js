@@ -0,0 +1,76 @@
+// Session status state machine. The allowed transitions come from
+// qualification_statuses.allowed_next_statuses; the history itself is written
+// by a database trigger (see migration 017_session_status_history).
+
+export class SessionStatusError extends Error {
+  constructor(message, { status = 409 } = {}) {
+    super(message)
+    this.name = 'SessionStatusError'
+    this.status = status
+  }
+}
+
+// Change a session's status inside a transaction. actor is the request (for
+// user and API key details) or null for background jobs. enforceTransitions
+// is only turned off to restore a previous status (e.g. undoing a discard).
+// Resolves to { before, after }, or null when the session does not exist.
+export const changeSessionStatus = async (client, { sessionId, status, reason = null, source = 'api', actor = null, enforceTransitions = true }) => {
+  const currentResult = await client.query(`
+    SELECT s.id, s.status, s.company_id, qs.description, qs.allowed_next_statuses
+    FROM sessions s
+    LEFT JOIN qualification_statuses qs ON qs.id = s.status
+    WHERE s.id = $1
+    FOR UPDATE OF s
+  `, [sessionId])
+
+  const current = currentResult.rows[0]
+  if (!current) {
+    return null
+  }
+
+  const targetResult = await client.query('SELECT id, description FROM qualification_statuses WHERE id = $1', [status])
+  const target = targetResult.rows[0]
+
+  if (!target) {
+    throw new SessionStatusError(`Unknown status ${status}`, { status: 400 })
+  }
+
+  if (current.status === status) {
+    throw new SessionStatusError(`Session is already "${target.description}"`)
+  }
+
+  if (enforceTransitions && !(current.allowed_next_statuses || []).includes(status)) {
+    const allowed = current.allowed_next_statuses?.length ? current.allowed_next_statuses.join(', ') : 'none'
+    throw new SessionStatusError(
+      `Cannot change status from "${current.description}" (${current.status}) to "${target.description}" (${status}). Allowed next statuses: ${allowed}`
+    )
+  }
+
+  // Picked up by the status history trigger for this transaction only
+  await client.query(`
+    SELECT
+      set_config('rita.status_reason', $1, true),
+      set_config('rita.status_source', $2, true),
+      set_config('rita.actor_user_id', $3, true),
+      set_config('rita.actor_email', $4, true),
+      set_config('rita.actor_api_key_id', $5, true)
+  `, [
+    reason || '',
+    source,
+    actor?.user?.id || '',
+    actor?.user?.email || '',
+    actor?.apiKey?.id ? String(actor.apiKey.id) : ''
+  ])
+
+  const result = await client.query(`
+    UPDATE sessions
+    SET status = $2
+    WHERE id = $1
+    RETURNING id, status, created_at
+  `, [sessionId, status])
+
+  return {
+    before: { status: current.status },
+    after: result.rows[0]
+  }
+}
@@ -0,0 +1,57 @@
+import { query } from '../config/database.js'
+
+// Company-defined session tags. Tags are referenced by slug in filters
+// (?tags=trade-in,financing) and by slug or id when applied to a session.
+
+export const slugifyTag = (name) => String(name)
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+
+// Slugs from a comma-separated query parameter (or repeated parameter)
+export const parseTagFilter = (value) => {
+  if (!value) return []
+  const values = Array.isArray(value) ? value : String(value).split(',')
+  return [...new Set(values.map(slugifyTag).filter(Boolean))]
+}
+
+// SQL condition limiting sessions to the given tag slugs. With match=all a
+// session needs every tag; otherwise any one of them is enough.
+export const tagFilterSql = (sessionColumn, paramIndex, match = 'any') => {
+  const tagged = `
+    FROM session_tags st
+    JOIN tags t ON t.id = st.tag_id
+    WHERE st.session_id = ${sessionColumn} AND t.slug = ANY($${paramIndex}::text[])`
+
+  return match === 'all'
+    ? `AND (SELECT COUNT(*) ${tagged}) = cardinality($${paramIndex}::text[])`
+    : `AND EXISTS (SELECT 1 ${tagged})`
+}
+
+// SQL expression with a session's tags as a JSON array
+export const sessionTagsSql = (sessionColumn) => `(
+  SELECT COALESCE(json_agg(json_build_object('id', t.id, 'name', t.name, 'slug', t.slug, 'color', t.color) ORDER BY t.name), '[]')
+  FROM session_tags st
+  JOIN tags t ON t.id = st.tag_id
+  WHERE st.session_id = ${sessionColumn}
+)`
+
+// Company tags matching the given slugs or ids; unknown references are returned separately
+export const resolveTags = async (companyId, references, client = null) => {
+  const run = client ? client.query.bind(client) : query
+  const values = references.map(reference => String(reference))
+
+  const result = await run(`
+    SELECT id, name, slug, color
+    FROM tags
+    WHERE company_id = $1 AND (slug = ANY($2) OR id::text = ANY($2))
+  `, [companyId, values])
+
+  const unknown = values.filter(value =>
+    !result.rows.some(tag => tag.slug === value || String(tag.id) === value)
+  )
+
+  return { tags: result.rows, unknown }
+}
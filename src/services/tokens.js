@@ -0,0 +1,128 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { query, transaction } from '../config/database.js'
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '15m'
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+
+// Error raised when a token is well-formed but no longer accepted
+export class TokenRevokedError extends Error {
+  constructor(message = 'Token revoked') {
+    super(message)
+    this.name = 'TokenRevokedError'
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex')
+
+const signAccessToken = (user, familyId) => jwt.sign(
+  {
+    sub: user.id,
+    email: user.email,
+    fid: familyId
+  },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() }
+)
+
+// Store a new refresh token in a family and build the token pair response
+const createTokenPair = async (client, user, familyId) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url')
+
+  await client.query(`
+    INSERT INTO refresh_tokens (family_id, token_hash, expires_at)
+    VALUES ($1, $2, NOW() + INTERVAL '1 day' * $3)
+  `, [familyId, hashToken(refreshToken), REFRESH_TOKEN_TTL_DAYS])
+
+  const accessToken = signAccessToken(user, familyId)
+
+  return {
+    access_token: accessToken,
+    refresh_token: refreshToken,
+    expires_at: jwt.decode(accessToken).exp
+  }
+}
+
+// Start a new token family (one per login/device)
+export const issueTokens = async (user) => {
+  return transaction(async (client) => {
+    const familyResult = await client.query(`
+      INSERT INTO token_families (user_id, email)
+      VALUES ($1, $2)
+      RETURNING id
+    `, [user.id, user.email])
+
+    return createTokenPair(client, user, familyResult.rows[0].id)
+  })
+}
+
+// Exchange a refresh token for a new pair. Presenting a refresh token that was
+// already used revokes its whole family, since it means the token leaked.
+export const rotateRefreshToken = async (refreshToken) => {
+  return transaction(async (client) => {
+    const result = await client.query(`
+      SELECT
+        rt.id,
+        rt.family_id,
+        rt.used_at,
+        rt.expires_at < NOW() as expired,
+        tf.user_id,
+        tf.email,
+        tf.revoked_at
+      FROM refresh_tokens rt
+      JOIN token_families tf ON rt.family_id = tf.id
+      WHERE rt.token_hash = $1
+      FOR UPDATE OF rt, tf
+    `, [hashToken(refreshToken)])
+
+    const stored = result.rows[0]
+
+    if (!stored || stored.revoked_at || stored.expired) {
+      throw new TokenRevokedError('Invalid refresh token')
+    }
+
+    if (stored.used_at) {
+      await client.query('UPDATE token_families SET revoked_at = NOW() WHERE id = $1', [stored.family_id])
+      return null
+    }
+
+    await client.query('UPDATE refresh_tokens SET used_at = NOW() WHERE id = $1', [stored.id])
+
+    return createTokenPair(client, { id: stored.user_id, email: stored.email }, stored.family_id)
+  })
+}
+
+// Revoke a single device's token family
+export const revokeFamily = async (familyId) => {
+  await query(`
+    UPDATE token_families
+    SET revoked_at = NOW()
+    WHERE id = $1 AND revoked_at IS NULL
+  `, [familyId])
+}
+
+// Revoke every token family for a user (logout from all devices)
+export const revokeAllForUser = async (userId) => {
+  await query(`
+    UPDATE token_families
+    SET revoked_at = NOW()
+    WHERE user_id = $1 AND revoked_at IS NULL
+  `, [userId])
+}
+
+// Verify an access token signature and check its family is still active
+export const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET)
+
+  if (!decoded.fid) {
+    throw new TokenRevokedError()
+  }
+
+  const result = await query('SELECT revoked_at FROM token_families WHERE id = $1', [decoded.fid])
+
+  if (result.rows.length === 0 || result.rows[0].revoked_at) {
+    throw new TokenRevokedError()
+  }
+
+  return decoded
+}
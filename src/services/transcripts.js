@@ -0,0 +1,227 @@
+import PDFDocument from 'pdfkit'
+import { query } from '../config/database.js'
+import { MESSAGE_SENDERS } from '../config/constants.js'
+
+// Conversation transcripts for forwarding to dealerships. A transcript is
+// built once from the database and then rendered as JSON, plain text or PDF.
+
+export const TRANSCRIPT_FORMATS = ['json', 'txt', 'pdf']
+
+const loadSessionDetails = async (sessionIds) => {
+  const [messagesResult, knowledgeResult, transfersResult, discardsResult] = await Promise.all([
+    query(`
+      SELECT id, session_id, sender, content, message_type, created_at
+      FROM conversations
+      WHERE session_id = ANY($1)
+      ORDER BY created_at ASC, id ASC
+    `, [sessionIds]),
+    query(`
+      SELECT session_id, key, value, source, COALESCE(updated_at, created_at) as updated_at
+      FROM knowledge_vault
+      WHERE session_id = ANY($1)
+      ORDER BY key ASC
+    `, [sessionIds]),
+    query(`
+      SELECT session_id, summary, zoho_id, created_at
+      FROM transferred_leads
+      WHERE session_id = ANY($1)
+      ORDER BY created_at ASC
+    `, [sessionIds]),
+    query(`
+      SELECT session_id, summary, created_at
+      FROM discarded_leads
+      WHERE session_id = ANY($1)
+      ORDER BY created_at ASC
+    `, [sessionIds])
+  ])
+
+  const bySession = (rows) => rows.reduce((groups, row) => {
+    (groups[row.session_id] = groups[row.session_id] || []).push(row)
+    return groups
+  }, {})
+
+  return {
+    messages: bySession(messagesResult.rows),
+    knowledge: bySession(knowledgeResult.rows),
+    transfers: bySession(transfersResult.rows),
+    discards: bySession(discardsResult.rows)
+  }
+}
+
+const buildTranscript = async (contactId, companyId, sessionFilter, sessionParams) => {
+  const contactResult = await query(`
+    SELECT ct.id, ct.name, ct.phone_number, ct.email, co.name as company_name
+    FROM contacts ct
+    JOIN companies co ON co.id = $2
+    WHERE ct.id = $1
+  `, [contactId, companyId])
+
+  if (contactResult.rows.length === 0) {
+    return null
+  }
+
+  const sessionsResult = await query(`
+    SELECT s.id, s.status, qs.description as status_description, s.created_at
+    FROM sessions s
+    LEFT JOIN qualification_statuses qs ON qs.id = s.status
+    WHERE s.contact_id = $1 AND s.company_id = $2 ${sessionFilter}
+    ORDER BY s.created_at ASC
+  `, [contactId, companyId, ...sessionParams])
+
+  const sessionIds = sessionsResult.rows.map(session => session.id)
+  const details = await loadSessionDetails(sessionIds)
+
+  const { company_name, ...contact } = contactResult.rows[0]
+
+  return {
+    company: company_name,
+    contact,
+    exported_at: new Date().toISOString(),
+    sessions: sessionsResult.rows.map(session => ({
+      session_id: session.id,
+      status: session.status,
+      status_description: session.status_description,
+      created_at: session.created_at,
+      knowledge: (details.knowledge[session.id] || []).map(({ session_id, ...fact }) => fact),
+      transfer: (details.transfers[session.id] || []).map(({ session_id, ...transfer }) => transfer).pop() || null,
+      discard: (details.discards[session.id] || []).map(({ session_id, ...discard }) => discard).pop() || null,
+      messages: (details.messages[session.id] || []).map(({ session_id, ...message }) => message)
+    }))
+  }
+}
+
+// Transcript of a single session; null when the session does not exist
+export const buildSessionTranscript = async (sessionId) => {
+  const sessionResult = await query('SELECT contact_id, company_id FROM sessions WHERE id = $1', [sessionId])
+  const session = sessionResult.rows[0]
+
+  if (!session) {
+    return null
+  }
+
+  return buildTranscript(session.contact_id, session.company_id, 'AND s.id = $3', [sessionId])
+}
+
+// Transcript of every session a contact had with a company
+export const buildContactTranscript = async (contactId, companyId) => {
+  return buildTranscript(contactId, companyId, '', [])
+}
+
+const senderLabel = (transcript, sender) => {
+  switch (sender) {
+    case MESSAGE_SENDERS.CONTACT:
+      return transcript.contact.name || 'Contact'
+    case MESSAGE_SENDERS.AGENT:
+      return 'Rita'
+    case MESSAGE_SENDERS.HUMAN:
+      return 'Operator'
+    default:
+      return 'Unknown'
+  }
+}
+
+const formatDate = (value) => value ? new Date(value).toISOString().replace('T', ' ').slice(0, 16) : ''
+
+const messageText = (message) => message.message_type && message.message_type !== 'text'
+  ? `[${message.message_type}] ${message.content || ''}`.trim()
+  : message.content || ''
+
+const contactHeader = (transcript) => [
+  `Company: ${transcript.company}`,
+  `Contact: ${transcript.contact.name || 'Unknown'}`,
+  `Phone: ${transcript.contact.phone_number || '-'}`,
+  `Email: ${transcript.contact.email || '-'}`,
+  `Exported: ${formatDate(transcript.exported_at)} UTC`
+]
+
+const sessionHeading = (session) =>
+  `Session ${session.session_id} - ${session.status_description || `Status ${session.status}`} - started ${formatDate(session.created_at)}`
+
+export const renderTranscriptText = (transcript) => {
+  const lines = ['Conversation transcript', ...contactHeader(transcript)]
+
+  transcript.sessions.forEach(session => {
+    lines.push('', `=== ${sessionHeading(session)} ===`)
+
+    if (session.knowledge.length > 0) {
+      lines.push('', 'Facts:')
+      session.knowledge.forEach(fact => lines.push(`  - ${fact.key}: ${fact.value}`))
+    }
+
+    if (session.transfer) {
+      lines.push('', `Transfer summary (${formatDate(session.transfer.created_at)}):`, session.transfer.summary || '-')
+    }
+
+    if (session.discard) {
+      lines.push('', `Discard summary (${formatDate(session.discard.created_at)}):`, session.discard.summary || '-')
+    }
+
+    lines.push('', 'Messages:')
+    session.messages.forEach(message => {
+      lines.push(`[${formatDate(message.created_at)}] ${senderLabel(transcript, message.sender)}: ${messageText(message)}`)
+    })
+  })
+
+  return lines.join('\n') + '\n'
+}
+
+// Resolves to the PDF as a Buffer
+export const renderTranscriptPdf = (transcript) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: 'Conversation transcript' } })
+  const chunks = []
+
+  doc.on('data', chunk => chunks.push(chunk))
+  doc.on('end', () => resolve(Buffer.concat(chunks)))
+  doc.on('error', reject)
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Conversation transcript')
+  doc.moveDown(0.5)
+  doc.font('Helvetica').fontSize(10)
+  contactHeader(transcript).forEach(line => doc.text(line))
+
+  transcript.sessions.forEach(session => {
+    doc.moveDown()
+    doc.font('Helvetica-Bold').fontSize(12).text(sessionHeading(session))
+    doc.font('Helvetica').fontSize(10)
+
+    if (session.knowledge.length > 0) {
+      doc.moveDown(0.5).font('Helvetica-Bold').text('Facts')
+      doc.font('Helvetica')
+      session.knowledge.forEach(fact => doc.text(`${fact.key}: ${fact.value}`, { indent: 10 }))
+    }
+
+    if (session.transfer) {
+      doc.moveDown(0.5).font('Helvetica-Bold').text(`Transfer summary (${formatDate(session.transfer.created_at)})`)
+      doc.font('Helvetica').text(session.transfer.summary || '-')
+    }
+
+    if (session.discard) {
+      doc.moveDown(0.5).font('Helvetica-Bold').text(`Discard summary (${formatDate(session.discard.created_at)})`)
+      doc.font('Helvetica').text(session.discard.summary || '-')
+    }
+
+    doc.moveDown(0.5).font('Helvetica-Bold').text('Messages')
+    session.messages.forEach(message => {
+      doc.font('Helvetica-Bold').text(`[${formatDate(message.created_at)}] ${senderLabel(transcript, message.sender)}: `, { continued: true })
+      doc.font('Helvetica').text(messageText(message))
+    })
+  })
+
+  doc.end()
+})
+
+// Send a transcript in the requested format as a file download
+export const sendTranscript = async (res, transcript, format, filename) => {
+  if (format === 'pdf') {
+    res.attachment(`${filename}.pdf`)
+    return res.type('application/pdf').send(await renderTranscriptPdf(transcript))
+  }
+
+  if (format === 'txt') {
+    res.attachment(`${filename}.txt`)
+    return res.type('text/plain; charset=utf-8').send(renderTranscriptText(transcript))
+  }
+
+  res.attachment(`${filename}.json`)
+  res.type('application/json').send(JSON.stringify(transcript, null, 2))
+}
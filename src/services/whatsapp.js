@@ -0,0 +1,95 @@
+// WhatsApp Cloud API client. The base URL is configurable so a local fake
+// server (src/scripts/fakeWhatsAppServer.js) can stand in for Meta's API,
+// and setWhatsAppClient() lets tests swap the whole client.
+
+// Error returned by the WhatsApp Cloud API (or raised when it is unreachable)
+export class WhatsAppError extends Error {
+  constructor(message, { status = 502, code = null } = {}) {
+    super(message)
+    this.name = 'WhatsAppError'
+    this.status = status
+    this.code = code
+  }
+}
+
+export const createWhatsAppClient = ({
+  baseUrl = process.env.WHATSAPP_API_URL || 'https://graph.facebook.com/v19.0',
+  accessToken = process.env.WHATSAPP_ACCESS_TOKEN,
+  fetchImpl = fetch
+} = {}) => {
+  const send = async (url, options = {}) => {
+    let response
+    try {
+      response = await fetchImpl(url, {
+        ...options,
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          ...options.headers
+        }
+      })
+    } catch (error) {
+      throw new WhatsAppError(`WhatsApp API unreachable: ${error.message}`)
+    }
+
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}))
+      throw new WhatsAppError(data.error?.message || `WhatsApp API error (${response.status})`, {
+        code: data.error?.code || null
+      })
+    }
+
+    return response
+  }
+
+  const request = async (path, body) => {
+    const response = await send(`${baseUrl}/${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    })
+
+    return response.json().catch(() => ({}))
+  }
+
+  return {
+    // Send a text message; resolves to the WhatsApp message id (wamid)
+    async sendText({ phoneNumberId, to, text }) {
+      const data = await request(`${phoneNumberId}/messages`, {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to,
+        type: 'text',
+        text: { preview_url: false, body: text }
+      })
+
+      return { id: data.messages?.[0]?.id || null }
+    },
+
+    // Download an inbound media file by its WhatsApp media id
+    async downloadMedia(mediaId) {
+      const metadataResponse = await send(`${baseUrl}/${mediaId}`)
+      const metadata = await metadataResponse.json()
+
+      const fileResponse = await send(metadata.url)
+
+      return {
+        buffer: Buffer.from(await fileResponse.arrayBuffer()),
+        mimeType: metadata.mime_type || fileResponse.headers.get('content-type'),
+        size: metadata.file_size || null
+      }
+    }
+  }
+}
+
+let client = null
+
+export const getWhatsAppClient = () => {
+  if (!client) {
+    client = createWhatsAppClient()
+  }
+  return client
+}
+
+export const setWhatsAppClient = (whatsAppClient) => {
+  client = whatsAppClient
+}
@@ -0,0 +1,229 @@
+import crypto from 'crypto'
+import { query, transaction } from '../config/database.js'
+import { MESSAGE_SENDERS } from '../config/constants.js'
+import { autoAssignSession } from './assignments.js'
+import { refreshContactLeadScores } from './leadScoring.js'
+
+// Check the X-Hub-Signature-256 header against the raw request body
+export const verifyWebhookSignature = (rawBody, signatureHeader, appSecret) => {
+  if (!rawBody || typeof signatureHeader !== 'string' || !signatureHeader.startsWith('sha256=')) {
+    return false
+  }
+
+  const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex')
+  const received = signatureHeader.slice('sha256='.length)
+
+  return received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected))
+}
+
+// Text stored in conversations.content for an inbound message
+const messageContent = (message) => {
+  switch (message.type) {
+    case 'text':
+      return message.text?.body || ''
+    case 'button':
+      return message.button?.text || ''
+    case 'interactive':
+      return message.interactive?.button_reply?.title || message.interactive?.list_reply?.title || ''
+    case 'location':
+      return message.location?.name || message.location?.address || '[location]'
+    default:
+      return message[message.type]?.caption || `[${message.type}]`
+  }
+}
+
+const MEDIA_TYPES = ['image', 'audio', 'video', 'document', 'sticker']
+
+// Metadata stored in conversations.media for media and location messages.
+// The file itself is downloaded lazily by the media proxy route.
+const messageMedia = (message) => {
+  if (MEDIA_TYPES.includes(message.type)) {
+    const media = message[message.type] || {}
+    return {
+      wa_media_id: media.id || null,
+      mime_type: media.mime_type || null,
+      sha256: media.sha256 || null,
+      caption: media.caption || null,
+      filename: media.filename || null,
+      ...(media.voice !== undefined && { voice: media.voice })
+    }
+  }
+
+  if (message.type === 'location') {
+    const location = message.location || {}
+    return {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      name: location.name || null,
+      address: location.address || null,
+      url: location.url || null
+    }
+  }
+
+  return null
+}
+
+const upsertContact = async (client, companyId, waId, profileName) => {
+  // Contacts created before webhook ingestion only have a phone number
+  const existing = await client.query(`
+    SELECT id, name
+    FROM contacts
+    WHERE wa_id = $1 OR (wa_id IS NULL AND phone_number::text = $1)
+    ORDER BY wa_id IS NULL, created_at ASC
+    LIMIT 1
+  `, [waId])
+
+  let contactId
+  if (existing.rows.length > 0) {
+    contactId = existing.rows[0].id
+
+    await client.query(`
+      UPDATE contacts
+      SET wa_id = $1, name = COALESCE(name, $2)
+      WHERE id = $3
+    `, [waId, profileName || null, contactId])
+  } else {
+    const created = await client.query(`
+      INSERT INTO contacts (id, name, phone_number, wa_id, created_at)
+      VALUES ($1, $2, $3, $4, NOW())
+      RETURNING id
+    `, [crypto.randomUUID(), profileName || null, waId, waId])
+    contactId = created.rows[0].id
+  }
+
+  await client.query(`
+    INSERT INTO contact_company (contact_id, company_id)
+    SELECT $1, $2
+    WHERE NOT EXISTS (
+      SELECT 1 FROM contact_company WHERE contact_id = $1 AND company_id = $2
+    )
+  `, [contactId, companyId])
+
+  return contactId
+}
+
+// Resume the contact's latest open session (status 0-2) or open a new one
+const openOrResumeSession = async (client, companyId, contactId) => {
+  const existing = await client.query(`
+    SELECT id
+    FROM sessions
+    WHERE contact_id = $1 AND company_id = $2 AND status IN (0, 1, 2)
+    ORDER BY created_at DESC
+    LIMIT 1
+    FOR UPDATE
+  `, [contactId, companyId])
+
+  if (existing.rows.length > 0) {
+    return existing.rows[0].id
+  }
+
+  const created = await client.query(`
+    INSERT INTO sessions (id, contact_id, company_id, status, created_at)
+    VALUES ($1, $2, $3, 0, NOW())
+    RETURNING id
+  `, [crypto.randomUUID(), contactId, companyId])
+
+  // New conversations follow the company's assignment strategy, if any
+  await autoAssignSession(client, { companyId, sessionId: created.rows[0].id, reason: 'new_session' })
+
+  return created.rows[0].id
+}
+
+const storeInboundMessage = async (companyId, message, profileName) => {
+  return transaction(async (client) => {
+    const duplicate = await client.query('SELECT id FROM conversations WHERE wa_message_id = $1', [message.id])
+    if (duplicate.rows.length > 0) {
+      return null
+    }
+
+    const contactId = await upsertContact(client, companyId, message.from, profileName)
+    const sessionId = await openOrResumeSession(client, companyId, contactId)
+
+    const media = messageMedia(message)
+
+    const result = await client.query(`
+      INSERT INTO conversations (company_id, contact_id, session_id, sender, content, wa_id, wa_message_id, message_type, media, created_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, to_timestamp($10))
+      ON CONFLICT (wa_message_id) WHERE wa_message_id IS NOT NULL DO NOTHING
+      RETURNING id, contact_id
+    `, [companyId, contactId, sessionId, MESSAGE_SENDERS.CONTACT, messageContent(message), message.from, message.id, message.type, media ? JSON.stringify(media) : null, parseInt(message.timestamp)])
+
+    return result.rows[0] || null
+  })
+}
+
+const storeStatus = async (status) => {
+  const error = status.errors?.[0]
+
+  await transaction(async (client) => {
+    await client.query(`
+      INSERT INTO message_status_events (wa_message_id, status, recipient_id, errors, occurred_at)
+      VALUES ($1, $2, $3, $4, to_timestamp($5))
+      ON CONFLICT (wa_message_id, status) DO NOTHING
+    `, [status.id, status.status, status.recipient_id || null, status.errors ? JSON.stringify(status.errors) : null, parseInt(status.timestamp)])
+
+    // Statuses can arrive out of order, so never move a message backwards
+    // (e.g. from read to delivered). A failure always wins.
+    await client.query(`
+      UPDATE conversations
+      SET delivery_status = $2,
+          delivery_status_at = to_timestamp($3),
+          delivery_error_code = $4,
+          delivery_error_message = $5
+      WHERE wa_message_id = $1
+        AND $2 IN ('sent', 'delivered', 'read', 'failed')
+        AND (
+          delivery_status IS NULL
+          OR $2 = 'failed'
+          OR (
+            delivery_status <> 'failed'
+            AND array_position(ARRAY['sent', 'delivered', 'read'], delivery_status)
+              < array_position(ARRAY['sent', 'delivered', 'read'], $2::text)
+          )
+        )
+    `, [status.id, status.status, parseInt(status.timestamp), error?.code || null, error?.title || error?.message || null])
+  })
+}
+
+// Process a WhatsApp Cloud API webhook payload; returns what was stored
+export const ingestWebhook = async (payload) => {
+  const summary = { messages: 0, statuses: 0, skipped: 0 }
+
+  for (const entry of payload.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {}
+
+      if (change.field !== 'messages' || !value.metadata?.phone_number_id) {
+        continue
+      }
+
+      const companyResult = await query('SELECT id FROM companies WHERE phone_number_id = $1', [value.metadata.phone_number_id])
+      const company = companyResult.rows[0]
+
+      if (!company) {
+        console.warn('WhatsApp webhook for unknown phone_number_id:', value.metadata.phone_number_id)
+        summary.skipped += (value.messages?.length || 0) + (value.statuses?.length || 0)
+        continue
+      }
+
+      const profiles = new Map((value.contacts || []).map(contact => [contact.wa_id, contact.profile?.name]))
+
+      for (const message of value.messages || []) {
+        const stored = await storeInboundMessage(company.id, message, profiles.get(message.from))
+        stored ? summary.messages++ : summary.skipped++
+
+        if (stored) {
+          await refreshContactLeadScores(company.id, stored.contact_id)
+        }
+      }
+
+      for (const status of value.statuses || []) {
+        await storeStatus(status)
+        summary.statuses++
+      }
+    }
+  }
+
+  return summary
+}
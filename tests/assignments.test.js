@@ -0,0 +1,83 @@
+import { jest, describe, expect, test } from '@jest/globals'
+import { createFakeClient, mockDatabase } from './helpers/fakeDb.js'
+
+const db = mockDatabase(jest)
+
+const { assignSession } = await import('../src/services/assignments.js')
+const { runBulkAction } = await import('../src/services/bulkActions.js')
+
+const ANA = 'aaaaaaaa-0000-4000-8000-000000000001'
+const RUI = 'aaaaaaaa-0000-4000-8000-000000000002'
+const EVA = 'aaaaaaaa-0000-4000-8000-000000000003'
+
+// A company's members and the owners of its sessions. last_assigned_at
+// behaves like in Postgres: NOW() is the same for the whole transaction and
+// clock_timestamp() moves on with every call.
+const companyWithMembers = (userIds, owners = {}) => {
+  const members = userIds.map((userId, index) => ({ user_id: userId, created_at: index, last_assigned_at: null }))
+  const transactionStart = 1
+  let clock = 1
+
+  // ORDER BY last_assigned_at ASC NULLS FIRST, created_at ASC
+  const nextInLine = (a, b) => (a.last_assigned_at ?? -Infinity) - (b.last_assigned_at ?? -Infinity) || a.created_at - b.created_at
+
+  return createFakeClient([
+    [/SELECT user_id\s+FROM company_users/, () => [...members].sort(nextInLine).slice(0, 1)],
+    [/SELECT assigned_user_id\s+FROM sessions/, ([sessionId]) => [{ assigned_user_id: owners[sessionId] || null }]],
+    [/UPDATE sessions/, ([sessionId, userId]) => {
+      owners[sessionId] = userId
+      return []
+    }],
+    [/UPDATE company_users/, ([, userId], sql) => {
+      members.find(member => member.user_id === userId).last_assigned_at = /clock_timestamp\(\)/.test(sql) ? ++clock : transactionStart
+      return []
+    }],
+    [/INSERT INTO session_assignments/, ([, sessionId, fromUserId, toUserId, strategy]) => [
+      { session_id: sessionId, from_user_id: fromUserId, to_user_id: toUserId, strategy }
+    ]]
+  ])
+}
+
+describe('bulk round-robin assignment', () => {
+  test('spreads the sessions across the members', async () => {
+    db.use(companyWithMembers([ANA, RUI, EVA]))
+    const items = ['s1', 's2', 's3', 's4', 's5', 's6'].map(id => ({ id, session_id: id }))
+
+    const report = await runBulkAction({ companyId: 3, user: { id: ANA } }, {
+      action: 'assign',
+      prepared: { user_id: null, strategy: 'round_robin', reason: null },
+      items
+    })
+
+    expect(report.updated).toBe(6)
+    expect(report.results.map(result => result.data.to_user_id)).toEqual([ANA, RUI, EVA, ANA, RUI, EVA])
+  })
+})
+
+describe('assignSession', () => {
+  test('treats the current owner in another case as unchanged', async () => {
+    const client = companyWithMembers([ANA], { s1: ANA })
+
+    const assignment = await assignSession(client, { companyId: 3, sessionId: 's1', userId: ANA.toUpperCase() })
+
+    expect(assignment).toBeNull()
+    expect(client.callsMatching(/INSERT INTO session_assignments/)).toHaveLength(0)
+  })
+
+  test('records the previous owner', async () => {
+    const client = companyWithMembers([ANA, RUI], { s1: ANA })
+
+    const assignment = await assignSession(client, { companyId: 3, sessionId: 's1', userId: RUI, reason: 'Holidays' })
+
+    expect(assignment).toMatchObject({ from_user_id: ANA, to_user_id: RUI, strategy: 'manual' })
+  })
+
+  test('unassigns a session', async () => {
+    const client = companyWithMembers([ANA], { s1: ANA })
+
+    const assignment = await assignSession(client, { companyId: 3, sessionId: 's1', userId: null })
+
+    expect(assignment).toMatchObject({ from_user_id: ANA, to_user_id: null })
+    expect(client.callsMatching(/UPDATE company_users/)).toHaveLength(0)
+  })
+})
@@ -0,0 +1,68 @@
+import { jest, describe, expect, test } from '@jest/globals'
+import { createFakeClient, mockDatabase } from './helpers/fakeDb.js'
+
+const db = mockDatabase(jest)
+
+const { runBulkAction } = await import('../src/services/bulkActions.js')
+
+const req = { companyId: 3, user: { id: 'user-1' } }
+
+const pgError = (message, code) => Object.assign(new Error(message), { code })
+
+// Tag inserts that fail with the given error, by session id
+const sessionsFailingWith = (errors) => db.use(createFakeClient([
+  [/INSERT INTO session_tags/, ([sessionId, tagIds]) => {
+    if (errors[sessionId]) {
+      throw errors[sessionId]
+    }
+    return tagIds.map(tagId => ({ tag_id: tagId }))
+  }]
+]))
+
+const tagAll = (items, options = {}) => runBulkAction(req, {
+  action: 'tag',
+  prepared: { tags: [{ id: 1, slug: 'hot' }] },
+  items: items.map(id => ({ id, session_id: id })),
+  ...options
+})
+
+describe('runBulkAction', () => {
+  test('reports a failing item and carries on with the others', async () => {
+    const client = sessionsFailingWith({ s2: pgError('insert or update on table "session_tags" violates foreign key constraint', '23503') })
+
+    const report = await tagAll(['s1', 's2', 's3'])
+
+    expect(report).toMatchObject({ total: 3, updated: 2, failed: 1, rolled_back: false })
+    expect(report.results.map(result => result.result)).toEqual(['updated', 'failed', 'updated'])
+    expect(report.results[1].error).toContain('foreign key')
+    expect(client.callsMatching(/ROLLBACK TO SAVEPOINT bulk_item/)).toHaveLength(1)
+  })
+
+  test('reports errors of our own services per item', async () => {
+    sessionsFailingWith({ s1: Object.assign(new Error('Session is already discarded'), { status: 409 }) })
+
+    const report = await tagAll(['s1', 's2'])
+
+    expect(report.results.map(result => result.result)).toEqual(['failed', 'updated'])
+  })
+
+  test('rolls everything back with allOrNothing', async () => {
+    const client = sessionsFailingWith({ s2: pgError('duplicate key value violates unique constraint', '23505') })
+
+    const report = await tagAll(['s1', 's2'], { allOrNothing: true })
+
+    expect(report).toMatchObject({ updated: 0, failed: 1, rolled_back: true })
+    expect(report.results.map(result => result.result)).toEqual(['rolled_back', 'failed'])
+    expect(client.callsMatching(/ROLLBACK TO SAVEPOINT bulk_start/)).toHaveLength(1)
+  })
+
+  test.each([
+    ['a lost connection', new Error('Connection terminated unexpectedly')],
+    ['a serialization failure', pgError('could not serialize access', '40001')],
+    ['an aborted transaction', pgError('current transaction is aborted', '25P02')]
+  ])('aborts the batch on %s', async (label, error) => {
+    sessionsFailingWith({ s2: error })
+
+    await expect(tagAll(['s1', 's2', 's3'])).rejects.toBe(error)
+  })
+})
@@ -0,0 +1,139 @@
+import { jest, describe, expect, test, beforeEach } from '@jest/globals'
+import { createFakeClient, mockDatabase, silenceConsole } from './helpers/fakeDb.js'
+
+const db = mockDatabase(jest)
+
+const { retryDelaySeconds, enqueueCrmSync, syncTransferNow, processCrmSyncJobs } = await import('../src/services/crmSync.js')
+const { createFakeCrmConnector, setCrmConnector } = await import('../src/services/crm.js')
+
+const transferRow = (overrides = {}) => ({
+  id: 11, summary: 'Wants a test drive', zoho_id: null,
+  lead_id: 'lead-1', name: 'Ana Silva', email: 'ana@example.com', phone_number: '912345678', location: 'Porto', lead_source: 'website', channel: 'whatsapp',
+  ...overrides
+})
+
+const job = (overrides = {}) => ({ id: 1, transfer_id: '11', attempts: 0, max_attempts: 8, ...overrides })
+
+// The outbox as the sync sees it: the jobs it claims and the transfers, by id
+const outbox = (jobs, transfers = { 11: transferRow() }) => db.use(createFakeClient([
+  [/SET status = 'processing'/, () => jobs],
+  [/FROM transferred_leads tl/, ([transferId]) => transfers[transferId] ? [transfers[transferId]] : []]
+]))
+
+const failureUpdate = (client) => client.callsMatching(/SET status = \$2/)[0]
+
+let crm
+
+beforeEach(() => {
+  crm = createFakeCrmConnector()
+  setCrmConnector(crm)
+  silenceConsole(jest)
+})
+
+describe('retryDelaySeconds', () => {
+  test('doubles from one minute and caps at six hours', () => {
+    expect([1, 2, 3, 4].map(retryDelaySeconds)).toEqual([60, 120, 240, 480])
+    expect(retryDelaySeconds(20)).toBe(6 * 3600)
+  })
+})
+
+describe('syncTransferNow', () => {
+  test('pushes the lead and marks the job synced', async () => {
+    const client = outbox([job()])
+
+    const outcome = await syncTransferNow(11)
+
+    expect(outcome).toEqual({ transfer_id: '11', sync_status: 'synced', zoho_id: crm.leads[0].id })
+    expect(crm.leads[0]).toMatchObject({ lead_id: 'lead-1', name: 'Ana Silva', summary: 'Wants a test drive' })
+    expect(client.callsMatching(/UPDATE transferred_leads SET zoho_id/)[0].params).toEqual(['11', crm.leads[0].id])
+    expect(client.callsMatching(/SET status = 'synced'/)[0].params).toEqual([1])
+  })
+
+  test('does not push a transfer that already has a CRM id', async () => {
+    outbox([job()], { 11: transferRow({ zoho_id: 'zoho-9' }) })
+
+    const outcome = await syncTransferNow(11)
+
+    expect(outcome.zoho_id).toBe('zoho-9')
+    expect(crm.leads).toHaveLength(0)
+  })
+
+  test('backs off when the CRM rejects the lead', async () => {
+    const client = outbox([job({ attempts: 2 })], { 11: transferRow({ phone_number: '912345000' }) })
+
+    const outcome = await syncTransferNow(11)
+
+    expect(outcome).toEqual({ transfer_id: '11', sync_status: 'failed', attempts: 3, error: 'Fake CRM rejected the lead' })
+    expect(failureUpdate(client).params).toEqual([1, 'pending', 3, retryDelaySeconds(3), 'Fake CRM rejected the lead'])
+    expect(client.callsMatching(/SET status = 'synced'/)).toHaveLength(0)
+  })
+
+  test('dead-letters the job on its last attempt', async () => {
+    const client = outbox([job({ attempts: 7 })], { 11: transferRow({ phone_number: '912345000' }) })
+
+    const outcome = await syncTransferNow(11)
+
+    expect(outcome).toMatchObject({ sync_status: 'dead', attempts: 8 })
+    expect(failureUpdate(client).params.slice(0, 3)).toEqual([1, 'dead', 8])
+  })
+
+  test('dead-letters the job of a transfer that no longer exists', async () => {
+    outbox([job()], {})
+
+    const outcome = await syncTransferNow(11)
+
+    expect(outcome).toMatchObject({ sync_status: 'dead', attempts: 1, error: 'Transferred lead no longer exists' })
+  })
+
+  test('resolves to null when the transfer has no pending job', async () => {
+    const client = outbox([])
+
+    expect(await syncTransferNow(11)).toBeNull()
+    expect(client.callsMatching(/FROM transferred_leads tl/)).toHaveLength(0)
+  })
+})
+
+describe('processCrmSyncJobs', () => {
+  test('summarizes the outcome of each claimed job', async () => {
+    const transfers = {
+      11: transferRow(),
+      12: transferRow({ id: 12, lead_id: 'lead-2', phone_number: '910000000' }),
+      13: transferRow({ id: 13, lead_id: 'lead-3', phone_number: '930000000' })
+    }
+    const client = outbox([
+      job(),
+      job({ id: 2, transfer_id: '12' }),
+      job({ id: 3, transfer_id: '13', attempts: 7 })
+    ], transfers)
+
+    const summary = await processCrmSyncJobs({ limit: 10 })
+
+    expect(summary).toMatchObject({ processed: 3, synced: 1, failed: 1, dead: 1 })
+    expect(summary.jobs.map(job => job.sync_status)).toEqual(['synced', 'failed', 'dead'])
+    expect(client.callsMatching(/SET status = 'processing'/)[0].params[0]).toBe(10)
+  })
+})
+
+describe('enqueueCrmSync', () => {
+  test('queues a job for the transfer with the connector in use', async () => {
+    const client = createFakeClient([
+      [/INSERT INTO crm_sync_jobs/, ([, transferId]) => [{ id: 1, transfer_id: transferId, status: 'pending', attempts: 0 }]]
+    ])
+
+    const job = await enqueueCrmSync(client, { companyId: 3, transferId: 11 })
+
+    expect(job).toMatchObject({ transfer_id: '11', status: 'pending' })
+    expect(client.calls[0].params.slice(0, 3)).toEqual([3, '11', 'fake'])
+    expect(client.callsMatching(/SELECT id, transfer_id/)).toHaveLength(0)
+  })
+
+  test('returns a job that is being pushed as it is', async () => {
+    const client = createFakeClient([
+      [/SELECT id, transfer_id/, () => [{ id: 1, transfer_id: '11', status: 'processing', attempts: 1 }]]
+    ])
+
+    const job = await enqueueCrmSync(client, { companyId: 3, transferId: 11 })
+
+    expect(job).toMatchObject({ status: 'processing', attempts: 1 })
+  })
+})
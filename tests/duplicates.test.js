@@ -0,0 +1,176 @@
+import { jest, describe, expect, test } from '@jest/globals'
+import { createFakeClient, mockDatabase } from './helpers/fakeDb.js'
+
+const db = mockDatabase(jest)
+
+const { findDuplicates, mergeLeads, mergeContacts, DuplicateMergeError, MERGE_MAX_DUPLICATES } = await import('../src/services/duplicates.js')
+
+const LEADS = {
+  a: { id: 'a', name: 'Ana Silva', phone_number: '+351 912 345 678', created_at: '2024-01-01' },
+  b: { id: 'b', name: 'Ana Silva', phone_number: '912345678', created_at: '2024-02-01' },
+  c: { id: 'c', name: 'Ana M. Silva', phone_number: null, created_at: '2024-03-01' },
+  d: { id: 'd', name: 'Rui Costa', email: 'rui+cars@example.com', created_at: '2024-01-05' },
+  e: { id: 'e', name: 'R. Costa', email: 'rui@example.com', created_at: '2024-01-06' }
+}
+
+// The groups query answering with one page of [ids, matched_on] groups, and
+// the records of that page
+const groupsPage = (page, total = page.length) => db.use(createFakeClient([
+  [/WITH groups AS/, () => page.length > 0
+    ? page.map(([ids, matchedOn]) => ({ total: String(total), ids, matched_on: matchedOn }))
+    : [{ total: String(total), ids: null, matched_on: null }]],
+  [/FROM contacts ct/, ([, ids]) => ids.map(id => ({ ...LEADS[id], session_count: '2', lead_count: '1' }))],
+  [/FROM leads l/, ([, ids]) => ids.map(id => LEADS[id])]
+]))
+
+const groupsQuery = (client) => client.callsMatching(/WITH groups AS/)[0]
+
+describe('findDuplicates', () => {
+  test('maps each group to its records with the oldest as survivor', async () => {
+    groupsPage([
+      [['a', 'b', 'c'], ['name', 'phone']],
+      [['d', 'e'], ['email']]
+    ])
+
+    const result = await findDuplicates(3)
+
+    expect(result.total).toBe(2)
+    expect(result.groups).toEqual([
+      { matched_on: ['phone', 'name'], suggested_survivor_id: 'a', records: [LEADS.a, LEADS.b, LEADS.c] },
+      { matched_on: ['email'], suggested_survivor_id: 'd', records: [LEADS.d, LEADS.e] }
+    ])
+  })
+
+  test('loads the records of the page once', async () => {
+    const client = groupsPage([
+      [['a', 'b'], ['phone']],
+      [['a', 'c'], ['name']]
+    ])
+
+    await findDuplicates(3)
+
+    const loads = client.callsMatching(/FROM leads l/)
+    expect(loads).toHaveLength(1)
+    expect(loads[0].params).toEqual([3, ['a', 'b', 'c']])
+  })
+
+  test('pages in the query', async () => {
+    const client = groupsPage([[['d', 'e'], ['email']]], 41)
+
+    const result = await findDuplicates(3, { limit: 20, offset: 40 })
+
+    expect(result.total).toBe(41)
+    expect(result.groups).toHaveLength(1)
+    expect(groupsQuery(client).params).toEqual([3, 20, 40])
+  })
+
+  test('sets the name similarity for the query', async () => {
+    const client = groupsPage([])
+
+    await findDuplicates(3, { nameSimilarity: 0.8 })
+
+    expect(client.callsMatching(/pg_trgm.similarity_threshold/)[0].params).toEqual(['0.8'])
+  })
+
+  test('only matches on the requested criteria', async () => {
+    const client = groupsPage([])
+
+    await findDuplicates(3, { match: ['phone'] })
+
+    const { sql } = groupsQuery(client)
+    expect(sql).toContain("'phone' as matched_on")
+    expect(sql).not.toContain("'email' as matched_on")
+    expect(sql).not.toContain("'name' as matched_on")
+  })
+
+  test('scopes contacts through contact_company', async () => {
+    const client = groupsPage([[['a', 'b'], ['phone']]])
+
+    const result = await findDuplicates(3, { type: 'contacts' })
+
+    expect(groupsQuery(client).sql).toContain('cc.company_id = $1')
+    expect(result.groups[0].records[0]).toMatchObject({ id: 'a', session_count: 2, lead_count: 1 })
+  })
+
+  test('resolves to no groups when nothing matches', async () => {
+    groupsPage([])
+
+    expect(await findDuplicates(3)).toEqual({ total: 0, groups: [] })
+  })
+})
+
+describe('mergeLeads', () => {
+  const req = { user: { id: 'user-1' } }
+
+  // The leads the merge locks, as the database returns them
+  const leadsToMerge = (leads) => createFakeClient([
+    [/FROM leads\s+WHERE id::text = ANY/, () => leads],
+    [/UPDATE transferred_leads/, () => [{}]],
+    [/UPDATE leads\s+SET contact_id/, ([id, contactId, name, email]) => [{ id, contact_id: contactId, name, email }]]
+  ])
+
+  test('folds the duplicates into the survivor', async () => {
+    const client = leadsToMerge([
+      { id: 'a', company_id: 3, contact_id: null, name: null },
+      { id: 'b', company_id: 3, contact_id: 'ct-1', name: 'Ana Silva', email: 'ana@example.com' }
+    ])
+
+    const merge = await mergeLeads(client, req, { survivorId: 'a', duplicateIds: ['b'] })
+
+    expect(merge).toMatchObject({
+      lead: { id: 'a', contact_id: 'ct-1', name: 'Ana Silva', email: 'ana@example.com' },
+      merged_lead_ids: ['b'],
+      moved: { transferred_leads: 1, discarded_leads: 0 },
+      contact_merge: null
+    })
+    expect(client.callsMatching(/DELETE FROM leads/)[0].params).toEqual([['b']])
+    expect(client.callsMatching(/INSERT INTO audit_log/)).toHaveLength(1)
+  })
+
+  test('rejects leads of another company', async () => {
+    const client = leadsToMerge([
+      { id: 'a', company_id: 3 },
+      { id: 'b', company_id: 4 }
+    ])
+
+    await expect(mergeLeads(client, req, { survivorId: 'a', duplicateIds: ['b'] }))
+      .rejects.toMatchObject({ status: 404, message: 'Leads not found in this company: b' })
+    expect(client.callsMatching(/DELETE/)).toHaveLength(0)
+  })
+
+  test.each([
+    [[], 'Between 1 and'],
+    [Array.from({ length: MERGE_MAX_DUPLICATES + 1 }, (_, index) => `lead-${index}`), 'Between 1 and'],
+    [['b', 'A'], 'cannot be merged into itself']
+  ])('rejects the duplicate ids %j', async (duplicateIds, message) => {
+    const client = leadsToMerge([])
+
+    const merge = mergeLeads(client, req, { survivorId: 'a', duplicateIds })
+
+    await expect(merge).rejects.toThrow(DuplicateMergeError)
+    await expect(merge).rejects.toThrow(message)
+    expect(client.calls).toHaveLength(0)
+  })
+})
+
+describe('mergeContacts', () => {
+  test('deletes the duplicates no other company uses', async () => {
+    const client = createFakeClient([
+      [/FROM contacts ct\s+JOIN contact_company/, () => [
+        { id: 'ct-1', name: 'Ana Silva', email: null },
+        { id: 'ct-2', name: 'Ana', email: 'ana@example.com' },
+        { id: 'ct-3', name: 'Ana S.', email: 'ana.s@example.com' }
+      ]],
+      [/DELETE FROM contacts/, () => [{ id: 'ct-3' }]],
+      [/UPDATE contacts/, ([id, name, email]) => [{ id, name, email }]]
+    ])
+
+    const merge = await mergeContacts(client, { user: { id: 'user-1' } }, { companyId: 3, survivorId: 'ct-1', duplicateIds: ['ct-2', 'ct-3'] })
+
+    expect(merge.merged_contact_ids).toEqual(['ct-2', 'ct-3'])
+    expect(merge.deleted_contact_ids).toEqual(['ct-3'])
+    // Only deleted contacts fill the survivor's gaps
+    expect(client.callsMatching(/UPDATE contacts/)[0].params.slice(0, 3)).toEqual(['ct-1', 'Ana S.', 'ana.s@example.com'])
+    expect(client.callsMatching(/UPDATE sessions SET contact_id/)[0].params).toEqual(['ct-1', ['ct-2', 'ct-3'], 3])
+  })
+})
@@ -0,0 +1,53 @@
+// Test doubles for src/config/database.js. Services get a fake pg client
+// whose answers come from handlers; nothing touches Postgres.
+
+const DATABASE_MODULE = new URL('../../src/config/database.js', import.meta.url).pathname
+
+// Stand-in for a pg client. Each handler is [pattern, (params, sql) => rows]:
+// the first pattern found in the SQL answers the query, anything else
+// resolves to no rows. Every query is kept in client.calls.
+export const createFakeClient = (handlers = []) => {
+  const calls = []
+
+  return {
+    calls,
+
+    async query(sql, params = []) {
+      calls.push({ sql, params })
+      const handler = handlers.find(([pattern]) => pattern.test(sql))
+      const rows = handler ? await handler[1](params, sql) : []
+      return { rows, rowCount: rows.length }
+    },
+
+    // Queries whose SQL matches the pattern
+    callsMatching(pattern) {
+      return calls.filter(call => pattern.test(call.sql))
+    }
+  }
+}
+
+// Mock the database module for the calling test file, before the services
+// are imported. query() and transaction() both run on the client passed to
+// use(), which returns it.
+export const mockDatabase = (jest) => {
+  let client = null
+
+  jest.unstable_mockModule(DATABASE_MODULE, () => ({
+    query: (sql, params) => client.query(sql, params),
+    transaction: (callback) => callback(client)
+  }))
+
+  return {
+    use(fakeClient) {
+      client = fakeClient
+      return client
+    }
+  }
+}
+
+// Keep the services' progress logs out of the test output
+export const silenceConsole = (jest, methods = ['log', 'warn', 'error']) => {
+  for (const method of methods) {
+    jest.spyOn(console, method).mockImplementation(() => {})
+  }
+}
@@ -0,0 +1,143 @@
+import { describe, expect, test } from '@jest/globals'
+import { computeLeadScore, parseBudgetAmount, resolveScoringConfig, validateScoringConfig } from '../src/services/leadScoring.js'
+
+const config = resolveScoringConfig()
+
+const signals = (facts = {}, { contactMessages = 0, medianReplySeconds = null } = {}) => ({
+  facts: Object.entries(facts).map(([key, value]) => ({ key, value })),
+  contactMessages,
+  medianReplySeconds
+})
+
+const factor = (result, name) => result.factors.find(entry => entry.factor === name)
+
+describe('parseBudgetAmount', () => {
+  test.each([
+    ['30000', 30000],
+    ['30.000 €', 30000],
+    ['30,000', 30000],
+    ['30 000 euros', 30000],
+    ['30k', 30000],
+    ['30 mil', 30000],
+    ['1,5 milhões', 1500000],
+    ['entre 20 e 25 mil', 25000],
+    ['até 12.500,50€', 12500.5]
+  ])('reads "%s" as %d', (value, amount) => {
+    expect(parseBudgetAmount(value)).toBe(amount)
+  })
+
+  test('resolves to null for answers without an amount', () => {
+    expect(parseBudgetAmount('flexível')).toBeNull()
+  })
+})
+
+describe('computeLeadScore', () => {
+  test('gives a lead without signals only the source points', () => {
+    const result = computeLeadScore({ lead_source: 'referral' }, signals(), config)
+
+    expect(result.score).toBe(10)
+    expect(factor(result, 'budget')).toEqual({ factor: 'budget', points: 0, max_points: 25, detail: 'No budget known' })
+    expect(factor(result, 'responsiveness').detail).toBe('Has not replied yet')
+  })
+
+  test('gives a hot lead the full score', () => {
+    const result = computeLeadScore(
+      { lead_source: 'referral' },
+      signals({ orcamento: '35 mil', prazo: 'esta semana', financiamento: 'sim' }, { contactMessages: 12, medianReplySeconds: 120 }),
+      config
+    )
+
+    expect(result.score).toBe(100)
+    expect(result.factors.every(entry => entry.points === entry.max_points)).toBe(true)
+  })
+
+  test.each([
+    ['35000', 25],
+    ['20 mil', 17.5],
+    ['8000€', 10],
+    ['2000', 5],
+    ['flexível', 12.5],
+    ['sem orçamento', 0],
+    ['não', 0]
+  ])('scores the budget "%s" by its amount', (budget, points) => {
+    const result = computeLeadScore({}, signals({ budget }), config)
+
+    expect(factor(result, 'budget').points).toBe(points)
+  })
+
+  test.each([
+    ['sim, com crédito', 10],
+    ['talvez', 5],
+    ['não precisa', 0],
+    ['sem financiamento', 0]
+  ])('scores the financing answer "%s"', (financing, points) => {
+    const result = computeLeadScore({}, signals({ financing }), config)
+
+    expect(factor(result, 'financing').points).toBe(points)
+  })
+
+  test('finds facts under accented keys and catalogue aliases', () => {
+    const catalogue = [{ key: 'budget', aliases: ['price_range'] }]
+
+    const accented = computeLeadScore({}, signals({ orçamento: '35 mil' }), config)
+    const aliased = computeLeadScore({}, { ...signals({ price_range: '35 mil' }), catalogue }, config)
+
+    expect(factor(accented, 'budget').points).toBe(25)
+    expect(factor(aliased, 'budget')).toMatchObject({ points: 25, detail: 'Budget: 35 mil' })
+  })
+
+  test.each([
+    ['agora', 20],
+    ['já', 20],
+    ['próxima semana', 16],
+    ['daqui a 3 meses', 12],
+    ['para o ano', 6],
+    ["don't know", 10],
+    ['não sei, janeiro talvez', 10]
+  ])('scores the timeframe "%s"', (timeframe, points) => {
+    const result = computeLeadScore({}, signals({ timeframe }), config)
+
+    expect(factor(result, 'timeframe').points).toBe(points)
+  })
+
+  test('scales engagement and responsiveness', () => {
+    const result = computeLeadScore({}, signals({}, { contactMessages: 5, medianReplySeconds: 2 * 3600 }), config)
+
+    expect(factor(result, 'engagement').points).toBe(10)
+    expect(factor(result, 'responsiveness')).toMatchObject({ points: 6, detail: 'Replies in 2 h (median)' })
+  })
+
+  test('falls back to the channel and then the default source score', () => {
+    expect(factor(computeLeadScore({ lead_source: 'fair', channel: 'whatsapp' }, signals(), config), 'source').points).toBe(7)
+    expect(factor(computeLeadScore({ lead_source: 'fair' }, signals(), config), 'source').points).toBe(5)
+  })
+
+  test('follows company overrides', () => {
+    const companyConfig = resolveScoringConfig({
+      weights: { budget: 1, timeframe: 0, financing: 0, engagement: 0, responsiveness: 0, source: 0 },
+      knowledge_keys: { budget: ['verba'] },
+      budget_thresholds: [{ min_amount: 100000, score: 1 }]
+    })
+
+    const result = computeLeadScore({}, signals({ verba: '50 mil' }), companyConfig)
+
+    expect(result.factors.map(entry => entry.factor)).toEqual(['budget'])
+    expect(result.score).toBe(20)
+  })
+})
+
+describe('validateScoringConfig', () => {
+  test('accepts the defaults', () => {
+    expect(() => validateScoringConfig({})).not.toThrow()
+  })
+
+  test.each([
+    [{ weights: { luck: 10 } }, 'Unknown scoring factor "luck"'],
+    [{ weights: { budget: 0, timeframe: 0, financing: 0, engagement: 0, responsiveness: 0, source: 0 } }, 'At least one factor'],
+    [{ budget_thresholds: [{ min_amount: 1000, score: 2 }] }, 'budget_thresholds'],
+    [{ budget_unquantified_score: -1 }, 'Budget scores'],
+    [{ engagement_target_messages: 0 }, 'engagement_target_messages']
+  ])('rejects %j', (overrides, message) => {
+    expect(() => validateScoringConfig(overrides)).toThrow(message)
+  })
+})
@@ -0,0 +1,114 @@
+import { jest, describe, expect, test, beforeEach } from '@jest/globals'
+import { createFakeClient, mockDatabase, silenceConsole } from './helpers/fakeDb.js'
+
+const db = mockDatabase(jest)
+
+const autoAssignSession = jest.fn()
+
+jest.unstable_mockModule('../src/services/assignments.js', () => ({ autoAssignSession }))
+
+const { transferLead, LeadTransferError } = await import('../src/services/leadTransfers.js')
+const { createFakeCrmConnector, setCrmConnector } = await import('../src/services/crm.js')
+const { SESSION_STATUSES } = await import('../src/config/constants.js')
+
+const req = { user: { id: 'user-1', email: 'ana@example.com' } }
+
+const LEAD = { id: 'lead-1', contact_id: 'contact-1', company_id: 3, name: 'Rui Costa', phone_number: '912345678' }
+
+// A lead whose contact has a qualifying session, answering every query of a
+// transfer and of its first CRM sync attempt
+const leadForTransfer = ({ lead = LEAD, session = { id: 'session-1', assigned_user_id: 'user-2' }, alreadyTransferred = false } = {}) => {
+  let transfer = null
+
+  return createFakeClient([
+    [/FROM leads\s+WHERE id = \$1/, () => lead ? [lead] : []],
+    [/SELECT id FROM transferred_leads WHERE lead_id/, () => alreadyTransferred ? [{ id: 1 }] : []],
+    [/FROM sessions\s+WHERE contact_id/, () => session ? [session] : []],
+    [/FROM sessions s/, ([id]) => [{ id, status: SESSION_STATUSES.QUALIFYING, company_id: lead.company_id, description: 'Qualificando', allowed_next_statuses: [1, 3, 4, 5] }]],
+    [/FROM qualification_statuses/, ([id]) => [{ id, description: 'Transferido' }]],
+    [/UPDATE sessions/, ([id, status]) => [{ id, status }]],
+    [/INSERT INTO transferred_leads/, ([leadId, summary, contactId, sessionId, companyId]) => {
+      transfer = { id: 11, lead_id: leadId, summary, contact_id: contactId, session_id: sessionId, company_id: companyId, zoho_id: null }
+      return [transfer]
+    }],
+    [/INSERT INTO crm_sync_jobs/, ([, transferId]) => [{ id: 1, transfer_id: transferId, status: 'pending', attempts: 0 }]],
+    [/SET status = 'processing'/, ([transferId]) => [{ id: 1, transfer_id: transferId, attempts: 0, max_attempts: 8 }]],
+    [/FROM transferred_leads tl/, () => [{ ...transfer, lead_id: lead.id, name: lead.name, phone_number: lead.phone_number }]]
+  ])
+}
+
+let crm
+
+beforeEach(() => {
+  crm = createFakeCrmConnector()
+  setCrmConnector(crm)
+  autoAssignSession.mockReset()
+  silenceConsole(jest)
+})
+
+describe('transferLead', () => {
+  test('transfers the lead and pushes it to the CRM', async () => {
+    const client = db.use(leadForTransfer())
+
+    const transfer = await transferLead(req, { leadId: 'lead-1', summary: 'Ready to buy' })
+
+    expect(transfer).toMatchObject({
+      id: 11,
+      lead_id: 'lead-1',
+      session_id: 'session-1',
+      summary: 'Ready to buy',
+      assigned_user_id: 'user-2',
+      sync_status: 'synced',
+      zoho_id: crm.leads[0].id,
+      sync_error: null
+    })
+    expect(crm.leads[0]).toMatchObject({ lead_id: 'lead-1', summary: 'Ready to buy' })
+    expect(client.callsMatching(/UPDATE sessions/)[0].params).toEqual(['session-1', SESSION_STATUSES.TRANSFERRED])
+    expect(client.callsMatching(/INSERT INTO audit_log/)).toHaveLength(1)
+    expect(autoAssignSession).not.toHaveBeenCalled()
+  })
+
+  test('keeps the transfer when the CRM push fails', async () => {
+    const client = db.use(leadForTransfer({ lead: { ...LEAD, phone_number: '912345000' } }))
+
+    const transfer = await transferLead(req, { leadId: 'lead-1', summary: 'Ready to buy' })
+
+    expect(transfer).toMatchObject({ id: 11, zoho_id: null, sync_status: 'failed', sync_error: 'Fake CRM rejected the lead' })
+    expect(crm.leads).toHaveLength(0)
+    expect(client.callsMatching(/UPDATE crm_sync_jobs\s+SET status = \$2/)[0].params.slice(0, 3)).toEqual([1, 'pending', 1])
+  })
+
+  test('assigns an owner to a session that has none', async () => {
+    const client = db.use(leadForTransfer({ session: { id: 'session-1', assigned_user_id: null } }))
+    autoAssignSession.mockResolvedValue({ to_user_id: 'user-3' })
+
+    const transfer = await transferLead(req, { leadId: 'lead-1', summary: 'Ready to buy' })
+
+    expect(autoAssignSession).toHaveBeenCalledWith(client, { companyId: 3, sessionId: 'session-1', reason: 'transfer', assignedBy: 'user-1' })
+    expect(transfer.assigned_user_id).toBe('user-3')
+  })
+
+  test('rejects a missing lead with a 404', async () => {
+    db.use(leadForTransfer({ lead: null }))
+
+    await expect(transferLead(req, { leadId: 'lead-1', summary: 'Ready to buy' }))
+      .rejects.toMatchObject({ name: 'LeadTransferError', status: 404 })
+  })
+
+  test('rejects a lead that was already transferred', async () => {
+    const client = db.use(leadForTransfer({ alreadyTransferred: true }))
+
+    const transfer = transferLead(req, { leadId: 'lead-1', summary: 'Ready to buy' })
+
+    await expect(transfer).rejects.toThrow(LeadTransferError)
+    await expect(transfer).rejects.toMatchObject({ status: 409, message: 'Lead has already been transferred' })
+    expect(client.callsMatching(/INSERT INTO transferred_leads/)).toHaveLength(0)
+  })
+
+  test('rejects a lead without a session', async () => {
+    db.use(leadForTransfer({ session: null }))
+
+    await expect(transferLead(req, { leadId: 'lead-1', summary: 'Ready to buy' }))
+      .rejects.toMatchObject({ status: 409, message: 'Lead has no session to transfer' })
+  })
+})
@@ -0,0 +1,95 @@
+import { describe, expect, test } from '@jest/globals'
+import { changeSessionStatus, SessionStatusError } from '../src/services/sessionStatus.js'
+import { SESSION_STATUSES } from '../src/config/constants.js'
+import { createFakeClient } from './helpers/fakeDb.js'
+
+// qualification_statuses as left by migrations 017 and 023
+const STATUSES = {
+  0: { description: 'Novo', allowed_next_statuses: [1, 2, 3, 4, 5] },
+  1: { description: 'Em progresso', allowed_next_statuses: [2, 3, 4, 5] },
+  2: { description: 'Qualificando', allowed_next_statuses: [1, 3, 4, 5] },
+  3: { description: 'Transferido', allowed_next_statuses: [4] },
+  4: { description: 'Finalizado', allowed_next_statuses: [] },
+  5: { description: 'Abandonado', allowed_next_statuses: [1, 4] }
+}
+
+const sessionClient = (status) => createFakeClient([
+  [/FROM sessions s/, ([id]) => id === 'missing' ? [] : [{ id, status, company_id: 1, ...STATUSES[status] }]],
+  [/FROM qualification_statuses/, ([id]) => STATUSES[id] ? [{ id, description: STATUSES[id].description }] : []],
+  [/UPDATE sessions/, ([id, next]) => [{ id, status: next, created_at: new Date() }]]
+])
+
+describe('changeSessionStatus', () => {
+  test('moves a session along an allowed transition', async () => {
+    const client = sessionClient(SESSION_STATUSES.QUALIFYING)
+
+    const change = await changeSessionStatus(client, { sessionId: 's1', status: SESSION_STATUSES.TRANSFERRED })
+
+    expect(change.before).toEqual({ status: SESSION_STATUSES.QUALIFYING })
+    expect(change.after).toMatchObject({ id: 's1', status: SESSION_STATUSES.TRANSFERRED })
+    expect(client.callsMatching(/UPDATE sessions/)).toHaveLength(1)
+  })
+
+  test('hands the reason and actor to the status history trigger', async () => {
+    const client = sessionClient(SESSION_STATUSES.NEW)
+    const actor = { user: { id: 'u1', email: 'ana@example.com' }, apiKey: { id: 7 } }
+
+    await changeSessionStatus(client, { sessionId: 's1', status: SESSION_STATUSES.IN_PROGRESS, reason: 'Called back', source: 'bulk', actor })
+
+    const [config] = client.callsMatching(/set_config/)
+    expect(config.params).toEqual(['Called back', 'bulk', 'u1', 'ana@example.com', '7'])
+  })
+
+  test('rejects transitions that are not allowed', async () => {
+    const client = sessionClient(SESSION_STATUSES.TRANSFERRED)
+
+    const change = changeSessionStatus(client, { sessionId: 's1', status: SESSION_STATUSES.QUALIFYING })
+
+    await expect(change).rejects.toThrow(SessionStatusError)
+    await expect(change).rejects.toThrow('Allowed next statuses: 4')
+    expect(client.callsMatching(/UPDATE sessions/)).toHaveLength(0)
+  })
+
+  test('treats Finalizado as terminal', async () => {
+    const client = sessionClient(SESSION_STATUSES.FINISHED)
+
+    await expect(changeSessionStatus(client, { sessionId: 's1', status: SESSION_STATUSES.IN_PROGRESS }))
+      .rejects.toMatchObject({ name: 'SessionStatusError', status: 409, message: expect.stringContaining('Allowed next statuses: none') })
+  })
+
+  test('lets abandoned sessions be reopened', async () => {
+    const client = sessionClient(SESSION_STATUSES.ABANDONED)
+
+    const change = await changeSessionStatus(client, { sessionId: 's1', status: SESSION_STATUSES.IN_PROGRESS })
+
+    expect(change.after.status).toBe(SESSION_STATUSES.IN_PROGRESS)
+  })
+
+  test('rejects the status the session already has', async () => {
+    const client = sessionClient(SESSION_STATUSES.IN_PROGRESS)
+
+    await expect(changeSessionStatus(client, { sessionId: 's1', status: SESSION_STATUSES.IN_PROGRESS }))
+      .rejects.toMatchObject({ status: 409, message: 'Session is already "Em progresso"' })
+  })
+
+  test('rejects unknown statuses with a 400', async () => {
+    const client = sessionClient(SESSION_STATUSES.NEW)
+
+    await expect(changeSessionStatus(client, { sessionId: 's1', status: 42 }))
+      .rejects.toMatchObject({ status: 400, message: 'Unknown status 42' })
+  })
+
+  test('skips the transition rules when restoring a previous status', async () => {
+    const client = sessionClient(SESSION_STATUSES.FINISHED)
+
+    const change = await changeSessionStatus(client, { sessionId: 's1', status: SESSION_STATUSES.QUALIFYING, enforceTransitions: false })
+
+    expect(change.after.status).toBe(SESSION_STATUSES.QUALIFYING)
+  })
+
+  test('resolves to null for a missing session', async () => {
+    const client = sessionClient(SESSION_STATUSES.NEW)
+
+    expect(await changeSessionStatus(client, { sessionId: 'missing', status: SESSION_STATUSES.IN_PROGRESS })).toBeNull()
+  })
+})